@@ -2,7 +2,6 @@
 
 # Comprehensive Test Suite for Session Tracking API
 # Tests all endpoints matching actual implementation in routes.js
-# ⚠️  NOTE: Template.yaml has mismatched event endpoint paths - see comments below
 
 set -e
 
@@ -20,6 +19,10 @@ API_BASE="${API_BASE:-https://179kz5ayv7.execute-api.us-east-1.amazonaws.com/dev
 AWS_REGION="${AWS_REGION:-us-east-1}"
 TABLE_NAME="${TABLE_NAME:-session-tracking}"
 AWS_PROFILE="${AWS_PROFILE:-default}"
+# Key with sessions:write and events:write (create one with src/scripts/api-keys.js)
+API_KEY="${API_KEY:-}"
+# Bearer JWT with sessions:read and sessions:admin, for reads, updates and deletes
+TOKEN="${TOKEN:-}"
 
 # Test data
 TEST_SESSION_ID="sess_test_$(date +%s)"
@@ -41,15 +44,6 @@ echo -e "  Test Session: ${CYAN}$TEST_SESSION_ID${NC}"
 echo -e "  Test User:    ${CYAN}$TEST_USER${NC}"
 echo ""
 
-# Warning about endpoint mismatch
-echo -e "${YELLOW}⚠️  IMPORTANT NOTE:${NC}"
-echo -e "  Template.yaml defines event endpoints as:"
-echo -e "    ${CYAN}/sessions/{sessionId}/events/{eventId}${NC}"
-echo -e "  But routes.js implements them as:"
-echo -e "    ${CYAN}/events/{sessionId}/{eventId}/{timestamp}${NC}"
-echo -e "  ${YELLOW}This test suite matches the actual implementation in routes.js${NC}"
-echo ""
-
 # Counter for tests
 TOTAL_TESTS=0
 PASSED_TESTS=0
@@ -81,14 +75,20 @@ test_api() {
   local data="$3"
   local expected="${4:-success.*true}"
   
-  if [ "$method" = "POST" ] || [ "$method" = "PATCH" ]; then
-    response=$(curl -s -X "$method" "$API_BASE$path" \
+  if [ "$method" = "POST" ]; then
+    response=$(curl -s -X POST "$API_BASE$path" \
+      -H "Content-Type: application/json" \
+      -H "x-api-key: $API_KEY" \
+      -d "$data")
+  elif [ "$method" = "PATCH" ]; then
+    response=$(curl -s -X PATCH "$API_BASE$path" \
       -H "Content-Type: application/json" \
+      -H "Authorization: Bearer $TOKEN" \
       -d "$data")
   elif [ "$method" = "DELETE" ]; then
-    response=$(curl -s -X DELETE "$API_BASE$path")
+    response=$(curl -s -X DELETE "$API_BASE$path" -H "Authorization: Bearer $TOKEN")
   else
-    response=$(curl -s "$API_BASE$path")
+    response=$(curl -s "$API_BASE$path" -H "Authorization: Bearer $TOKEN")
   fi
   
   echo "$response" | jq '.' 2>/dev/null || echo "$response"
@@ -143,6 +143,7 @@ echo ""
 echo -e "${YELLOW}▶ TEST 6: Track Landing Event (POST /events)${NC}"
 response=$(curl -s -X POST "$API_BASE/events" \
   -H "Content-Type: application/json" \
+  -H "x-api-key: $API_KEY" \
   -d '{
     "sessionId": "'$TEST_SESSION_ID'",
     "eventType": "landing",
@@ -240,10 +241,11 @@ echo -e "${BOLD}PART 3: INDIVIDUAL EVENT OPERATIONS${NC}"
 echo -e "${BOLD}${BLUE}═══════════════════════════════════════════════════════════${NC}"
 echo ""
 
-# Test 11: Get Single Event - GET /events/{sessionId}/{eventId}/{timestamp}
-echo -e "${YELLOW}▶ TEST 11: Get Single Event (GET /events/{sessionId}/{eventId}/{timestamp})${NC}"
+# Test 11: Get Single Event - GET /sessions/{sessionId}/events/{eventId}
+echo -e "${YELLOW}▶ TEST 11: Get Single Event (GET /sessions/{sessionId}/events/{eventId})${NC}"
 if [ -n "$TEST_EVENT_ID" ] && [ -n "$TEST_EVENT_TIMESTAMP" ]; then
-  response=$(curl -s -X GET "$API_BASE/events/$TEST_SESSION_ID/$TEST_EVENT_ID/$TEST_EVENT_TIMESTAMP")
+  response=$(curl -s -X GET "$API_BASE/sessions/$TEST_SESSION_ID/events/$TEST_EVENT_ID" \
+    -H "Authorization: Bearer $TOKEN")
   echo "$response" | jq '.'
   if echo "$response" | grep -q '"success".*true'; then
     TOTAL_TESTS=$((TOTAL_TESTS + 1))
@@ -262,11 +264,12 @@ fi
 echo ""
 sleep 0.5
 
-# Test 12: Update Event - PATCH /events/{sessionId}/{eventId}/{timestamp}
-echo -e "${YELLOW}▶ TEST 12: Update Event (PATCH /events/{sessionId}/{eventId}/{timestamp})${NC}"
+# Test 12: Update Event - PATCH /sessions/{sessionId}/events/{eventId}
+echo -e "${YELLOW}▶ TEST 12: Update Event (PATCH /sessions/{sessionId}/events/{eventId})${NC}"
 if [ -n "$TEST_EVENT_ID" ] && [ -n "$TEST_EVENT_TIMESTAMP" ]; then
-  response=$(curl -s -X PATCH "$API_BASE/events/$TEST_SESSION_ID/$TEST_EVENT_ID/$TEST_EVENT_TIMESTAMP" \
+  response=$(curl -s -X PATCH "$API_BASE/sessions/$TEST_SESSION_ID/events/$TEST_EVENT_ID" \
     -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $TOKEN" \
     -d '{
       "eventData": {
         "page": "/homepage",
@@ -294,10 +297,11 @@ fi
 echo ""
 sleep 0.5
 
-# Test 13: Delete Event - DELETE /events/{sessionId}/{eventId}/{timestamp}
-echo -e "${YELLOW}▶ TEST 13: Delete Event (DELETE /events/{sessionId}/{eventId}/{timestamp})${NC}"
+# Test 13: Delete Event - DELETE /sessions/{sessionId}/events/{eventId}
+echo -e "${YELLOW}▶ TEST 13: Delete Event (DELETE /sessions/{sessionId}/events/{eventId})${NC}"
 if [ -n "$TEST_EVENT_ID" ] && [ -n "$TEST_EVENT_TIMESTAMP" ]; then
-  response=$(curl -s -X DELETE "$API_BASE/events/$TEST_SESSION_ID/$TEST_EVENT_ID/$TEST_EVENT_TIMESTAMP")
+  response=$(curl -s -X DELETE "$API_BASE/sessions/$TEST_SESSION_ID/events/$TEST_EVENT_ID" \
+    -H "Authorization: Bearer $TOKEN")
   echo "$response" | jq '.'
   if echo "$response" | grep -q '"success".*true'; then
     TOTAL_TESTS=$((TOTAL_TESTS + 1))
@@ -323,7 +327,7 @@ echo ""
 
 # Test 14: Delete Session - DELETE /sessions/{sessionId}
 echo -e "${YELLOW}▶ TEST 14: Delete Session (DELETE /sessions/{sessionId})${NC}"
-response=$(curl -s -X DELETE "$API_BASE/sessions/$TEST_SESSION_ID")
+response=$(curl -s -X DELETE "$API_BASE/sessions/$TEST_SESSION_ID" -H "Authorization: Bearer $TOKEN")
 echo "$response" | jq '.'
 if echo "$response" | grep -q '"success".*true'; then
   TOTAL_TESTS=$((TOTAL_TESTS + 1))
@@ -0,0 +1,106 @@
+/**
+ * Controller for API key administration endpoints
+ */
+
+import { successResponse, paginatedResponse, errorResponseFromException } from '../shared/response.js';
+import { logger } from '../shared/logger.js';
+import { parseLimit } from '../shared/validator.js';
+import * as apiKeyService from '../service/apiKeyService.js';
+
+/**
+ * Handle POST /admin/api-keys
+ * 
+ * Body:
+ * {
+ *   name: string (required, e.g. "shop.example.com tracker"),
+ *   scopes: string[] (required: sessions:write, events:write),
+ *   allowedOrigins: string[] (optional, browser origins allowed to use the key)
+ * }
+ * 
+ * Returns { apiKey, key }; `key` is only ever shown in this response.
+ */
+export async function createApiKey(event) {
+  try {
+    const body = event.parsedBody;
+    
+    logger.info('Create API key request received', { name: body.name, scopes: body.scopes });
+    
+    const result = await apiKeyService.createApiKey({
+      name: body.name,
+      scopes: body.scopes,
+      allowedOrigins: body.allowedOrigins || []
+    });
+    
+    return successResponse(result, 201);
+    
+  } catch (error) {
+    logger.error('Create API key handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle GET /admin/api-keys
+ * 
+ * Query parameters:
+ * - limit: number (optional, default 50, max 100)
+ * - nextToken: string (optional, from the previous page)
+ */
+export async function listApiKeys(event) {
+  try {
+    const queryParameters = event.queryStringParameters || {};
+    const limit = parseLimit(queryParameters.limit, { defaultValue: 50, max: 100 });
+    const nextToken = queryParameters.nextToken || null;
+    
+    const { nextToken: next, ...result } = await apiKeyService.listApiKeys({ limit, nextToken });
+    
+    return paginatedResponse(result, next);
+    
+  } catch (error) {
+    logger.error('List API keys handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle POST /admin/api-keys/{keyId}/rotate
+ * 
+ * Issue a new key under the same keyId; the old key stops working.
+ * Returns { apiKey, key }.
+ */
+export async function rotateApiKey(event) {
+  try {
+    const keyId = event.pathParameters.keyId;
+    
+    logger.info('Rotate API key request received', { keyId });
+    
+    const result = await apiKeyService.rotateApiKey(keyId);
+    
+    return successResponse(result);
+    
+  } catch (error) {
+    logger.error('Rotate API key handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle DELETE /admin/api-keys/{keyId}
+ * 
+ * Revoke a key. The record is kept, with revokedAt, for the listing.
+ */
+export async function revokeApiKey(event) {
+  try {
+    const keyId = event.pathParameters.keyId;
+    
+    logger.info('Revoke API key request received', { keyId });
+    
+    const apiKey = await apiKeyService.revokeApiKey(keyId);
+    
+    return successResponse({ apiKey });
+    
+  } catch (error) {
+    logger.error('Revoke API key handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Controller for API documentation endpoints
+ */
+
+import { contentResponse, errorResponseFromException } from '../shared/response.js';
+import { logger } from '../shared/logger.js';
+import { buildOpenApiSpec } from '../shared/openapi.js';
+import { routes } from '../routes.js';
+
+// Pinned so the page does not change under a deployed API
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Session Tracking API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Base URL the request was made to, including the stage prefix
+ */
+function serverUrl(event) {
+  const requestContext = event.requestContext || {};
+  if (!requestContext.domainName) {
+    return null;
+  }
+
+  const stage = requestContext.stage;
+  const stagePrefix = stage && stage !== '$default' ? `/${stage}` : '';
+  return `https://${requestContext.domainName}${stagePrefix}`;
+}
+
+/**
+ * Handle GET /openapi.json
+ *
+ * The OpenAPI 3.1 document generated from the route table, with the
+ * requesting API as its server
+ */
+export async function getOpenApiSpec(event) {
+  try {
+    const spec = buildOpenApiSpec(routes, { serverUrl: serverUrl(event) });
+
+    return contentResponse(JSON.stringify(spec), 'application/json');
+
+  } catch (error) {
+    logger.error('Get OpenAPI spec handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle GET /docs
+ *
+ * Swagger UI page for the spec at GET /openapi.json
+ */
+export async function getDocs() {
+  return contentResponse(DOCS_PAGE, 'text/html; charset=utf-8');
+}
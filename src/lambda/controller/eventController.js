@@ -5,6 +5,9 @@
 import { successResponse, errorResponseFromException } from '../shared/response.js';
 import { logger } from '../shared/logger.js';
 import * as eventService from '../service/eventService.js';
+import { etagHeaders, parseIfMatch } from '../shared/etag.js';
+import { auditContext } from '../shared/audit.js';
+import { canSeePii, withoutPii } from '../shared/authorization.js';
 
 /**
  * Extract request context (user agent, IP)
@@ -28,12 +31,16 @@ function extractRequestContext(event) {
  * {
  *   sessionId: string (required),
  *   eventType: string (required),
- *   eventData: object (optional)
+ *   eventData: object (optional),
+ *   clientEventId: string (optional, client-generated id that makes retries safe)
  * }
+ * 
+ * A retry with a clientEventId already tracked returns the original event
+ * with `replayed: true` and status 200.
  */
 export async function trackEvent(event) {
   try {
-    const body = event.body ? JSON.parse(event.body) : {};
+    const body = event.parsedBody;
     const context = extractRequestContext(event);
     
     logger.info('Track event request received', { 
@@ -41,42 +48,19 @@ export async function trackEvent(event) {
       eventType: body.eventType 
     });
     
-    // Validate required fields
-    if (!body.sessionId) {
-      return errorResponseFromException({
-        message: 'sessionId is required',
-        name: 'ValidationError',
-        field: 'sessionId',
-        statusCode: 400
-      });
-    }
-    
-    if (!body.eventType) {
-      return errorResponseFromException({
-        message: 'eventType is required',
-        name: 'ValidationError',
-        field: 'eventType',
-        statusCode: 400
-      });
-    }
-    
     // Track the event
     const trackedEvent = await eventService.trackEvent({
       sessionId: body.sessionId,
       eventType: body.eventType,
       eventData: body.eventData || {},
       userAgent: context.userAgent,
-      ipAddress: context.ipAddress
+      ipAddress: context.ipAddress,
+      clientEventId: body.clientEventId
+    }, {
+      context: auditContext(event)
     });
     
-    return successResponse({
-      event: {
-        eventId: trackedEvent.eventId,
-        sessionId: trackedEvent.sessionId,
-        eventType: trackedEvent.eventType,
-        timestamp: trackedEvent.timestamp
-      }
-    }, 201);
+    return successResponse({ event: trackedEvent }, trackedEvent.replayed ? 200 : 201);
     
   } catch (error) {
     logger.error('Track event handler error', { error: error.message });
@@ -92,29 +76,25 @@ export async function trackEvent(event) {
  * Body:
  * {
  *   events: [
- *     { sessionId, eventType, eventData },
- *     { sessionId, eventType, eventData }
+ *     { sessionId, eventType, eventData, clientEventId },
+ *     { sessionId, eventType, eventData, clientEventId }
  *   ]
  * }
+ * 
+ * Events whose clientEventId was already tracked are reported as successful
+ * with `replayed: true` and not written again.
  */
 export async function trackBatchEvents(event) {
   try {
-    const body = event.body ? JSON.parse(event.body) : {};
+    const body = event.parsedBody;
     
     logger.info('Batch track events request received', { 
       count: body.events?.length 
     });
     
-    if (!body.events || !Array.isArray(body.events)) {
-      return errorResponseFromException({
-        message: 'events array is required',
-        name: 'ValidationError',
-        field: 'events',
-        statusCode: 400
-      });
-    }
-    
-    const result = await eventService.trackBatchEvents(body.events);
+    const result = await eventService.trackBatchEvents(body.events, {
+      context: auditContext(event)
+    });
     
     return successResponse(result, 201);
     
@@ -125,27 +105,22 @@ export async function trackBatchEvents(event) {
 }
 
 /**
- * Handle GET /events/{sessionId}/{eventId}/{timestamp}
+ * Handle GET /sessions/{sessionId}/events/{eventId}
+ * (and the deprecated GET /events/{sessionId}/{eventId}/{timestamp})
  * 
- * Get a single event by ID
+ * Get a single event by ID. ipAddress and userAgent are only returned to
+ * callers with the sessions:admin scope.
  */
 export async function getEvent(event) {
   try {
-    const { sessionId, eventId, timestamp } = event.pathParameters || {};
-    
-    if (!sessionId || !eventId || !timestamp) {
-      return errorResponseFromException({
-        message: 'sessionId, eventId, and timestamp path parameters are required',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
+    const { sessionId, eventId, timestamp = null } = event.pathParameters || {};
     
     logger.info('Get event request', { sessionId, eventId });
     
     const result = await eventService.getEvent(sessionId, eventId, timestamp);
+    const visible = canSeePii(event) ? result : withoutPii(result);
     
-    return successResponse({ event: result });
+    return successResponse({ event: visible }, 200, etagHeaders(result.version));
     
   } catch (error) {
     logger.error('Get event handler error', { error: error.message });
@@ -154,28 +129,24 @@ export async function getEvent(event) {
 }
 
 /**
- * Handle PATCH /events/{sessionId}/{eventId}/{timestamp}
+ * Handle PATCH /sessions/{sessionId}/events/{eventId}
+ * (and the deprecated PATCH /events/{sessionId}/{eventId}/{timestamp})
  * 
- * Update an event
+ * Update an event (If-Match supported)
  */
 export async function updateEvent(event) {
   try {
-    const { sessionId, eventId, timestamp } = event.pathParameters || {};
-    const body = event.body ? JSON.parse(event.body) : {};
-    
-    if (!sessionId || !eventId || !timestamp) {
-      return errorResponseFromException({
-        message: 'sessionId, eventId, and timestamp path parameters are required',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
+    const { sessionId, eventId, timestamp = null } = event.pathParameters || {};
+    const body = event.parsedBody;
     
     logger.info('Update event request', { sessionId, eventId });
     
-    const result = await eventService.updateEvent(sessionId, eventId, timestamp, body);
+    const result = await eventService.updateEvent(sessionId, eventId, timestamp, body, {
+      expectedVersion: parseIfMatch(event.headers),
+      context: auditContext(event)
+    });
     
-    return successResponse({ event: result });
+    return successResponse({ event: result }, 200, etagHeaders(result.version));
     
   } catch (error) {
     logger.error('Update event handler error', { error: error.message });
@@ -184,30 +155,26 @@ export async function updateEvent(event) {
 }
 
 /**
- * Handle DELETE /events/{sessionId}/{eventId}/{timestamp}
+ * Handle DELETE /sessions/{sessionId}/events/{eventId}
+ * (and the deprecated DELETE /events/{sessionId}/{eventId}/{timestamp})
  * 
- * Delete an event
+ * Soft-delete an event; it can be restored until the trash grace period
+ * ends (If-Match supported)
  */
 export async function deleteEvent(event) {
   try {
-    const { sessionId, eventId, timestamp } = event.pathParameters || {};
-    
-    if (!sessionId || !eventId || !timestamp) {
-      return errorResponseFromException({
-        message: 'sessionId, eventId, and timestamp path parameters are required',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
+    const { sessionId, eventId, timestamp = null } = event.pathParameters || {};
     
     logger.info('Delete event request', { sessionId, eventId });
     
-    const result = await eventService.deleteEvent(sessionId, eventId, timestamp);
+    const result = await eventService.deleteEvent(sessionId, eventId, timestamp, {
+      expectedVersion: parseIfMatch(event.headers),
+      context: auditContext(event)
+    });
     
     return successResponse({
-      eventId: result.eventId,
-      deleted: result.deleted,
-      message: 'Event deleted successfully'
+      ...result,
+      message: 'Event moved to trash'
     });
     
   } catch (error) {
@@ -215,3 +182,27 @@ export async function deleteEvent(event) {
     return errorResponseFromException(error);
   }
 }
+
+/**
+ * Handle POST /sessions/{sessionId}/events/{eventId}/restore
+ * (and the deprecated POST /events/{sessionId}/{eventId}/{timestamp}/restore)
+ * 
+ * Restore a soft-deleted event
+ */
+export async function restoreEvent(event) {
+  try {
+    const { sessionId, eventId, timestamp = null } = event.pathParameters || {};
+    
+    logger.info('Restore event request', { sessionId, eventId });
+    
+    const result = await eventService.restoreEvent(sessionId, eventId, timestamp, {
+      context: auditContext(event)
+    });
+    
+    return successResponse({ event: result }, 200, etagHeaders(result.version));
+    
+  } catch (error) {
+    logger.error('Restore event handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
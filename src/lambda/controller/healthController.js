@@ -0,0 +1,45 @@
+/**
+ * Controller for health check endpoints
+ * 
+ * Public and cheap, for load balancers and uptime probes; neither endpoint
+ * reads or writes session data.
+ */
+
+import { healthResponse, errorResponseFromException } from '../shared/response.js';
+import { logger } from '../shared/logger.js';
+import * as healthService from '../service/healthService.js';
+
+/**
+ * Handle GET /health
+ * 
+ * Liveness: 200 as long as the Lambda runs, with build version, stage and
+ * whether this request cold-started the instance.
+ */
+export async function getHealth(event) {
+  try {
+    return healthResponse(healthService.getLiveness({ coldStart: event.coldStart }));
+    
+  } catch (error) {
+    logger.error('Health handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle GET /health/ready
+ * 
+ * Readiness: checks the configuration, the table and its GSIs. Responds 200
+ * when every check passes and 503 otherwise, with the checks (and their
+ * latency) in both cases.
+ */
+export async function getReadiness(event) {
+  try {
+    const { ready, report } = await healthService.getReadiness({ coldStart: event.coldStart });
+    
+    return healthResponse(report, ready ? 200 : 503);
+    
+  } catch (error) {
+    logger.error('Readiness handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
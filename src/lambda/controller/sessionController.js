@@ -2,9 +2,27 @@
  * Controller for session-related endpoints
  */
 
-import { successResponse, errorResponseFromException } from '../shared/response.js';
+import {
+  successResponse,
+  paginatedResponse,
+  exportResponse,
+  negotiateFormat,
+  errorResponseFromException
+} from '../shared/response.js';
 import { logger } from '../shared/logger.js';
+import {
+  parseLimit,
+  parseTimelineFilters,
+  parseFields,
+  parseExpand,
+  SESSION_FIELDS,
+  EVENT_FIELDS
+} from '../shared/validator.js';
+import { etagHeaders, parseIfMatch } from '../shared/etag.js';
+import { auditContext } from '../shared/audit.js';
+import { canSeePii, withoutPii, PII_FIELDS } from '../shared/authorization.js';
 import * as sessionService from '../service/sessionService.js';
+import * as historyService from '../service/historyService.js';
 
 /**
  * Extract request context (user agent, IP)
@@ -22,7 +40,8 @@ function extractRequestContext(event) {
 /**
  * Handle POST /sessions
  * 
- * Create a new session explicitly
+ * Create a new session explicitly. Responds 409 if the sessionId is
+ * already taken; use PUT /sessions/{sessionId} to get-or-create.
  * 
  * Body:
  * {
@@ -33,7 +52,7 @@ function extractRequestContext(event) {
  */
 export async function createSession(event) {
   try {
-    const body = event.body ? JSON.parse(event.body) : {};
+    const body = event.parsedBody;
     const context = extractRequestContext(event);
     
     logger.info('Create session request received', { 
@@ -47,6 +66,8 @@ export async function createSession(event) {
       userAgent: context.userAgent,
       ipAddress: context.ipAddress,
       metadata: body.metadata || {}
+    }, {
+      context: auditContext(event)
     });
     
     return successResponse({
@@ -64,10 +85,64 @@ export async function createSession(event) {
   }
 }
 
+/**
+ * Handle PUT /sessions/{sessionId}
+ * 
+ * Get or create a session (upsert). An existing session is returned as-is
+ * with 200; otherwise it is created from the body and returned with 201.
+ * 
+ * Body:
+ * {
+ *   externalId: string (optional),
+ *   metadata: object (optional)
+ * }
+ * 
+ * Returns:
+ * {
+ *   session: { sessionId, externalId, status, createdAt },
+ *   existed: boolean
+ * }
+ */
+export async function upsertSession(event) {
+  try {
+    const sessionId = event.pathParameters?.sessionId;
+    const body = event.parsedBody;
+    const context = extractRequestContext(event);
+    
+    logger.info('Upsert session request received', { sessionId });
+    
+    const session = await sessionService.getOrCreateSession({
+      sessionId,
+      externalId: body.externalId || null,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress,
+      metadata: body.metadata || {}
+    }, {
+      context: auditContext(event)
+    });
+    
+    return successResponse({
+      session: {
+        sessionId: session.sessionId,
+        externalId: session.externalId,
+        status: session.status,
+        createdAt: session.createdAt
+      },
+      existed: session.existed
+    }, session.existed ? 200 : 201);
+    
+  } catch (error) {
+    logger.error('Upsert session handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
 /**
  * Handle PATCH /sessions/{sessionId}
  * 
- * Update an existing session
+ * Update an existing session (sessions:admin: ingestion keys only create
+ * sessions). Send the ETag from GET as If-Match to
+ * reject the update with 412 if someone else changed the session meanwhile.
  * 
  * Body:
  * {
@@ -80,28 +155,24 @@ export async function updateSession(event) {
   try {
     const pathParameters = event.pathParameters || {};
     const sessionId = pathParameters.sessionId;
-    const body = event.body ? JSON.parse(event.body) : {};
-    
-    if (!sessionId) {
-      return errorResponseFromException({
-        message: 'sessionId is required in path',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
+    const body = event.parsedBody;
     
     logger.info('Update session request received', { sessionId, updates: body });
     
-    const updated = await sessionService.updateSession(sessionId, body);
+    const updated = await sessionService.updateSession(sessionId, body, {
+      expectedVersion: parseIfMatch(event.headers),
+      context: auditContext(event)
+    });
     
     return successResponse({
       session: {
         sessionId: updated.sessionId,
         externalId: updated.externalId,
         status: updated.status,
+        version: updated.version,
         updatedAt: updated.updatedAt
       }
-    });
+    }, 200, etagHeaders(updated.version));
     
   } catch (error) {
     logger.error('Update session handler error', { error: error.message });
@@ -112,33 +183,72 @@ export async function updateSession(event) {
 /**
  * Handle GET /sessions/{sessionId}
  * 
+ * Query parameters:
+ * - limit: number (optional, max 1000; omit to return every event)
+ * - nextToken: string (optional, from a previous response)
+ * - eventType: string (optional, comma-separated event types)
+ * - from, to: ISO 8601 (optional, inclusive bounds on the event timestamp)
+ * - order: asc | desc (optional, default asc)
+ * - latest: number (optional, only the N most recent events; not with limit)
+ * - eventData[<field>]: string (optional, exact match on an eventData field)
+ * - fields: string (optional, e.g. status,stepsTaken,events.eventType)
+ * - expand: events,analytics (optional, default events)
+ * - format: json | csv | ndjson (optional, overrides the Accept header)
+ * 
  * Returns:
  * {
  *   session: { sessionId, externalId, status, ... },
  *   events: [ { eventId, eventType, eventData, timestamp }, ... ],
- *   eventCount: number
+ *   eventCount: number,
+ *   analytics: { duration, eventBreakdown, ... } (with expand=analytics)
  * }
+ * with `nextToken` in the response envelope when more events remain
+ * and the session version as the ETag header. The session's userAgent and
+ * ipAddress are only returned to callers with the sessions:admin scope.
+ * 
+ * CSV and NDJSON exports hold the events, one per row with their sessionId
+ * (eventData flattened into eventData.<field> columns in CSV), and send the
+ * next page's token as X-Next-Token.
  */
 export async function handleGetSession(event) {
   try {
     // Extract sessionId from path parameters
     const pathParameters = event.pathParameters || {};
+    const queryParameters = event.queryStringParameters || {};
     const sessionId = pathParameters.sessionId;
     
-    if (!sessionId) {
-      return errorResponseFromException({
-        message: 'sessionId is required in path',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
+    const limit = parseLimit(queryParameters.limit, { max: 1000 });
+    const nextToken = queryParameters.nextToken || null;
+    const filters = parseTimelineFilters(queryParameters, { max: 1000 });
+    const fields = parseFields(queryParameters.fields);
+    const expand = parseExpand(queryParameters.expand, ['events', 'analytics'], ['events']);
     
-    logger.info('Get session request received', { sessionId });
+    logger.info('Get session request received', { sessionId, limit, expand });
     
     // Fetch session timeline
-    const timeline = await sessionService.getSessionTimeline(sessionId);
+    const { nextToken: next, version, ...timeline } = await sessionService.getSessionTimeline(sessionId, {
+      limit,
+      nextToken,
+      ...filters,
+      fields,
+      expand
+    });
+    
+    if (!canSeePii(event)) {
+      timeline.session = withoutPii(timeline.session);
+    }
     
-    return successResponse(timeline);
+    const format = negotiateFormat(event);
+    if (format !== 'json') {
+      return exportResponse((timeline.events || []).map(item => ({ sessionId, ...item })), format, {
+        columns: ['sessionId', ...(fields.events || EVENT_FIELDS)],
+        filename: `session-${sessionId}`,
+        nextToken: next,
+        headers: etagHeaders(version)
+      });
+    }
+    
+    return paginatedResponse(timeline, next, 200, etagHeaders(version));
     
   } catch (error) {
     logger.error('Get session handler error', { error: error.message });
@@ -159,14 +269,6 @@ export async function handleGetSessionAnalytics(event) {
     const pathParameters = event.pathParameters || {};
     const sessionId = pathParameters.sessionId;
     
-    if (!sessionId) {
-      return errorResponseFromException({
-        message: 'sessionId is required in path',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
-    
     logger.info('Get session analytics request received', { sessionId });
     
     const analytics = await sessionService.getSessionAnalytics(sessionId);
@@ -184,7 +286,11 @@ export async function handleGetSessionAnalytics(event) {
  * 
  * Query parameters:
  * - limit: number (default 50, max 100)
- * - includeAnalytics: boolean (default false)
+ * - nextToken: string (optional, from a previous response)
+ * - fields: string (optional, e.g. status,stepsTaken,events.eventType)
+ * - expand: events,analytics (optional, embeds them in every session)
+ * - includeAnalytics: boolean (default false, same as expand=analytics)
+ * - format: json | csv | ndjson (optional, overrides the Accept header)
  * 
  * Returns:
  * {
@@ -192,6 +298,14 @@ export async function handleGetSessionAnalytics(event) {
  *   sessions: [...],
  *   summary: { totalSessions, activeSessions, ... }
  * }
+ * with `nextToken` in the response envelope when more sessions remain.
+ * Sessions have the shape of GET /sessions/{sessionId}, PII included only
+ * for callers with the sessions:admin scope; embedded events are limited to
+ * each session's most recent ones (see hasMoreEvents).
+ * 
+ * CSV and NDJSON exports hold the sessions, one per row (metadata and
+ * analytics flattened into dotted columns in CSV, embedded events as JSON),
+ * and send the next page's token as X-Next-Token.
  */
 export async function handleGetUserSessions(event) {
   try {
@@ -199,32 +313,45 @@ export async function handleGetUserSessions(event) {
     const queryParameters = event.queryStringParameters || {};
     const externalId = pathParameters.externalId;
     
-    if (!externalId) {
-      return errorResponseFromException({
-        message: 'externalId is required in path',
-        name: 'ValidationError',
-        statusCode: 400
-      });
-    }
-    
     // Parse query parameters
-    const limit = queryParameters.limit 
-      ? Math.min(parseInt(queryParameters.limit, 10), 100) 
-      : 50;
+    const limit = parseLimit(queryParameters.limit, { defaultValue: 50, max: 100 });
+    const nextToken = queryParameters.nextToken || null;
     const includeAnalytics = queryParameters.includeAnalytics === 'true';
+    const fields = parseFields(queryParameters.fields);
+    const expand = parseExpand(queryParameters.expand, ['events', 'analytics']);
+    if (includeAnalytics && !expand.includes('analytics')) {
+      expand.push('analytics');
+    }
     
     logger.info('Get user sessions request received', { 
       externalId, 
       limit, 
-      includeAnalytics 
+      expand 
     });
     
-    const result = await sessionService.getUserSessionsFiltered(externalId, {
+    const { nextToken: next, ...result } = await sessionService.getUserSessionsFiltered(externalId, {
       limit,
-      includeAnalytics
+      nextToken,
+      fields,
+      expand
     });
     
-    return successResponse(result);
+    const piiVisible = canSeePii(event);
+    if (!piiVisible) {
+      result.sessions = result.sessions.map(withoutPii);
+    }
+    
+    const format = negotiateFormat(event);
+    if (format !== 'json') {
+      const columns = (fields.session || SESSION_FIELDS).filter(field => piiVisible || !PII_FIELDS.includes(field));
+      return exportResponse(result.sessions, format, {
+        columns,
+        filename: `sessions-${externalId}`,
+        nextToken: next
+      });
+    }
+    
+    return paginatedResponse(result, next);
     
   } catch (error) {
     logger.error('Get user sessions handler error', { error: error.message });
@@ -233,30 +360,101 @@ export async function handleGetUserSessions(event) {
 }
 
 /**
- * Handle DELETE /sessions/{sessionId}
+ * Handle GET /sessions/{sessionId}/history
  * 
- * Delete a session and all its events
+ * Get the change history of a session and its events, newest first
+ * 
+ * Query parameters:
+ * - limit: number (optional, default 50, max 100)
+ * - nextToken: string (optional, from the previous page)
  */
-export async function deleteSession(event) {
+export async function handleGetSessionHistory(event) {
   try {
     const sessionId = event.pathParameters?.sessionId;
+    const queryParameters = event.queryStringParameters || {};
     
-    if (!sessionId) {
-      return errorResponseFromException({
-        message: 'sessionId path parameter is required',
-        name: 'ValidationError',
-        statusCode: 400
-      });
+    const limit = parseLimit(queryParameters.limit, { defaultValue: 50, max: 100 });
+    const nextToken = queryParameters.nextToken || null;
+    
+    logger.info('Get session history request', { sessionId, limit });
+    
+    const { nextToken: next, ...result } = await historyService.getSessionHistory(sessionId, {
+      limit,
+      nextToken
+    });
+    
+    if (!canSeePii(event)) {
+      result.changes = result.changes.map(change => ({
+        ...change,
+        changes: withoutPii(change.changes),
+        actor: withoutPii(change.actor)
+      }));
     }
     
+    return paginatedResponse(result, next);
+    
+  } catch (error) {
+    logger.error('Get session history handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle POST /sessions/{sessionId}/retention
+ * 
+ * Extend how long the session and its events are kept (never shortens)
+ * 
+ * Body:
+ * {
+ *   days: number (required, retention from now in days)
+ * }
+ * 
+ * Returns:
+ * {
+ *   sessionId: string,
+ *   expiresAt: string (ISO timestamp),
+ *   itemsUpdated: number
+ * }
+ */
+export async function handleExtendRetention(event) {
+  try {
+    const sessionId = event.pathParameters?.sessionId;
+    const body = event.parsedBody;
+    
+    logger.info('Extend retention request', { sessionId, days: body.days });
+    
+    const result = await sessionService.extendSessionRetention(sessionId, body.days, {
+      context: auditContext(event)
+    });
+    
+    return successResponse(result);
+    
+  } catch (error) {
+    logger.error('Extend retention handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle DELETE /sessions/{sessionId}
+ * 
+ * Soft-delete a session; it can be restored until the trash grace period
+ * ends (If-Match supported)
+ */
+export async function deleteSession(event) {
+  try {
+    const sessionId = event.pathParameters?.sessionId;
+    
     logger.info('Delete session request', { sessionId });
     
-    const result = await sessionService.deleteSession(sessionId);
+    const result = await sessionService.deleteSession(sessionId, {
+      expectedVersion: parseIfMatch(event.headers),
+      context: auditContext(event)
+    });
     
     return successResponse({
-      sessionId: result.sessionId,
-      itemsDeleted: result.itemsDeleted,
-      message: 'Session and all associated events deleted successfully'
+      ...result,
+      message: 'Session moved to trash'
     });
     
   } catch (error) {
@@ -264,3 +462,54 @@ export async function deleteSession(event) {
     return errorResponseFromException(error);
   }
 }
+
+/**
+ * Handle POST /sessions/{sessionId}/restore
+ * 
+ * Restore a soft-deleted session
+ */
+export async function restoreSession(event) {
+  try {
+    const sessionId = event.pathParameters?.sessionId;
+    
+    logger.info('Restore session request', { sessionId });
+    
+    const result = await sessionService.restoreSession(sessionId, {
+      context: auditContext(event)
+    });
+    
+    return successResponse(result, 200, etagHeaders(result.version));
+    
+  } catch (error) {
+    logger.error('Restore session handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * Handle GET /admin/trash/sessions
+ * 
+ * List soft-deleted sessions with when they will be purged
+ * 
+ * Query parameters:
+ * - limit: number (optional, default 50, max 100)
+ * - nextToken: string (optional, from the previous page)
+ */
+export async function handleGetDeletedSessions(event) {
+  try {
+    const queryParameters = event.queryStringParameters || {};
+    
+    const limit = parseLimit(queryParameters.limit, { defaultValue: 50, max: 100 });
+    const nextToken = queryParameters.nextToken || null;
+    
+    logger.info('Get deleted sessions request received', { limit });
+    
+    const { nextToken: next, ...result } = await sessionService.listDeletedSessions({ limit, nextToken });
+    
+    return paginatedResponse(result, next);
+    
+  } catch (error) {
+    logger.error('Get deleted sessions handler error', { error: error.message });
+    return errorResponseFromException(error);
+  }
+}
@@ -1,14 +1,38 @@
 /**
  * Main Lambda handler - Entry point for all HTTP API requests
  * 
- * This handler receives events from API Gateway HTTP API and routes them
- * to the appropriate handler based on the HTTP method and path.
+ * This handler receives events from API Gateway HTTP API, authenticates the
+ * caller (bearer JWT or API key) and routes the request to the appropriate
+ * handler based on the HTTP method and path. Routes check the caller's
+ * scopes (see shared/authorization.js).
  */
 
 import { logger } from './shared/logger.js';
 import { validateConfig } from './shared/config.js';
-import { route } from './routes.js';
-import { errorResponseFromException } from './shared/response.js';
+import { route, requestVersion, isHealthProbe } from './routes.js';
+import { errorResponseFromException, withProblemInstance } from './shared/response.js';
+import { withCors } from './shared/cors.js';
+import { deprecationHeaders } from './shared/apiVersion.js';
+import { authenticateRequest } from './service/authService.js';
+
+// False until this instance has served its first request
+let warm = false;
+
+/**
+ * Finish a response: name its request (X-Request-Id, and `instance` of a
+ * problem), mark it if its API version is deprecated and add the CORS
+ * headers for the request's origin
+ */
+function finish(response, event, requestId) {
+  const version = requestVersion(event);
+  const headers = {
+    ...response.headers,
+    ...(requestId && { 'X-Request-Id': requestId }),
+    ...(version && deprecationHeaders(version))
+  };
+  
+  return withCors(withProblemInstance({ ...response, headers }, requestId), event);
+}
 
 /**
  * Lambda handler function
@@ -18,26 +42,50 @@ import { errorResponseFromException } from './shared/response.js';
  * @returns {Object} HTTP response
  */
 export async function handler(event, context) {
+  const coldStart = !warm;
+  warm = true;
+  
+  // Responses name the request (see finish)
+  const requestId = event.requestContext?.requestId || context.requestId;
+  
   // Log incoming request
   logger.info('Request received', {
     requestId: context.requestId,
     method: event.requestContext?.http?.method,
-    path: event.requestContext?.http?.path
+    path: event.requestContext?.http?.path,
+    coldStart
   });
   
   try {
-    // Validate configuration on cold start
-    validateConfig();
+    // Validate the configuration on every request; health probes are
+    // answered even with a broken one, which /health/ready reports as a
+    // failed check
+    if (!isHealthProbe(event)) {
+      validateConfig();
+    }
+    
+    // Identify the caller before routing; a rejected credential ends the request here
+    let auth;
+    try {
+      auth = await authenticateRequest(event);
+    } catch (error) {
+      logger.warn('Authentication failed', { requestId: context.requestId, error: error.message });
+      return finish(
+        errorResponseFromException(error, error.statusCode === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}),
+        event,
+        requestId
+      );
+    }
     
     // Route the request
-    const response = await route(event);
+    const response = await route({ ...event, auth, coldStart });
     
     logger.info('Request completed', {
       requestId: context.requestId,
       statusCode: response.statusCode
     });
     
-    return response;
+    return finish(response, event, requestId);
     
   } catch (error) {
     logger.error('Unhandled error in handler', {
@@ -46,6 +94,6 @@ export async function handler(event, context) {
       stack: error.stack
     });
     
-    return errorResponseFromException(error);
+    return finish(errorResponseFromException(error), event, requestId);
   }
 }
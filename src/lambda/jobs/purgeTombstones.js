@@ -0,0 +1,40 @@
+/**
+ * Scheduled job - Permanently removes soft-deleted sessions and events
+ * 
+ * Runs on an EventBridge schedule. Anything that has been in the trash for
+ * longer than the grace period (TRASH_GRACE_DAYS) is deleted for good;
+ * deleting a session removes its whole partition, events included, except
+ * the change history, which records the purge.
+ */
+
+import { logger } from '../shared/logger.js';
+import { validateConfig } from '../shared/config.js';
+import { systemContext } from '../shared/audit.js';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+
+/**
+ * Lambda handler function
+ * 
+ * @param {Object} event - EventBridge scheduled event
+ * @param {Object} context - Lambda context
+ * @returns {Object} Purge summary
+ */
+export async function handler(event, context) {
+  validateConfig();
+  
+  const now = event?.time ? new Date(event.time) : new Date();
+  
+  logger.info('Purge started', { requestId: context?.requestId, now: now.toISOString() });
+  
+  // Sessions first: their purge already removes any deleted events inside them
+  const auditContext = systemContext('purge', context?.requestId);
+  const sessions = await sessionService.purgeDeletedSessions(now, { context: auditContext });
+  const events = await eventService.purgeDeletedEvents(now, { context: auditContext });
+  
+  const summary = { ...sessions, ...events };
+  
+  logger.info('Purge completed', { requestId: context?.requestId, ...summary });
+  
+  return summary;
+}
@@ -0,0 +1,124 @@
+/**
+ * API Key Repository - Credentials for the ingestion endpoints
+ * 
+ * Access patterns:
+ * 1. Get a key by keyId (PK = APIKEY#<keyId>, SK = #METADATA)
+ * 2. List keys, oldest first (GSI1: GSI1PK = APIKEYS, GSI1SK = <createdAt>#<keyId>)
+ * 
+ * Only the SHA-256 hash of a key's secret is stored. Revoked keys are kept
+ * (with revokedAt) so the listing shows who had access and until when.
+ */
+
+import { putItem, getItem, queryPage, updateItem } from '../shared/storage.js';
+import { encodeCursor, decodeCursor } from '../shared/pagination.js';
+import { ConditionalCheckFailedError } from '../shared/errors.js';
+import { logger } from '../shared/logger.js';
+import { config } from '../shared/config.js';
+
+// GSI1 partition listing every key
+const KEYS_PARTITION = 'APIKEYS';
+
+const NOT_REVOKED = 'attribute_not_exists(revokedAt)';
+
+/**
+ * Store a new API key
+ */
+export async function createApiKey({ keyId, name, keyHash, scopes, allowedOrigins, createdAt }) {
+  const item = {
+    [config.pkName]: `APIKEY#${keyId}`,
+    [config.skName]: '#METADATA',
+    GSI1PK: KEYS_PARTITION,
+    GSI1SK: `${createdAt}#${keyId}`,
+    itemType: 'API_KEY',
+    keyId,
+    name,
+    keyHash,
+    scopes,
+    allowedOrigins,
+    createdAt,
+    updatedAt: createdAt
+  };
+  
+  logger.info('Creating API key', { keyId, name, scopes });
+  
+  return await putItem(item, { conditionExpression: 'attribute_not_exists(PK)' });
+}
+
+/**
+ * Get an API key by id, revoked or not; null when it does not exist
+ */
+export async function getApiKey(keyId) {
+  return await getItem(`APIKEY#${keyId}`, '#METADATA');
+}
+
+/**
+ * List API keys, oldest first
+ * 
+ * Returns { items, nextToken }.
+ */
+export async function listApiKeys({ limit = 50, nextToken } = {}) {
+  logger.debug('Listing API keys', { limit });
+  
+  const page = await queryPage('GSI1PK = :gsi1pk', { ':gsi1pk': KEYS_PARTITION }, {
+    indexName: config.gsi1Name,
+    limit,
+    exclusiveStartKey: decodeCursor(nextToken, KEYS_PARTITION)
+  });
+  
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, KEYS_PARTITION)
+  };
+}
+
+/**
+ * Replace the secret hash of an active key
+ * 
+ * Returns the updated key, or null when the key does not exist or is revoked.
+ */
+export async function rotateApiKey(keyId, keyHash) {
+  const now = new Date().toISOString();
+  
+  logger.info('Rotating API key', { keyId });
+  
+  try {
+    return await updateItem(`APIKEY#${keyId}`, '#METADATA', {
+      keyHash,
+      rotatedAt: now,
+      updatedAt: now
+    }, {
+      conditionExpression: `attribute_exists(PK) AND ${NOT_REVOKED}`
+    });
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke an active key
+ * 
+ * Returns the revoked key, or null when the key does not exist or was
+ * already revoked.
+ */
+export async function revokeApiKey(keyId) {
+  const now = new Date().toISOString();
+  
+  logger.info('Revoking API key', { keyId });
+  
+  try {
+    return await updateItem(`APIKEY#${keyId}`, '#METADATA', {
+      revokedAt: now,
+      updatedAt: now
+    }, {
+      conditionExpression: `attribute_exists(PK) AND ${NOT_REVOKED}`
+    });
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -1,21 +1,85 @@
 /**
  * Event Repository - Event-specific data access operations
+ * 
+ * Events live in their session's partition (SK = EVENT#<timestamp>#<eventId>)
+ * so the timeline is one query. GSI2 (GSI2PK = EVENT#<eventId>,
+ * GSI2SK = SESSION#<sessionId>) resolves an eventId to its timestamp for
+ * callers that only know the id.
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { putItem, getItem, queryItems, deleteItem, updateItem } from '../shared/dynamodbClient.js';
+import {
+  getItem,
+  queryItems,
+  queryPage,
+  updateItemWithImages,
+  applyToImage,
+  deleteItem,
+  transactWriteItems,
+  buildUpdateExpression,
+  buildProjectionExpression,
+  versionCondition
+} from '../shared/storage.js';
+import { ConditionalCheckFailedError, ConflictError } from '../shared/errors.js';
+import { encodeCursor, decodeCursor } from '../shared/pagination.js';
 import { logger } from '../shared/logger.js';
+import { config } from '../shared/config.js';
+
+// GSI1 partition holding soft-deleted events, sorted by deletion time
+const TRASH_PARTITION = 'TRASH#EVENT';
+
+// Soft-deleted (tombstoned) events carry deletedAt and are hidden from reads
+const NOT_DELETED = 'attribute_not_exists(deletedAt)';
 
 /**
- * Create event item
+ * Build the transact action that adjusts a session's stepsTaken counter
+ * 
+ * The session must exist and not be soft-deleted, and a decrement never takes
+ * the counter below zero.
  */
-export async function createEvent({ sessionId, eventType, eventData, userAgent, ipAddress }) {
+function sessionStepsAction(sessionId, delta, timestamp) {
+  const expression = buildUpdateExpression({ updatedAt: timestamp }, { stepsTaken: delta });
+  
+  let conditionExpression = `attribute_exists(PK) AND ${NOT_DELETED}`;
+  if (delta < 0) {
+    conditionExpression += ' AND stepsTaken >= :minSteps';
+    expression.ExpressionAttributeValues[':minSteps'] = -delta;
+  }
+  
+  return {
+    Update: {
+      Key: { PK: `SESSION#${sessionId}`, SK: '#METADATA' },
+      ...expression,
+      ConditionExpression: conditionExpression
+    }
+  };
+}
+
+/**
+ * Key of the marker recording which event a client's clientEventId created
+ */
+function clientEventKey(sessionId, clientEventId) {
+  return { PK: `CLIENTEVENT#${sessionId}#${clientEventId}`, SK: '#EVENT' };
+}
+
+/**
+ * Create event item and increment the session's stepsTaken in one transaction
+ * 
+ * With a clientEventId a marker (expiring at clientEventExpiresAt) is written
+ * in the same transaction; a ConflictError is thrown, and nothing written,
+ * when the marker already exists (see getClientEvent).
+ * 
+ * Returns null when the session does not exist (nothing is written).
+ */
+export async function createEvent({ sessionId, eventType, eventData, userAgent, ipAddress, expiresAt, clientEventId = null, clientEventExpiresAt = null }) {
   const eventId = uuidv4();
   const timestamp = new Date().toISOString();
   
   const event = {
     PK: `SESSION#${sessionId}`,
     SK: `EVENT#${timestamp}#${eventId}`,
+    GSI2PK: `EVENT#${eventId}`,
+    GSI2SK: `SESSION#${sessionId}`,
     itemType: 'EVENT',
     eventId,
     sessionId,
@@ -24,62 +88,469 @@ export async function createEvent({ sessionId, eventType, eventData, userAgent,
     userAgent,
     ipAddress,
     timestamp,
-    createdAt: timestamp
+    version: 1,
+    createdAt: timestamp,
+    expiresAt
   };
   
-  logger.debug('Creating event', { sessionId, eventId, eventType });
-  await putItem(event);
+  if (clientEventId) {
+    event.clientEventId = clientEventId;
+  }
+  
+  logger.debug('Creating event', { sessionId, eventId, eventType, clientEventId });
+  
+  const actions = [
+    { Put: { Item: event, ConditionExpression: 'attribute_not_exists(PK)' } },
+    sessionStepsAction(sessionId, 1, timestamp)
+  ];
+  
+  if (clientEventId) {
+    actions.push({
+      Put: {
+        Item: {
+          ...clientEventKey(sessionId, clientEventId),
+          itemType: 'CLIENT_EVENT',
+          clientEventId,
+          eventId,
+          sessionId,
+          eventType,
+          timestamp,
+          expiresAt: clientEventExpiresAt
+        },
+        // An expired marker TTL has not removed yet no longer counts
+        ConditionExpression: 'attribute_not_exists(PK) OR expiresAt < :now',
+        ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) }
+      }
+    });
+  }
+  
+  try {
+    await transactWriteItems(actions);
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError && error.reasons[1] === 'ConditionalCheckFailed') {
+      return null;
+    }
+    if (error instanceof ConditionalCheckFailedError && error.reasons[2] === 'ConditionalCheckFailed') {
+      throw new ConflictError(`Event already tracked for clientEventId: ${clientEventId}`, 'EVENT_ALREADY_TRACKED');
+    }
+    throw error;
+  }
   
   return event;
 }
 
+/**
+ * Get the marker of an event created with a clientEventId
+ * 
+ * Returns { clientEventId, eventId, sessionId, eventType, timestamp }, or
+ * null when there is none or it has expired.
+ */
+export async function getClientEvent(sessionId, clientEventId) {
+  const key = clientEventKey(sessionId, clientEventId);
+  const marker = await getItem(key.PK, key.SK);
+  
+  if (!marker || marker.expiresAt < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  return marker;
+}
+
 /**
  * Get single event by ID and timestamp
+ * 
+ * Soft-deleted events are treated as missing unless `includeDeleted` is set.
  */
-export async function getEvent(sessionId, eventId, timestamp) {
+export async function getEvent(sessionId, eventId, timestamp, { includeDeleted = false } = {}) {
   const pk = `SESSION#${sessionId}`;
   const sk = `EVENT#${timestamp}#${eventId}`;
   
   logger.debug('Fetching event', { sessionId, eventId });
-  return await getItem(pk, sk);
+  const item = await getItem(pk, sk);
+  
+  if (item?.deletedAt && !includeDeleted) {
+    return null;
+  }
+  return item;
+}
+
+/**
+ * Find the timestamp of an event (deleted or not) by its id
+ * 
+ * GSI2 is eventually consistent, so an event tracked a moment ago may not be
+ * found yet. Returns null when there is no such event in the session.
+ */
+export async function findEventTimestamp(sessionId, eventId) {
+  logger.debug('Resolving event timestamp', { sessionId, eventId });
+  
+  const page = await queryPage('GSI2PK = :gsi2pk AND GSI2SK = :gsi2sk', {
+    ':gsi2pk': `EVENT#${eventId}`,
+    ':gsi2sk': `SESSION#${sessionId}`
+  }, {
+    indexName: config.gsi2Name,
+    limit: 1
+  });
+  
+  return page.items[0]?.timestamp || null;
 }
 
 /**
- * Get all events for a session
+ * Build the timeline query of a session
+ * 
+ * Filters: { eventTypes, from, to, order, dataFilters }. The time range
+ * narrows the SK key condition (both bounds inclusive); event types and
+ * eventData fields ({ path, value }, path dotted for nested fields) become
+ * a filter expression next to NOT_DELETED. A value matches a string field
+ * or, when it reads as one, a number or boolean field. `attributes` limits
+ * the attributes read to the given list.
  */
-export async function getSessionEvents(sessionId) {
-  logger.debug('Fetching events for session', { sessionId });
+function timelineQuery(sessionId, {
+  eventTypes = [],
+  from = null,
+  to = null,
+  order = 'asc',
+  dataFilters = [],
+  attributes = null
+} = {}) {
+  const values = { ':pk': `SESSION#${sessionId}` };
+  const names = {};
+  const filters = [NOT_DELETED];
+  
+  let keyCondition;
+  if (from || to) {
+    // '~' sorts after every character of a timestamp or eventId
+    keyCondition = 'PK = :pk AND SK BETWEEN :skFrom AND :skTo';
+    values[':skFrom'] = from ? `EVENT#${from}` : 'EVENT#';
+    values[':skTo'] = to ? `EVENT#${to}~` : 'EVENT#~';
+  } else {
+    keyCondition = 'PK = :pk AND begins_with(SK, :skPrefix)';
+    values[':skPrefix'] = 'EVENT#';
+  }
   
-  const items = await queryItems(
-    'PK = :pk AND begins_with(SK, :skPrefix)',
-    {
-      ':pk': `SESSION#${sessionId}`,
-      ':skPrefix': 'EVENT#'
+  if (eventTypes.length > 0) {
+    names['#eventType'] = 'eventType';
+    const placeholders = eventTypes.map((eventType, i) => {
+      values[`:eventType${i}`] = eventType;
+      return `:eventType${i}`;
+    });
+    filters.push(`#eventType IN (${placeholders.join(', ')})`);
+  }
+  
+  if (dataFilters.length > 0) {
+    names['#eventData'] = 'eventData';
+  }
+  
+  dataFilters.forEach(({ path, value }, i) => {
+    const segments = path.split('.').map((segment, j) => {
+      names[`#data${i}_${j}`] = segment;
+      return `#data${i}_${j}`;
+    });
+    
+    const candidates = [value];
+    if (value === 'true' || value === 'false') {
+      candidates.push(value === 'true');
+    } else if (value.trim() !== '' && Number.isFinite(Number(value))) {
+      candidates.push(Number(value));
     }
-  );
+    
+    const placeholders = candidates.map((candidate, j) => {
+      values[`:data${i}_${j}`] = candidate;
+      return `:data${i}_${j}`;
+    });
+    filters.push(`#eventData.${segments.join('.')} IN (${placeholders.join(', ')})`);
+  });
+  
+  const projection = attributes ? buildProjectionExpression(attributes) : null;
   
-  return items;
+  return {
+    keyCondition,
+    values,
+    options: {
+      filterExpression: filters.join(' AND '),
+      expressionAttributeNames: { ...names, ...projection?.expressionAttributeNames },
+      projectionExpression: projection?.projectionExpression || null,
+      scanIndexForward: order !== 'desc'
+    }
+  };
 }
 
 /**
- * Update event
+ * Get all (not soft-deleted) events for a session
+ * 
+ * Accepts the timeline filters of timelineQuery, plus `latest` to return
+ * only the N most recent matching events (still in the requested order).
  */
-export async function updateEvent(sessionId, eventId, timestamp, updates) {
+export async function getSessionEvents(sessionId, { latest = null, ...filters } = {}) {
+  logger.debug('Fetching events for session', { sessionId, latest, ...filters });
+  
+  if (latest) {
+    const { keyCondition, values, options } = timelineQuery(sessionId, { ...filters, order: 'desc' });
+    const items = await queryItems(keyCondition, values, null, latest, options);
+    
+    return filters.order === 'desc' ? items : items.reverse();
+  }
+  
+  const { keyCondition, values, options } = timelineQuery(sessionId, filters);
+  
+  return await queryItems(keyCondition, values, null, null, options);
+}
+
+/**
+ * Get one page of (not soft-deleted) events for a session
+ * 
+ * Accepts the timeline filters of timelineQuery. Returns { items, nextToken }
+ * where nextToken is null on the last page. `limit` caps the events read, so
+ * with filters a page may hold fewer events (even none) and still have a
+ * nextToken.
+ */
+export async function getSessionEventsPage(sessionId, { limit, nextToken, ...filters } = {}) {
   const pk = `SESSION#${sessionId}`;
-  const sk = `EVENT#${timestamp}#${eventId}`;
   
-  logger.info('Updating event', { sessionId, eventId });
-  return await updateItem(pk, sk, updates);
+  logger.debug('Fetching events page for session', { sessionId, limit, ...filters });
+  
+  const { keyCondition, values, options } = timelineQuery(sessionId, filters);
+  const page = await queryPage(keyCondition, values, {
+    ...options,
+    limit,
+    exclusiveStartKey: decodeCursor(nextToken, pk)
+  });
+  
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, pk)
+  };
+}
+
+/**
+ * Throw ConflictError if the event still exists after a failed conditional write
+ */
+async function assertEventMissing(sessionId, eventId, timestamp) {
+  const existing = await getEvent(sessionId, eventId, timestamp);
+  
+  if (existing) {
+    throw new ConflictError(
+      `Event ${eventId} has been modified (current version ${existing.version || 0})`,
+      'VERSION_CONFLICT'
+    );
+  }
 }
 
 /**
- * Delete event
+ * Update event
+ * 
+ * Only the given attributes are written and `version` is bumped. When
+ * `expectedVersion` is passed the write is conditional on it and a mismatch
+ * throws ConflictError. Returns { before, after } images of the item, or null
+ * when the event does not exist or is soft-deleted.
  */
-export async function deleteEvent(sessionId, eventId, timestamp) {
+export async function updateEvent(sessionId, eventId, timestamp, updates, { expectedVersion = null } = {}) {
   const pk = `SESSION#${sessionId}`;
   const sk = `EVENT#${timestamp}#${eventId}`;
   
-  logger.info('Deleting event', { sessionId, eventId });
-  await deleteItem(pk, sk);
-  return true;
+  logger.info('Updating event', { sessionId, eventId, expectedVersion });
+  
+  try {
+    return await updateItemWithImages(pk, sk, updates, {
+      increments: { version: 1 },
+      conditionExpression: `attribute_exists(PK) AND ${NOT_DELETED}`,
+      expectedVersion
+    });
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+  }
+  
+  if (expectedVersion !== null) {
+    await assertEventMissing(sessionId, eventId, timestamp);
+  }
+  return null;
+}
+
+/**
+ * Build an Update transact action for one event item
+ */
+function eventUpdateAction(sessionId, eventId, timestamp, expression, conditionExpression, expectedVersion = null) {
+  const action = {
+    Update: {
+      Key: { PK: `SESSION#${sessionId}`, SK: `EVENT#${timestamp}#${eventId}` },
+      ...expression,
+      ConditionExpression: conditionExpression
+    }
+  };
+  
+  if (expectedVersion !== null) {
+    const version = versionCondition(expectedVersion);
+    action.Update.ConditionExpression += ` AND ${version.expression}`;
+    Object.assign(action.Update.ExpressionAttributeNames, version.names);
+    action.Update.ExpressionAttributeValues = { ...action.Update.ExpressionAttributeValues, ...version.values };
+  }
+  
+  if (Object.keys(action.Update.ExpressionAttributeValues || {}).length === 0) {
+    delete action.Update.ExpressionAttributeValues;
+  }
+  
+  return action;
+}
+
+/**
+ * Soft-delete an event and decrement the session's stepsTaken in one transaction
+ * 
+ * The event is tombstoned with `deletedAt` and moved to the GSI1 trash
+ * partition; it stays restorable until the purge job removes it. Returns
+ * { before, after } images of the event, or null when the event does not
+ * exist (or is already deleted). If the session is missing, deleted or its
+ * counter is already zero, the event is still deleted without touching the
+ * counter. When `expectedVersion` is passed a version mismatch throws
+ * ConflictError.
+ */
+export async function deleteEvent(sessionId, eventId, timestamp, { expectedVersion = null } = {}) {
+  const existing = await getEvent(sessionId, eventId, timestamp);
+  
+  if (!existing) {
+    return null;
+  }
+  
+  const deletedAt = new Date().toISOString();
+  const updates = { deletedAt, GSI1PK: TRASH_PARTITION, GSI1SK: `${deletedAt}#${sessionId}#${eventId}` };
+  const increments = { version: 1 };
+  const images = { before: existing, after: applyToImage(existing, updates, increments) };
+  
+  const deleteAction = eventUpdateAction(
+    sessionId,
+    eventId,
+    timestamp,
+    buildUpdateExpression(updates, increments),
+    `attribute_exists(PK) AND ${NOT_DELETED}`,
+    expectedVersion
+  );
+  
+  logger.info('Deleting event', { sessionId, eventId, expectedVersion });
+  
+  try {
+    await transactWriteItems([
+      deleteAction,
+      sessionStepsAction(sessionId, -1, deletedAt)
+    ]);
+    return images;
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+    if (error.reasons[0] === 'ConditionalCheckFailed') {
+      if (expectedVersion !== null) {
+        await assertEventMissing(sessionId, eventId, timestamp);
+      }
+      return null;
+    }
+  }
+  
+  logger.warn('Session counter not decremented', { sessionId, eventId });
+  
+  try {
+    await transactWriteItems([deleteAction]);
+    return images;
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+  }
+  
+  if (expectedVersion !== null) {
+    await assertEventMissing(sessionId, eventId, timestamp);
+  }
+  return null;
+}
+
+/**
+ * Restore a soft-deleted event and increment the session's stepsTaken in one transaction
+ * 
+ * Returns { before, after } images of the event, or null when the event is
+ * not in the trash. Throws ConflictError when its session is itself deleted.
+ */
+export async function restoreEvent(sessionId, eventId, timestamp) {
+  const existing = await getEvent(sessionId, eventId, timestamp, { includeDeleted: true });
+  
+  if (!existing?.deletedAt) {
+    return null;
+  }
+  
+  const updates = { updatedAt: new Date().toISOString() };
+  const increments = { version: 1 };
+  const removals = ['deletedAt', 'GSI1PK', 'GSI1SK'];
+  
+  const expression = buildUpdateExpression(updates, increments, removals);
+  expression.ExpressionAttributeValues[':deletedAt'] = existing.deletedAt;
+  
+  logger.info('Restoring event', { sessionId, eventId });
+  
+  try {
+    await transactWriteItems([
+      eventUpdateAction(sessionId, eventId, timestamp, expression, 'deletedAt = :deletedAt'),
+      sessionStepsAction(sessionId, 1, updates.updatedAt)
+    ]);
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+    // Restored or purged in the meantime
+    if (error.reasons[0] === 'ConditionalCheckFailed') {
+      return null;
+    }
+    throw new ConflictError(`Session ${sessionId} is deleted; restore the session first`, 'SESSION_DELETED');
+  }
+  
+  return {
+    before: existing,
+    after: applyToImage(existing, updates, increments, removals)
+  };
+}
+
+/**
+ * List soft-deleted events, oldest deletion first
+ * 
+ * `deletedBefore` (ISO timestamp) limits the listing to events deleted
+ * before that time. Returns { items, nextToken }.
+ */
+export async function getDeletedEvents({ limit = 50, nextToken, deletedBefore = null } = {}) {
+  logger.debug('Querying deleted events', { limit, deletedBefore });
+  
+  let keyCondition = 'GSI1PK = :gsi1pk';
+  const values = { ':gsi1pk': TRASH_PARTITION };
+  
+  if (deletedBefore) {
+    keyCondition += ' AND GSI1SK < :deletedBefore';
+    values[':deletedBefore'] = deletedBefore;
+  }
+  
+  const page = await queryPage(keyCondition, values, {
+    indexName: config.gsi1Name,
+    limit,
+    exclusiveStartKey: decodeCursor(nextToken, TRASH_PARTITION)
+  });
+  
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, TRASH_PARTITION)
+  };
+}
+
+/**
+ * Permanently delete a soft-deleted event
+ * 
+ * Returns false when the event is gone or was restored in the meantime.
+ */
+export async function purgeEvent(sessionId, eventId, timestamp) {
+  logger.info('Purging event', { sessionId, eventId });
+  
+  try {
+    await deleteItem(`SESSION#${sessionId}`, `EVENT#${timestamp}#${eventId}`, {
+      conditionExpression: 'attribute_exists(deletedAt)'
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      return false;
+    }
+    throw error;
+  }
 }
@@ -0,0 +1,95 @@
+/**
+ * History Repository - Append-only change records
+ * 
+ * Every mutation of a session or one of its events is recorded in the
+ * session's partition:
+ * - Change: PK=SESSION#<id>, SK=HISTORY#<timestamp>#<changeId>
+ * 
+ * Requests only ever add records, with conditional puts, so a change is never
+ * rewritten by the API. Two maintenance writes touch existing records: a
+ * retention extension moves their expiresAt along with the session's
+ * (sessionRepository.extendSessionRetention), and a purge redacts the records
+ * of what it removed (historyService.redactHistory). Records are never
+ * deleted; they expire with the session and outlive its purge, redacted.
+ */
+
+import { putItem, queryPage, queryItems, batchWriteItems } from '../shared/storage.js';
+import { encodeCursor, decodeCursor } from '../shared/pagination.js';
+import { generateSortableId } from '../shared/ids.js';
+import { logger } from '../shared/logger.js';
+import { config } from '../shared/config.js';
+
+/**
+ * Write a change record
+ * 
+ * The write is conditional on the key being new, so an existing record can
+ * never be overwritten.
+ */
+export async function createChange(change) {
+  const timestamp = change.timestamp || new Date().toISOString();
+  const changeId = generateSortableId();
+  
+  const item = {
+    [config.pkName]: `SESSION#${change.sessionId}`,
+    [config.skName]: `HISTORY#${timestamp}#${changeId}`,
+    itemType: 'CHANGE',
+    changeId,
+    ...change,
+    timestamp
+  };
+  
+  logger.debug('Recording change', { sessionId: change.sessionId, changeId, action: change.action });
+  
+  return await putItem(item, { conditionExpression: 'attribute_not_exists(PK)' });
+}
+
+/**
+ * Get one page of a session's change records, newest first
+ * 
+ * Returns { items, nextToken } where nextToken is null on the last page.
+ */
+export async function getSessionHistory(sessionId, { limit = 50, nextToken } = {}) {
+  const pk = `SESSION#${sessionId}`;
+  
+  logger.debug('Fetching history for session', { sessionId, limit });
+  
+  const page = await queryPage(
+    'PK = :pk AND begins_with(SK, :skPrefix)',
+    {
+      ':pk': pk,
+      ':skPrefix': 'HISTORY#'
+    },
+    {
+      limit,
+      scanIndexForward: false,
+      exclusiveStartKey: decodeCursor(nextToken, `${pk}#HISTORY`)
+    }
+  );
+  
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, `${pk}#HISTORY`)
+  };
+}
+
+/**
+ * Get every change record of a session, oldest first
+ */
+export async function getAllSessionChanges(sessionId) {
+  return await queryItems(
+    'PK = :pk AND begins_with(SK, :skPrefix)',
+    {
+      ':pk': `SESSION#${sessionId}`,
+      ':skPrefix': 'HISTORY#'
+    }
+  );
+}
+
+/**
+ * Write back change records redacted by historyService.redactHistory
+ * 
+ * Resolves with the batch report of shared/batchWriter.js.
+ */
+export async function putRedactedChanges(items) {
+  return await batchWriteItems(items);
+}
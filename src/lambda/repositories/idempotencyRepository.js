@@ -0,0 +1,92 @@
+/**
+ * Idempotency Repository - Responses remembered by Idempotency-Key
+ * 
+ * Access patterns:
+ * 1. Get a key's record (PK = IDEMPOTENCY#<caller>#<key>, SK = #RESPONSE)
+ * 
+ * A record is claimed (status IN_PROGRESS) before the request runs and
+ * completed with the response afterwards. The claim is a lease until
+ * lockedUntil: a request that died without completing or releasing its key
+ * (e.g. a timed-out Lambda) stops blocking retries once the lease has passed.
+ * Keys are namespaced by caller so two clients cannot read each other's
+ * responses. Records expire through TTL; until DynamoDB removes an expired
+ * record it can be claimed again.
+ */
+
+import { putItem, getItem, updateItem, deleteItem } from '../shared/storage.js';
+import { ConditionalCheckFailedError } from '../shared/errors.js';
+import { logger } from '../shared/logger.js';
+
+const RESPONSE_SK = '#RESPONSE';
+
+const keyPk = (caller, key) => `IDEMPOTENCY#${caller}#${key}`;
+
+/**
+ * Claim a key for a request
+ * 
+ * Returns true when the key was free (or its record had expired, or its
+ * lease had passed without the request completing), false when another
+ * request holds or completed it. `lockedUntil` is the lease's end (epoch
+ * seconds).
+ */
+export async function claimKey({ caller, key, requestHash, lockedUntil, expiresAt }) {
+  const now = Math.floor(Date.now() / 1000);
+  
+  try {
+    await putItem({
+      PK: keyPk(caller, key),
+      SK: RESPONSE_SK,
+      itemType: 'IDEMPOTENCY_KEY',
+      requestHash,
+      status: 'IN_PROGRESS',
+      createdAt: new Date().toISOString(),
+      lockedUntil,
+      expiresAt
+    }, {
+      // Completed records have no lockedUntil, so only an expired one is taken over
+      conditionExpression: 'attribute_not_exists(PK) OR expiresAt < :now OR lockedUntil < :now',
+      conditionValues: { ':now': now }
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a key's record; null when it does not exist
+ * 
+ * The read is strongly consistent, so a record just claimed or completed by
+ * another request is seen as it is now.
+ */
+export async function getKey(caller, key) {
+  return await getItem(keyPk(caller, key), RESPONSE_SK, { consistentRead: true });
+}
+
+/**
+ * Store the response of the request holding a key
+ */
+export async function completeKey(caller, key, response) {
+  logger.debug('Storing idempotent response', { caller, key, statusCode: response.statusCode });
+  
+  return await updateItem(keyPk(caller, key), RESPONSE_SK, {
+    status: 'COMPLETED',
+    response,
+    completedAt: new Date().toISOString()
+  }, {
+    removals: ['lockedUntil'],
+    conditionExpression: 'attribute_exists(PK)'
+  });
+}
+
+/**
+ * Release a key whose request failed, so a retry can run it again
+ */
+export async function releaseKey(caller, key) {
+  logger.debug('Releasing idempotency key', { caller, key });
+  
+  return await deleteItem(keyPk(caller, key), RESPONSE_SK);
+}
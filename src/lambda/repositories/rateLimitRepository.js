@@ -0,0 +1,122 @@
+/**
+ * Rate Limit Repository - Token buckets for request rate limits
+ * 
+ * Access patterns:
+ * 1. Get a bucket (PK = RATELIMIT#<dimension>#<key>, SK = #BUCKET)
+ * 
+ * A bucket stores the tokens left at its last refill (bucketTokens, a
+ * fraction), when that was (refilledAt, epoch ms) and a counter bumped by
+ * every write (bucketVersion). Tokens are taken with a conditional update on
+ * bucketVersion, so concurrent Lambdas never spend the same tokens twice,
+ * even with equal or skewed clocks; the loser backs off and re-reads the
+ * bucket (strongly consistent, so it sees the winner's write) and tries
+ * again. Buckets expire through TTL once they would have refilled completely.
+ */
+
+import { getItem, updateItem } from '../shared/storage.js';
+import { backoffDelay } from '../shared/batchWriter.js';
+import { ConditionalCheckFailedError } from '../shared/errors.js';
+import { logger } from '../shared/logger.js';
+
+const BUCKET_SK = '#BUCKET';
+
+// Attempts per request before giving up on a heavily contended bucket, and
+// the jittered backoff between them
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 5;
+const MAX_DELAY_MS = 50;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Condition of a write to a bucket read as `bucket` (null when there was none)
+ * 
+ * Buckets written before bucketVersion existed match while they have none.
+ */
+function versionCondition(bucket) {
+  if (!bucket) {
+    return { conditionExpression: 'attribute_not_exists(PK)' };
+  }
+  if (bucket.bucketVersion === undefined) {
+    return { conditionExpression: 'attribute_not_exists(bucketVersion)' };
+  }
+  return {
+    conditionExpression: 'bucketVersion = :bucketVersion',
+    conditionValues: { ':bucketVersion': bucket.bucketVersion }
+  };
+}
+
+/**
+ * Take `cost` tokens from a bucket
+ * 
+ * Limit: { burst, perSecond }. Returns
+ * { allowed, limit, remaining, resetSeconds, retryAfterSeconds }, where
+ * resetSeconds is the time until the bucket is full again and
+ * retryAfterSeconds (only when not allowed) until `cost` tokens are available.
+ * Returns null when the bucket stayed contended for every attempt: whether
+ * the tokens are there is unknown then, which is not the client's fault.
+ * `clock` returns the current epoch ms; it is read again on every attempt.
+ */
+export async function takeTokens(dimension, key, { burst, perSecond }, cost = 1, clock = Date.now) {
+  const pk = `RATELIMIT#${dimension}#${key}`;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await sleep(backoffDelay(attempt - 1, BASE_DELAY_MS, MAX_DELAY_MS));
+    }
+    
+    const bucket = await getItem(pk, BUCKET_SK, { consistentRead: true });
+    const now = clock();
+    
+    // Another Lambda may have refilled the bucket "later" than this one's clock
+    const refilledAt = bucket ? Math.max(now, bucket.refilledAt) : now;
+    const elapsedSeconds = bucket ? (refilledAt - bucket.refilledAt) / 1000 : 0;
+    const available = bucket
+      ? Math.min(burst, bucket.bucketTokens + elapsedSeconds * perSecond)
+      : burst;
+    
+    if (available < cost) {
+      return {
+        allowed: false,
+        limit: burst,
+        remaining: Math.floor(available),
+        resetSeconds: Math.ceil((burst - available) / perSecond),
+        retryAfterSeconds: Math.max(1, Math.ceil((cost - available) / perSecond))
+      };
+    }
+    
+    const tokens = available - cost;
+    const resetSeconds = Math.ceil((burst - tokens) / perSecond);
+    
+    try {
+      await updateItem(pk, BUCKET_SK, {
+        itemType: 'RATE_LIMIT',
+        bucketTokens: tokens,
+        refilledAt,
+        expiresAt: Math.floor(refilledAt / 1000) + resetSeconds + 60
+      }, {
+        increments: { bucketVersion: 1 },
+        ...versionCondition(bucket)
+      });
+      
+      return {
+        allowed: true,
+        limit: burst,
+        remaining: Math.floor(tokens),
+        resetSeconds,
+        retryAfterSeconds: null
+      };
+    } catch (error) {
+      if (!(error instanceof ConditionalCheckFailedError)) {
+        throw error;
+      }
+      logger.debug('Rate limit bucket changed concurrently, retrying', { dimension, key, attempt });
+    }
+  }
+  
+  logger.warn('Rate limit bucket too contended', { dimension, key, attempts: MAX_ATTEMPTS });
+  
+  return null;
+}
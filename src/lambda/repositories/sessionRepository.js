@@ -5,52 +5,113 @@
  * 1. Get session metadata by sessionId (PK = SESSION#<id>, SK = #METADATA)
  * 2. Get all events for a session (PK = SESSION#<id>, SK begins_with EVENT#)
  * 3. Query sessions by externalId (GSI1: GSI1PK = USER#<externalId>, GSI1SK = SESSION#<timestamp>)
+ * 4. List soft-deleted sessions (GSI1: GSI1PK = TRASH#SESSION, GSI1SK = <deletedAt>#<id>)
  * 
  * Item types:
  * - Session Metadata: PK=SESSION#<id>, SK=#METADATA
  * - Event: PK=SESSION#<id>, SK=EVENT#<timestamp>#<eventId>
+ * 
+ * Deleting a session only tombstones its metadata item (deletedAt) and moves
+ * it from the user's GSI1 partition to the trash partition; its events are
+ * hidden with it and removed when the purge job deletes the partition; its
+ * change history (historyRepository.js) is kept until it expires.
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { putItem, getItem, queryItems, deleteItem, updateItem } from '../shared/dynamodbClient.js';
-import { getSessionEvents } from './eventRepository.js';
+import {
+  putItem,
+  getItem,
+  queryItems,
+  queryPage,
+  deleteItem,
+  batchDeleteItems,
+  updateItem,
+  updateItemWithImages,
+  buildProjectionExpression
+} from '../shared/storage.js';
+import { getSessionEvents, getSessionEventsPage } from './eventRepository.js';
+import { encodeCursor, decodeCursor } from '../shared/pagination.js';
+import { ConditionalCheckFailedError, ConflictError } from '../shared/errors.js';
 import { logger } from '../shared/logger.js';
 import { config } from '../shared/config.js';
 
+// GSI1 partition holding soft-deleted sessions, sorted by deletion time
+const TRASH_PARTITION = 'TRASH#SESSION';
+
+const NOT_DELETED = 'attribute_not_exists(deletedAt)';
+
 
 // Get session timeline method
 
 /**
- * Get full session timeline (metadata + all events)
+ * Get session timeline (metadata + events)
+ * 
+ * Without pagination options every event is returned. Passing `limit` or
+ * `nextToken` returns a single page plus the token for the next one.
+ * Timeline filters (eventTypes, from, to, order, latest, dataFilters) are
+ * passed on to the event queries, see eventRepository.getSessionEvents.
+ * `sessionAttributes` / `eventAttributes` limit the attributes read, and
+ * `includeEvents: false` skips the events query.
  */
-export async function getSessionTimeline(sessionId) {
-  const [metadata, events] = await Promise.all([
-    getSession(sessionId),
-    getSessionEvents(sessionId)
+export async function getSessionTimeline(sessionId, {
+  limit,
+  nextToken,
+  sessionAttributes = null,
+  eventAttributes = null,
+  includeEvents = true,
+  ...filters
+} = {}) {
+  const paginated = Boolean(limit || nextToken);
+  const eventOptions = { ...filters, attributes: eventAttributes };
+  
+  let events;
+  if (!includeEvents) {
+    events = Promise.resolve({ items: [], nextToken: null });
+  } else if (paginated) {
+    events = getSessionEventsPage(sessionId, { limit, nextToken, ...eventOptions });
+  } else {
+    events = getSessionEvents(sessionId, eventOptions).then(items => ({ items, nextToken: null }));
+  }
+  
+  const [metadata, page] = await Promise.all([
+    getSession(sessionId, { attributes: sessionAttributes }),
+    events
   ]);
   
   return {
     metadata,
-    events,
-    eventCount: events.length
+    events: page.items,
+    eventCount: page.items.length,
+    nextToken: page.nextToken
   };
 }
 
 /**
  * Get session metadata by sessionId
+ * 
+ * Soft-deleted sessions are treated as missing unless `includeDeleted` is set.
+ * `attributes` limits the attributes read (deletedAt is always read).
  */
-export async function getSession(sessionId) {
+export async function getSession(sessionId, { includeDeleted = false, attributes = null } = {}) {
   const pk = `SESSION#${sessionId}`;
   const sk = '#METADATA';
   
   logger.debug('Fetching session', { sessionId });
-  return await getItem(pk, sk);
+  const item = await getItem(pk, sk, attributes ? buildProjectionExpression([...attributes, 'deletedAt']) : {});
+  
+  if (item?.deletedAt && !includeDeleted) {
+    return null;
+  }
+  return item;
 }
 
 /**
  * Create session metadata item
  * Add event one method creation
  * Checked 
+ * 
+ * The write is conditional on the session not existing yet; re-creating an
+ * existing sessionId throws ConflictError instead of overwriting it.
  */
 export async function createSession(sessionData) {
   const timestamp = new Date().toISOString();
@@ -65,8 +126,10 @@ export async function createSession(sessionData) {
     ipAddress: sessionData.ipAddress || null,
     status: sessionData.status || 'active',
     stepsTaken: sessionData.stepsTaken || 0,
+    version: 1,
     createdAt: timestamp,
     updatedAt: timestamp,
+    expiresAt: sessionData.expiresAt,
     metadata: sessionData.metadata || {}
   };
   
@@ -77,66 +140,281 @@ export async function createSession(sessionData) {
   }
   
   logger.info('Creating session', { sessionId: sessionData.sessionId });
-  return await putItem(item);
+  
+  try {
+    return await putItem(item, { conditionExpression: 'attribute_not_exists(PK)' });
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      throw new ConflictError(`Session already exists: ${sessionData.sessionId}`, 'SESSION_EXISTS');
+    }
+    throw error;
+  }
 }
 
 /**
  * Update session metadata
+ * 
+ * Only the given attributes are written and `version` is bumped. When
+ * `expectedVersion` is passed the write is conditional on it and a mismatch
+ * throws ConflictError. Returns { before, after } images of the item, or null
+ * when the session does not exist or is soft-deleted.
  */
-export async function updateSession(sessionId, updates) {
-  const existing = await getSession(sessionId);
+export async function updateSession(sessionId, updates, { expectedVersion = null } = {}) {
+  logger.info('Updating session', { sessionId, updates, expectedVersion });
   
+  try {
+    return await updateItemWithImages(
+      `SESSION#${sessionId}`,
+      '#METADATA',
+      { ...updates, updatedAt: new Date().toISOString() },
+      {
+        increments: { version: 1 },
+        conditionExpression: `attribute_exists(PK) AND ${NOT_DELETED}`,
+        expectedVersion
+      }
+    );
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+  }
+  
+  const existing = expectedVersion === null ? null : await getSession(sessionId);
   if (!existing) {
     return null;
   }
   
-  const updated = {
-    ...existing,
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
-  
-  logger.info('Updating session', { sessionId, updates });
-  return await putItem(updated);
+  throw new ConflictError(
+    `Session ${sessionId} has been modified (current version ${existing.version || 0})`,
+    'VERSION_CONFLICT'
+  );
 }
 
+/**
+ * Push the TTL (expiresAt) of the session and all its events out to `expiresAt`
+ * 
+ * Change records (HISTORY#) are extended too, so the history lives as long as
+ * the session; the TTL is the only attribute of a record this writes.
+ * Items that already expire later are left alone, so retention only ever grows.
+ * Returns the number of items updated.
+ */
+export async function extendSessionRetention(sessionId, expiresAt) {
+  logger.info('Extending session retention', { sessionId, expiresAt });
+  
+  const items = await queryItems(
+    'PK = :pk',
+    { ':pk': `SESSION#${sessionId}` }
+  );
+  
+  let updated = 0;
+  
+  for (const item of items) {
+    if (item.expiresAt && item.expiresAt >= expiresAt) {
+      continue;
+    }
+    
+    try {
+      await updateItem(item.PK, item.SK, { expiresAt }, {
+        conditionExpression: 'attribute_exists(PK) AND (attribute_not_exists(expiresAt) OR expiresAt < :expiresAt)',
+        conditionValues: { ':expiresAt': expiresAt }
+      });
+      updated++;
+    } catch (error) {
+      // Deleted or extended further in the meantime
+      if (!(error instanceof ConditionalCheckFailedError)) {
+        throw error;
+      }
+    }
+  }
+  
+  return updated;
+}
 
 /**
  * Query sessions by externalId (using GSI1)
+ * 
+ * Returns { items, nextToken } where nextToken is null on the last page.
+ * `attributes` limits the attributes read.
  */
-export async function getSessionsByExternalId(externalId, limit = 50) {
-  logger.debug('Querying sessions by externalId', { externalId });
+export async function getSessionsByExternalId(externalId, { limit = 50, nextToken, attributes = null } = {}) {
+  const gsi1pk = `USER#${externalId}`;
   
-  const items = await queryItems(
+  logger.debug('Querying sessions by externalId', { externalId, limit });
+  
+  const page = await queryPage(
     'GSI1PK = :gsi1pk',
     {
-      ':gsi1pk': `USER#${externalId}`
+      ':gsi1pk': gsi1pk
     },
-    config.gsi1Name,
-    limit
+    {
+      indexName: config.gsi1Name,
+      limit,
+      exclusiveStartKey: decodeCursor(nextToken, gsi1pk),
+      ...(attributes && buildProjectionExpression(attributes))
+    }
   );
   
-  return items;
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, gsi1pk)
+  };
 }
 
 /**
- * Delete session and all its events
+ * Soft-delete a session
+ * 
+ * Tombstones the metadata item with `deletedAt` and moves it to the GSI1
+ * trash partition, so the session disappears from reads and user listings
+ * but stays restorable until purged. Returns { before, after } images of the
+ * item, or null when the session does not exist (or is already deleted). When
+ * `expectedVersion` is passed a version mismatch throws ConflictError.
  */
-export async function deleteSession(sessionId) {
-  logger.info('Deleting session and all events', { sessionId });
+export async function deleteSession(sessionId, { expectedVersion = null } = {}) {
+  logger.info('Deleting session', { sessionId, expectedVersion });
   
-  // First, get all items for this session
-  const items = await queryItems(
-    'PK = :pk',
-    { ':pk': `SESSION#${sessionId}` }
+  const deletedAt = new Date().toISOString();
+  
+  try {
+    return await updateItemWithImages(
+      `SESSION#${sessionId}`,
+      '#METADATA',
+      {
+        deletedAt,
+        updatedAt: deletedAt,
+        GSI1PK: TRASH_PARTITION,
+        GSI1SK: `${deletedAt}#${sessionId}`
+      },
+      {
+        increments: { version: 1 },
+        conditionExpression: `attribute_exists(PK) AND ${NOT_DELETED}`,
+        expectedVersion
+      }
+    );
+  } catch (error) {
+    if (!(error instanceof ConditionalCheckFailedError)) {
+      throw error;
+    }
+  }
+  
+  const existing = expectedVersion === null ? null : await getSession(sessionId);
+  if (!existing) {
+    return null;
+  }
+  
+  throw new ConflictError(
+    `Session ${sessionId} has been modified (current version ${existing.version || 0})`,
+    'VERSION_CONFLICT'
   );
+}
+
+/**
+ * Restore a soft-deleted session
+ * 
+ * Clears the tombstone and puts the session back into its user's GSI1
+ * partition. Returns { before, after } images of the item, or null when the
+ * session is not in the trash.
+ */
+export async function restoreSession(sessionId) {
+  const existing = await getSession(sessionId, { includeDeleted: true });
   
-  // Delete each item
-  for (const item of items) {
-    await deleteItem(item.PK, item.SK);
+  if (!existing?.deletedAt) {
+    return null;
+  }
+  
+  logger.info('Restoring session', { sessionId });
+  
+  const updates = { updatedAt: new Date().toISOString() };
+  const removals = ['deletedAt'];
+  
+  if (existing.externalId) {
+    updates.GSI1PK = `USER#${existing.externalId}`;
+    updates.GSI1SK = `SESSION#${existing.createdAt}`;
+  } else {
+    removals.push('GSI1PK', 'GSI1SK');
+  }
+  
+  try {
+    return await updateItemWithImages(`SESSION#${sessionId}`, '#METADATA', updates, {
+      increments: { version: 1 },
+      removals,
+      conditionExpression: 'deletedAt = :deletedAt',
+      conditionValues: { ':deletedAt': existing.deletedAt }
+    });
+  } catch (error) {
+    // Restored or purged in the meantime
+    if (error instanceof ConditionalCheckFailedError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List soft-deleted sessions, oldest deletion first
+ * 
+ * `deletedBefore` (ISO timestamp) limits the listing to sessions deleted
+ * before that time. Returns { items, nextToken }.
+ */
+export async function getDeletedSessions({ limit = 50, nextToken, deletedBefore = null } = {}) {
+  logger.debug('Querying deleted sessions', { limit, deletedBefore });
+  
+  let keyCondition = 'GSI1PK = :gsi1pk';
+  const values = { ':gsi1pk': TRASH_PARTITION };
+  
+  if (deletedBefore) {
+    keyCondition += ' AND GSI1SK < :deletedBefore';
+    values[':deletedBefore'] = deletedBefore;
   }
   
-  logger.info('Session deleted', { sessionId, itemsDeleted: items.length });
-  return items.length;
+  const page = await queryPage(keyCondition, values, {
+    indexName: config.gsi1Name,
+    limit,
+    exclusiveStartKey: decodeCursor(nextToken, TRASH_PARTITION)
+  });
+  
+  return {
+    items: page.items,
+    nextToken: encodeCursor(page.lastEvaluatedKey, TRASH_PARTITION)
+  };
 }
 
+/**
+ * Permanently delete a soft-deleted session and all its events
+ * 
+ * The metadata item is deleted first, conditional on it still being in the
+ * trash; if it was restored in the meantime nothing is deleted. The other
+ * items go in 25-item batches (unprocessed ones retried); the change records
+ * (HISTORY#) are the audit trail and are left to expire. Returns the number
+ * of items deleted.
+ */
+export async function purgeSession(sessionId) {
+  logger.info('Purging session and all events', { sessionId });
+  
+  const pk = `SESSION#${sessionId}`;
+  
+  try {
+    await deleteItem(pk, '#METADATA', { conditionExpression: 'attribute_exists(deletedAt)' });
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedError) {
+      return 0;
+    }
+    throw error;
+  }
+  
+  // Get all remaining items for this session but its history
+  const items = (await queryItems(
+    'PK = :pk',
+    { ':pk': pk }
+  )).filter(item => !item.SK.startsWith('HISTORY#'));
+  
+  const report = await batchDeleteItems(items);
+  if (report.failed > 0) {
+    // The session is already gone, so no later run finds these; their TTL removes them
+    logger.error('Session purge left items behind', { sessionId, failed: report.failed });
+  }
+  
+  const deleted = report.succeeded + 1;
+  
+  logger.info('Session purged', { sessionId, itemsDeleted: deleted });
+  return deleted;
+}
@@ -0,0 +1,18 @@
+/**
+ * Table Repository - State of the table itself, for health checks
+ * 
+ * Access patterns:
+ * 1. Describe the table and its GSIs (DescribeTable, not an item read)
+ */
+
+import { describeTable } from '../shared/storage.js';
+import { logger } from '../shared/logger.js';
+
+/**
+ * Get the table status and its indexes: { status, indexes: [{ name, status }] }
+ */
+export async function getTableStatus() {
+  logger.debug('Describing table');
+  
+  return await describeTable();
+}
@@ -1,108 +1,559 @@
 /**
  * Routes - Maps HTTP paths to controllers
+ * 
+ * The route table is the single list of endpoints. Path templates use
+ * `{param}` segments, which the router passes to controllers as
+ * event.pathParameters. Add `middleware: [...]` to a route to run shared
+ * request handling in front of its controller (see shared/router.js).
+ * 
+ * `request` declares JSON Schemas for the route's path parameters, query
+ * string and body; requests are validated against them before the
+ * controller runs (see shared/requestValidation.js), and path parameters
+ * without one use shared/schemas.js params.
+ * 
+ * `scope` is the scope the caller's bearer token or API key must grant
+ * (see shared/authorization.js); routes without one are public. API keys
+ * are managed under /admin/api-keys or with src/scripts/api-keys.js.
+ * `rateLimited` routes are subject to the token-bucket limits per source IP,
+ * API key and sessionId (see shared/rateLimit.js), and `idempotent` routes
+ * replay their first response to retries with the same Idempotency-Key
+ * header (see shared/idempotency.js).
+ * 
+ * The remaining fields document the route for GET /openapi.json
+ * (see shared/openapi.js): summary and tags (with an operationId where
+ * two routes share a handler, and `deprecated` for superseded paths),
+ * `responses` as the schema of `data` per status code, and flags for
+ * paginated responses, ETag/If-Match and the error statuses it can return.
+ * `formats` lists the exports (csv, ndjson) a route also serves, chosen by
+ * ?format= or the Accept header (see shared/response.js exportResponse).
+ * 
+ * Routes are served under every API version, /v1/... and /v2/..., and
+ * unprefixed as v1 (see shared/apiVersion.js); `versions` restricts a route
+ * to some of them. `unversioned` routes (docs, probes) are served unprefixed
+ * only and answer the same whatever the version.
+ * Run `npm run openapi` after changing a route to refresh docs/openapi.json.
  */
 
 import { logger } from './shared/logger.js';
-import { errorResponseFromException } from './shared/response.js';
+import { errorResponseFromException, noContentResponse } from './shared/response.js';
+import { preflightHeaders } from './shared/cors.js';
+import { createRouter } from './shared/router.js';
+import { validateRequest } from './shared/requestValidation.js';
+import { requireScope } from './shared/authorization.js';
+import { rateLimit } from './shared/rateLimit.js';
+import { idempotent } from './shared/idempotency.js';
+import { apiVersion, routeVersions, parseVersionPrefix, API_VERSIONS, DEFAULT_VERSION } from './shared/apiVersion.js';
+import { NotFoundError, MethodNotAllowedError } from './shared/errors.js';
 import * as sessionController from './controller/sessionController.js';
 import * as eventController from './controller/eventController.js';
+import * as apiKeyController from './controller/apiKeyController.js';
+import * as docsController from './controller/docsController.js';
+import * as healthController from './controller/healthController.js';
+import { bodies, query, ref, wrapped } from './shared/schemas.js';
+
+export const routes = [
+  // === Session Management ===
+  {
+    method: 'POST',
+    path: '/sessions',
+    handler: sessionController.createSession,
+    summary: 'Create a session',
+    tags: ['Sessions'],
+    request: { body: bodies.createSession },
+    responses: { 201: wrapped('session', ref('SessionSummary')) },
+    scope: 'sessions:write',
+    rateLimited: true,
+    idempotent: true,
+    errors: [409]
+  },
+  {
+    method: 'PUT',
+    path: '/sessions/{sessionId}',
+    handler: sessionController.upsertSession,
+    summary: 'Get or create a session',
+    tags: ['Sessions'],
+    request: { body: bodies.upsertSession },
+    responses: { 200: ref('SessionUpserted'), 201: ref('SessionUpserted') },
+    // Never changes an existing session, so ingestion keys may call it
+    scope: 'sessions:write',
+    rateLimited: true,
+    errors: [409]
+  },
+  {
+    method: 'PATCH',
+    path: '/sessions/{sessionId}',
+    handler: sessionController.updateSession,
+    summary: 'Update a session',
+    tags: ['Sessions'],
+    request: { body: bodies.updateSession },
+    responses: { 200: wrapped('session', ref('SessionVersion')) },
+    ifMatch: true,
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{sessionId}',
+    handler: sessionController.handleGetSession,
+    summary: 'Get a session with its event timeline',
+    tags: ['Sessions'],
+    request: {
+      query: {
+        limit: query.limit(1000),
+        nextToken: query.nextToken,
+        eventType: query.eventType,
+        from: query.from,
+        to: query.to,
+        order: query.order,
+        latest: query.latest,
+        eventData: query.eventData,
+        fields: query.fields,
+        expand: query.expand('events')
+      }
+    },
+    responses: { 200: ref('SessionTimeline') },
+    formats: ['csv', 'ndjson'],
+    paginated: true,
+    etag: true,
+    scope: 'sessions:read',
+    errors: [404]
+  },
+  {
+    method: 'DELETE',
+    path: '/sessions/{sessionId}',
+    handler: sessionController.deleteSession,
+    summary: 'Move a session to the trash',
+    tags: ['Sessions'],
+    responses: { 200: ref('SessionDeleted') },
+    ifMatch: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{sessionId}/metadata',
+    handler: sessionController.handleGetSessionAnalytics,
+    summary: 'Get session analytics',
+    tags: ['Sessions'],
+    responses: { 200: ref('SessionAnalytics') },
+    scope: 'sessions:read',
+    errors: [404]
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{sessionId}/history',
+    handler: sessionController.handleGetSessionHistory,
+    summary: 'Get the change history of a session and its events',
+    tags: ['Sessions'],
+    request: { query: { limit: query.limit(100), nextToken: query.nextToken } },
+    responses: { 200: ref('SessionHistory') },
+    paginated: true,
+    scope: 'sessions:read',
+    errors: [404]
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{sessionId}/retention',
+    handler: sessionController.handleExtendRetention,
+    summary: 'Extend the retention of a session and its events',
+    tags: ['Sessions'],
+    request: { body: bodies.extendRetention },
+    responses: { 200: ref('RetentionExtended') },
+    scope: 'sessions:admin',
+    errors: [404]
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{sessionId}/restore',
+    handler: sessionController.restoreSession,
+    summary: 'Restore a session from the trash',
+    tags: ['Sessions'],
+    responses: { 200: ref('SessionVersion') },
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404]
+  },
+  {
+    method: 'GET',
+    path: '/users/{externalId}/sessions',
+    handler: sessionController.handleGetUserSessions,
+    summary: 'List the sessions of a user',
+    tags: ['Sessions'],
+    request: {
+      query: {
+        limit: query.limit(100),
+        nextToken: query.nextToken,
+        fields: query.fields,
+        expand: query.expand(),
+        includeAnalytics: query.includeAnalytics
+      }
+    },
+    responses: { 200: ref('UserSessions') },
+    formats: ['csv', 'ndjson'],
+    paginated: true,
+    scope: 'sessions:read'
+  },
+  {
+    method: 'GET',
+    path: '/admin/trash/sessions',
+    handler: sessionController.handleGetDeletedSessions,
+    summary: 'List sessions in the trash',
+    tags: ['Admin'],
+    request: { query: { limit: query.limit(100), nextToken: query.nextToken } },
+    responses: { 200: ref('DeletedSessions') },
+    paginated: true,
+    scope: 'sessions:admin'
+  },
+  
+  // === Event Tracking ===
+  {
+    method: 'POST',
+    path: '/events',
+    handler: eventController.trackEvent,
+    summary: 'Track an event',
+    tags: ['Events'],
+    request: { body: bodies.trackEvent },
+    responses: { 201: wrapped('event', ref('TrackedEvent')) },
+    scope: 'events:write',
+    rateLimited: true,
+    idempotent: true,
+    errors: [404]
+  },
+  {
+    method: 'POST',
+    path: '/events/batch',
+    handler: eventController.trackBatchEvents,
+    summary: 'Track up to 25 events',
+    tags: ['Events'],
+    request: { body: bodies.trackBatchEvents },
+    responses: { 201: ref('BatchResult') },
+    scope: 'events:write',
+    rateLimited: true,
+    idempotent: true
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{sessionId}/events/{eventId}',
+    handler: eventController.getEvent,
+    summary: 'Get an event',
+    tags: ['Events'],
+    responses: { 200: wrapped('event', ref('Event')) },
+    etag: true,
+    scope: 'sessions:read',
+    errors: [404]
+  },
+  {
+    method: 'PATCH',
+    path: '/sessions/{sessionId}/events/{eventId}',
+    handler: eventController.updateEvent,
+    summary: 'Update an event',
+    tags: ['Events'],
+    request: { body: bodies.updateEvent },
+    responses: { 200: wrapped('event', ref('EventVersion')) },
+    ifMatch: true,
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'DELETE',
+    path: '/sessions/{sessionId}/events/{eventId}',
+    handler: eventController.deleteEvent,
+    summary: 'Move an event to the trash',
+    tags: ['Events'],
+    responses: { 200: ref('EventDeleted') },
+    ifMatch: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{sessionId}/events/{eventId}/restore',
+    handler: eventController.restoreEvent,
+    summary: 'Restore an event from the trash',
+    tags: ['Events'],
+    responses: { 200: wrapped('event', ref('EventVersion')) },
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404, 409]
+  },
+  
+  // The former event URLs, which need the event's timestamp; kept in v1 for existing clients
+  {
+    method: 'GET',
+    path: '/events/{sessionId}/{eventId}/{timestamp}',
+    handler: eventController.getEvent,
+    operationId: 'getEventByTimestamp',
+    summary: 'Get an event',
+    tags: ['Events'],
+    deprecated: true,
+    versions: ['v1'],
+    responses: { 200: wrapped('event', ref('Event')) },
+    etag: true,
+    scope: 'sessions:read',
+    errors: [404]
+  },
+  {
+    method: 'PATCH',
+    path: '/events/{sessionId}/{eventId}/{timestamp}',
+    handler: eventController.updateEvent,
+    operationId: 'updateEventByTimestamp',
+    summary: 'Update an event',
+    tags: ['Events'],
+    deprecated: true,
+    versions: ['v1'],
+    request: { body: bodies.updateEvent },
+    responses: { 200: wrapped('event', ref('EventVersion')) },
+    ifMatch: true,
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'DELETE',
+    path: '/events/{sessionId}/{eventId}/{timestamp}',
+    handler: eventController.deleteEvent,
+    operationId: 'deleteEventByTimestamp',
+    summary: 'Move an event to the trash',
+    tags: ['Events'],
+    deprecated: true,
+    versions: ['v1'],
+    responses: { 200: ref('EventDeleted') },
+    ifMatch: true,
+    scope: 'sessions:admin',
+    errors: [404, 412]
+  },
+  {
+    method: 'POST',
+    path: '/events/{sessionId}/{eventId}/{timestamp}/restore',
+    handler: eventController.restoreEvent,
+    operationId: 'restoreEventByTimestamp',
+    summary: 'Restore an event from the trash',
+    tags: ['Events'],
+    deprecated: true,
+    versions: ['v1'],
+    responses: { 200: wrapped('event', ref('EventVersion')) },
+    etag: true,
+    scope: 'sessions:admin',
+    errors: [404, 409]
+  },
+  
+  // === API Keys ===
+  {
+    method: 'POST',
+    path: '/admin/api-keys',
+    handler: apiKeyController.createApiKey,
+    summary: 'Create an API key',
+    tags: ['Admin'],
+    request: { body: bodies.createApiKey },
+    responses: { 201: ref('ApiKeyIssued') },
+    scope: 'admin'
+  },
+  {
+    method: 'GET',
+    path: '/admin/api-keys',
+    handler: apiKeyController.listApiKeys,
+    summary: 'List API keys',
+    tags: ['Admin'],
+    request: { query: { limit: query.limit(100), nextToken: query.nextToken } },
+    responses: { 200: ref('ApiKeys') },
+    paginated: true,
+    scope: 'admin'
+  },
+  {
+    method: 'POST',
+    path: '/admin/api-keys/{keyId}/rotate',
+    handler: apiKeyController.rotateApiKey,
+    summary: 'Replace the secret of an API key',
+    tags: ['Admin'],
+    responses: { 200: ref('ApiKeyIssued') },
+    scope: 'admin',
+    errors: [404]
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/api-keys/{keyId}',
+    handler: apiKeyController.revokeApiKey,
+    summary: 'Revoke an API key',
+    tags: ['Admin'],
+    responses: { 200: wrapped('apiKey', ref('ApiKey')) },
+    scope: 'admin',
+    errors: [404]
+  },
+  
+  // === API Documentation ===
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    handler: docsController.getOpenApiSpec,
+    summary: 'OpenAPI description of this API',
+    tags: ['Docs'],
+    responses: { 200: { type: 'object' } },
+    envelope: false,
+    unversioned: true
+  },
+  {
+    method: 'GET',
+    path: '/docs',
+    handler: docsController.getDocs,
+    summary: 'Swagger UI for this API',
+    tags: ['Docs'],
+    responses: { 200: { type: 'string' } },
+    contentType: 'text/html',
+    envelope: false,
+    unversioned: true
+  },
+  
+  // === Health ===
+  {
+    method: 'GET',
+    path: '/health',
+    handler: healthController.getHealth,
+    summary: 'Liveness probe',
+    tags: ['Health'],
+    responses: { 200: ref('Health') },
+    unversioned: true
+  },
+  {
+    method: 'GET',
+    path: '/health/ready',
+    handler: healthController.getReadiness,
+    summary: 'Readiness probe checking configuration, table and GSIs',
+    tags: ['Health'],
+    responses: { 200: ref('Readiness'), 503: ref('Readiness') },
+    unversioned: true
+  }
+];
 
 /**
- * Route the incoming request to appropriate handler
+ * A route with its middleware, served under `version` (null when unversioned)
+ * 
+ * The version serializes whatever the route answers. Routes with a scope
+ * check the caller first, then every request is validated against its
+ * route's schemas, rate limited and matched to an earlier response by
+ * Idempotency-Key before any other middleware.
  */
-export async function route(event) {
-  const method = event.requestContext.http.method;
-  let path = event.requestContext.http.path;
+function withMiddleware(route, version, options) {
+  return {
+    ...route,
+    middleware: [
+      ...(version ? [apiVersion(version, route, options)] : []),
+      ...(route.scope ? [requireScope(route.scope)] : []),
+      validateRequest(route),
+      ...(route.rateLimited ? [rateLimit()] : []),
+      ...(route.idempotent ? [idempotent()] : []),
+      ...(route.middleware || [])
+    ]
+  };
+}
+
+const servedIn = version => route => routeVersions(route).includes(version);
+
+// Unprefixed paths serve the unversioned routes and DEFAULT_VERSION, and
+// every version is served under its prefix
+const rootRouter = createRouter([
+  ...routes.filter(route => route.unversioned).map(route => withMiddleware(route, null)),
+  ...routes.filter(servedIn(DEFAULT_VERSION)).map(route => withMiddleware(route, DEFAULT_VERSION, { prefixed: false }))
+]);
+
+const versionRouters = Object.fromEntries(Object.keys(API_VERSIONS).map(version => [
+  version,
+  createRouter(routes.filter(servedIn(version)).map(route => withMiddleware(route, version)))
+]));
+
+const unversionedRouter = createRouter(routes.filter(route => route.unversioned));
+
+/**
+ * Path of a request as routed, without the stage and a trailing slash
+ */
+function requestPath(event) {
+  let path = event.requestContext?.http?.path || '/';
   
   // Strip stage prefix from path (e.g., /dev/sessions -> /sessions)
-  const stage = event.requestContext.stage;
+  const stage = event.requestContext?.stage;
   if (stage && path.startsWith(`/${stage}/`)) {
     path = path.substring(stage.length + 1);
   }
   
-  logger.info('Routing request', { method, path, stage });
+  // Ignore a trailing slash (/sessions/ -> /sessions)
+  if (path.length > 1 && path.endsWith('/')) {
+    path = path.slice(0, -1);
+  }
+  
+  return path;
+}
+
+// The health probes' paths; they are unversioned, so never prefixed
+const HEALTH_PATH = /^\/health(\/ready)?$/;
+
+/**
+ * Whether a request is for a health probe (GET /health or /health/ready)
+ */
+export function isHealthProbe(event) {
+  return HEALTH_PATH.test(requestPath(event));
+}
+
+/**
+ * API version a request is served under, whether or not a route answers it
+ * 
+ * The version of its prefix; unprefixed paths are DEFAULT_VERSION, except
+ * the paths of unversioned routes (null).
+ */
+export function requestVersion(event) {
+  const { version, path } = parseVersionPrefix(requestPath(event));
+  if (version) {
+    return version;
+  }
+  return unversionedRouter.match(event.requestContext?.http?.method, path) ? null : DEFAULT_VERSION;
+}
+
+/**
+ * Route the incoming request to appropriate handler
+ * 
+ * Unknown paths get 404, known paths with the wrong method 405 with an Allow
+ * header, and OPTIONS on a known path is answered as a CORS preflight.
+ */
+export async function route(event) {
+  const method = event.requestContext.http.method;
+  const stage = event.requestContext.stage;
+  const path = requestPath(event);
+  const { version, path: routePath } = parseVersionPrefix(path);
+  
+  logger.info('Routing request', { method, path, stage, version });
   
   try {
-    // === Session Management ===
-    
-    // Create session
-    // Gang already was here full flow
-    // ✅ TESTED & WORKING - 2026-01-27 - Successfully creates session with provided sessionId
-    if (method === 'POST' && path === '/sessions') {
-      return await sessionController.createSession(event);
-    }
-    
-    // Update session
-    // Gang already was here full flow
-    // ✅ TESTED & WORKING - 2026-01-27 - Successfully updates session status and metadata
-    if (method === 'PATCH' && path.match(/^\/sessions\/[^/]+$/) && !path.includes('/analytics')) {
-      return await sessionController.updateSession(event);
-    }
-    
-    // Get session metadata
-    // ✅ TESTED & WORKING - 2026-01-27 - Returns analytics: event breakdown, funnel, duration
-    if (method === 'GET' && path.match(/^\/sessions\/[^/]+\/metadata$/)) {
-      return await sessionController.handleGetSessionAnalytics(event);
-    }
-    
-    // Get session events timeline
-    // ✅ TESTED & WORKING - 2026-01-27 - Successfully retrieves session with events timeline
-    if (method === 'GET' && path.match(/^\/sessions\/[^/]+$/)) {
-      return await sessionController.handleGetSession(event);
-    }
-    
-    // Get sessions for user
-    // ✅ TESTED & WORKING - 2026-01-27 - Returns user sessions with summary statistics
-    if (method === 'GET' && path.match(/^\/users\/[^/]+\/sessions$/)) {
-      return await sessionController.handleGetUserSessions(event);
-    }
-    
-    // Delete session
-    if (method === 'DELETE' && path.match(/^\/sessions\/[^/]+$/) && !path.includes('/metadata')) {
-      return await sessionController.deleteSession(event);
-    }
-    
-    // === Event Tracking ===
+    const router = version ? versionRouters[version] : rootRouter;
+    const matched = router.match(method, routePath);
     
-    // Track single event
-    // ✅ TESTED & WORKING - 2026-01-27 - Successfully tracks events and increments stepsTaken
-    if (method === 'POST' && path === '/events') {
-      return await eventController.trackEvent(event);
-    }
-    
-    // Track batch events
-    // ✅ TESTED & WORKING - 2026-01-27 - Batch processes multiple events with validation
-    if (method === 'POST' && path === '/events/batch') {
-      return await eventController.trackBatchEvents(event);
-    }
-    
-    // Get single event
-    if (method === 'GET' && path.match(/^\/events\/[^/]+\/[^/]+\/[^/]+$/)) {
-      return await eventController.getEvent(event);
+    // Route not found
+    if (!matched) {
+      logger.warn('Route not found', { method, path });
+      return errorResponseFromException(new NotFoundError(`Route not found: ${method} ${path}`, 'route'));
     }
     
-    // Update event
-    if (method === 'PATCH' && path.match(/^\/events\/[^/]+\/[^/]+\/[^/]+$/)) {
-      return await eventController.updateEvent(event);
+    if (!matched.route) {
+      // CORS preflight, allowing the methods registered for the path
+      if (method === 'OPTIONS') {
+        return noContentResponse(preflightHeaders(matched.allowedMethods));
+      }
+      
+      logger.warn('Method not allowed', { method, path });
+      return errorResponseFromException(
+        new MethodNotAllowedError(`Method not allowed: ${method} ${path}`, matched.allowedMethods),
+        { Allow: [...matched.allowedMethods, 'OPTIONS'].join(',') }
+      );
     }
     
-    // Delete event
-    if (method === 'DELETE' && path.match(/^\/events\/[^/]+\/[^/]+\/[^/]+$/)) {
-      return await eventController.deleteEvent(event);
-    }
-        
-    // Route not found
-    logger.warn('Route not found', { method, path });
-    return errorResponseFromException({
-      message: `Route not found: ${method} ${path}`,
-      name: 'NotFoundError',
-      statusCode: 404
+    return await matched.route.run({
+      ...event,
+      pathParameters: { ...event.pathParameters, ...matched.params }
     });
     
   } catch (error) {
-    logger.error('Unhandled error in router', { 
-      error: error.message, 
-      stack: error.stack 
+    logger.error('Unhandled error in router', {
+      error: error.message,
+      stack: error.stack
     });
     return errorResponseFromException(error);
   }
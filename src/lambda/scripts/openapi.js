@@ -0,0 +1,106 @@
+/**
+ * Generate or check docs/openapi.json
+ *
+ * The spec is built from the route table in routes.js. Usage:
+ *   node scripts/openapi.js          write docs/openapi.json
+ *   node scripts/openapi.js --check  fail if the routes, the committed spec
+ *                                    and infrastructure/template.yaml disagree
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname } from 'node:path';
+import { routes } from '../routes.js';
+import { buildOpenApiSpec, findUndocumentedRoutes, routeEndpoints } from '../shared/openapi.js';
+
+const SPEC_PATH = fileURLToPath(new URL('../../../docs/openapi.json', import.meta.url));
+const TEMPLATE_PATH = fileURLToPath(new URL('../../../infrastructure/template.yaml', import.meta.url));
+
+/**
+ * "METHOD /path" pairs of the HttpApi events in the SAM template
+ */
+function templateEndpoints() {
+  const template = readFileSync(TEMPLATE_PATH, 'utf8');
+  const endpoints = [];
+
+  for (const match of template.matchAll(/^\s+Path: (\S+)\s*\n\s+Method: (\S+)/gm)) {
+    endpoints.push(`${match[2].toUpperCase()} ${match[1]}`);
+  }
+
+  return endpoints;
+}
+
+/**
+ * Whether a template endpoint routes a request to an endpoint; ANY and
+ * greedy {proxy+} paths (e.g. ANY /v2/{proxy+}) match several, and OPTIONS
+ * matches the preflights of every endpoint
+ */
+function covers(deployedEndpoint, endpoint) {
+  const [deployedMethod, deployedPath] = deployedEndpoint.split(' ');
+  const [method, path] = endpoint.split(' ');
+
+  if (!['ANY', 'OPTIONS', method].includes(deployedMethod)) {
+    return false;
+  }
+
+  return deployedPath.endsWith('/{proxy+}')
+    ? path.startsWith(deployedPath.slice(0, -'{proxy+}'.length))
+    : deployedPath === path;
+}
+
+/**
+ * Differences between the route table, template.yaml and the committed spec
+ */
+function findDrift(rendered) {
+  const problems = findUndocumentedRoutes(routes);
+
+  const routed = routeEndpoints(routes).map(({ method, path }) => `${method} ${path}`);
+  const deployed = templateEndpoints();
+
+  // A preflight route sends OPTIONS to the function, not the route's own method
+  const routing = deployed.filter(d => !d.startsWith('OPTIONS '));
+
+  for (const endpoint of routed.filter(e => !routing.some(d => covers(d, e)))) {
+    problems.push(`${endpoint}: in routes.js but not in template.yaml`);
+  }
+  for (const endpoint of deployed.filter(d => !routed.some(e => covers(d, e)))) {
+    problems.push(`${endpoint}: in template.yaml but not in routes.js`);
+  }
+
+  let committed = null;
+  try {
+    committed = readFileSync(SPEC_PATH, 'utf8');
+  } catch (error) {
+    problems.push('docs/openapi.json is missing');
+  }
+
+  if (committed !== null && committed !== rendered) {
+    problems.push('docs/openapi.json is out of date with routes.js');
+  }
+
+  return problems;
+}
+
+function main() {
+  const rendered = `${JSON.stringify(buildOpenApiSpec(routes), null, 2)}\n`;
+
+  if (process.argv.includes('--check')) {
+    const problems = findDrift(rendered);
+
+    if (problems.length > 0) {
+      console.error('OpenAPI check failed:');
+      problems.forEach(problem => console.error(`  - ${problem}`));
+      console.error('Run `npm run openapi` to regenerate docs/openapi.json.');
+      process.exit(1);
+    }
+
+    console.log(`OpenAPI check passed (${routes.length} routes)`);
+    return;
+  }
+
+  mkdirSync(dirname(SPEC_PATH), { recursive: true });
+  writeFileSync(SPEC_PATH, rendered);
+  console.log(`Wrote ${SPEC_PATH} (${routes.length} routes)`);
+}
+
+main();
@@ -0,0 +1,40 @@
+/**
+ * v1 serializer - The { success, data } envelope
+ * 
+ * Controllers answer in the v1 shape (see shared/response.js), so responses
+ * pass through unchanged. Also used for the unversioned routes (docs, health
+ * probes), which answer with the same envelope.
+ */
+
+/**
+ * Shape a controller response for v1
+ */
+export function serialize(response) {
+  return response;
+}
+
+/**
+ * OpenAPI schema of a response body, around the schema of its data
+ * 
+ * Data returned with an error status (e.g. a failed readiness report) comes
+ * with `success: false`.
+ */
+export function schema(dataSchema, route, status = 200) {
+  const properties = {
+    success: { const: Number(status) < 400 },
+    data: dataSchema
+  };
+  
+  if (route.paginated) {
+    properties.nextToken = {
+      type: ['string', 'null'],
+      description: 'Pass as ?nextToken= to get the next page; null on the last page'
+    };
+  }
+  
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties)
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * v2 serializer - Resources without the envelope
+ * 
+ * The body of a successful JSON response is the v1 `data`, except that a
+ * resource the route wraps in a single property (wrapped() in its
+ * `responses`, e.g. { event: {...} }) is returned as itself, and paginated
+ * routes return nextToken beside their data. Errors (problem+json),
+ * exports and routes without the envelope are left alone.
+ */
+
+import { wrapperName } from '../shared/schemas.js';
+
+const NEXT_TOKEN = {
+  type: ['string', 'null'],
+  description: 'Pass as ?nextToken= to get the next page; null on the last page'
+};
+
+/**
+ * Data schema a route declares for a status
+ * 
+ * Statuses the route does not list (e.g. 200 for a replayed 201) use its
+ * first response.
+ */
+function declaredSchema(route, statusCode) {
+  const responses = route.responses || {};
+  return responses[statusCode] || Object.values(responses)[0];
+}
+
+/**
+ * Shape a controller response for v2
+ */
+export function serialize(response, route) {
+  if (route.envelope === false || !response.headers?.['Content-Type']?.startsWith('application/json')) {
+    return response;
+  }
+  
+  const { data, nextToken } = JSON.parse(response.body);
+  const name = wrapperName(declaredSchema(route, response.statusCode));
+  const resource = name ? data[name] : data;
+  
+  return {
+    ...response,
+    body: JSON.stringify(route.paginated ? { ...resource, nextToken: nextToken || null } : resource)
+  };
+}
+
+/**
+ * OpenAPI schema of a response body, from the schema of its v1 data
+ */
+export function schema(dataSchema, route) {
+  const name = wrapperName(dataSchema);
+  const resource = name ? dataSchema.properties[name] : dataSchema;
+  
+  if (!route.paginated) {
+    return resource;
+  }
+  
+  return {
+    allOf: [
+      resource,
+      { type: 'object', properties: { nextToken: NEXT_TOKEN }, required: ['nextToken'] }
+    ]
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * API key domain service - Issue, verify and revoke ingestion credentials
+ * 
+ * A key reads `stk_<keyId>_<secret>`. The keyId locates the stored record;
+ * only a SHA-256 hash of the whole key is stored, so a key is shown once,
+ * when it is created or rotated, and cannot be recovered afterwards.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import * as repository from '../repositories/apiKeyRepository.js';
+import { generateSortableId } from '../shared/ids.js';
+import { logger } from '../shared/logger.js';
+import { config } from '../shared/config.js';
+import { API_KEY_SCOPES } from '../shared/validator.js';
+import {
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  ForbiddenError
+} from '../shared/errors.js';
+
+const KEY_PATTERN = /^stk_([0-9A-Z]{26})_([A-Za-z0-9_-]{43})$/;
+
+// Verified keys by keyId: { key, expires }
+const cache = new Map();
+
+function hashKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Generate a new key for `keyId`, returning it with its hash
+ */
+function generateKey(keyId) {
+  const apiKey = `stk_${keyId}_${randomBytes(32).toString('base64url')}`;
+  return { apiKey, keyHash: hashKey(apiKey) };
+}
+
+/**
+ * Public view of a key record (never includes the hash)
+ */
+function toPublicKey(record) {
+  return {
+    keyId: record.keyId,
+    name: record.name,
+    scopes: record.scopes,
+    allowedOrigins: record.allowedOrigins,
+    createdAt: record.createdAt,
+    rotatedAt: record.rotatedAt || null,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError('scopes must be a non-empty array', 'scopes', null, 'API_KEY_SCOPES_INVALID');
+  }
+  if (scopes.includes('admin')) {
+    throw new ValidationError('API keys cannot be granted admin; manage keys with a bearer token', 'scopes', null, 'API_KEY_SCOPES_INVALID');
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')} (expected ${API_KEY_SCOPES.join(', ')})`, 'scopes', null, 'API_KEY_SCOPES_INVALID');
+  }
+}
+
+/**
+ * Create an API key
+ * 
+ * `allowedOrigins` restricts the key to browser requests from those origins
+ * (e.g. https://shop.example.com); an empty list allows any caller.
+ * Returns { apiKey, key } where `key` is the plaintext key, shown only now.
+ */
+export async function createApiKey({ name, scopes, allowedOrigins = [] }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ValidationError('name is required', 'name', null, 'FIELD_REQUIRED');
+  }
+  validateScopes(scopes);
+  
+  const keyId = generateSortableId();
+  const { apiKey, keyHash } = generateKey(keyId);
+  
+  const record = await repository.createApiKey({
+    keyId,
+    name: name.trim(),
+    keyHash,
+    scopes: [...new Set(scopes)],
+    allowedOrigins: [...new Set(allowedOrigins)],
+    createdAt: new Date().toISOString()
+  });
+  
+  return { apiKey: toPublicKey(record), key: apiKey };
+}
+
+/**
+ * List API keys, including revoked ones
+ * 
+ * Returns { apiKeys, nextToken }.
+ */
+export async function listApiKeys({ limit = 50, nextToken } = {}) {
+  const page = await repository.listApiKeys({ limit, nextToken });
+  
+  return {
+    apiKeys: page.items.map(toPublicKey),
+    nextToken: page.nextToken
+  };
+}
+
+/**
+ * Replace the secret of an API key; the previous key stops working
+ * 
+ * Returns { apiKey, key } where `key` is the new plaintext key.
+ */
+export async function rotateApiKey(keyId) {
+  const { apiKey, keyHash } = generateKey(keyId);
+  
+  const record = await repository.rotateApiKey(keyId, keyHash);
+  if (!record) {
+    throw new NotFoundError(`Active API key not found: ${keyId}`, 'apiKey');
+  }
+  
+  cache.delete(keyId);
+  
+  return { apiKey: toPublicKey(record), key: apiKey };
+}
+
+/**
+ * Revoke an API key
+ */
+export async function revokeApiKey(keyId) {
+  const record = await repository.revokeApiKey(keyId);
+  if (!record) {
+    throw new NotFoundError(`Active API key not found: ${keyId}`, 'apiKey');
+  }
+  
+  cache.delete(keyId);
+  
+  return toPublicKey(record);
+}
+
+/**
+ * Load a key record, through the per-container cache
+ */
+async function loadKey(keyId) {
+  const cached = cache.get(keyId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.key;
+  }
+  
+  const key = await repository.getApiKey(keyId);
+  if (key && config.apiKeys.cacheSeconds > 0) {
+    cache.set(keyId, { key, expires: Date.now() + config.apiKeys.cacheSeconds * 1000 });
+  }
+  
+  return key;
+}
+
+/**
+ * Verify an API key for a request
+ * 
+ * Throws UnauthorizedError for an unknown or revoked key and ForbiddenError
+ * when the request's Origin is not allowed for the key. Returns the public
+ * view of the key; its scopes are checked per route.
+ */
+export async function authenticate(apiKey, { origin = null } = {}) {
+  const match = KEY_PATTERN.exec(apiKey);
+  const record = match ? await loadKey(match[1]) : null;
+  
+  const presented = Buffer.from(hashKey(apiKey), 'hex');
+  const stored = record ? Buffer.from(record.keyHash, 'hex') : null;
+  
+  if (!stored || stored.length !== presented.length || !timingSafeEqual(stored, presented) || record.revokedAt) {
+    logger.warn('API key rejected', { keyId: match?.[1] || null });
+    throw new UnauthorizedError('Invalid API key', 'API_KEY_INVALID');
+  }
+  
+  // Browsers always send Origin on these requests, so a key limited to some
+  // origins is only usable from pages served there
+  if (record.allowedOrigins.length > 0 && !record.allowedOrigins.includes(origin)) {
+    throw new ForbiddenError(`API key is not allowed from origin ${origin || '(none)'}`, 'ORIGIN_NOT_ALLOWED');
+  }
+  
+  return toPublicKey(record);
+}
@@ -0,0 +1,65 @@
+/**
+ * Authentication service - Identify the caller of a request
+ * 
+ * A request carries at most one credential:
+ * - `Authorization: Bearer <jwt>`, for people and services reading or
+ *   administering data (scopes from the token)
+ * - `x-api-key: <key>`, for trackers writing sessions and events
+ *   (scopes granted to the key)
+ * 
+ * The result is the request's principal, { type, subject, scopes }; which
+ * scope a route needs is checked by shared/authorization.js.
+ */
+
+import * as apiKeyService from './apiKeyService.js';
+import { verifyJwt, tokenScopes } from '../shared/jwt.js';
+import { logger } from '../shared/logger.js';
+import { UnauthorizedError } from '../shared/errors.js';
+import { API_KEY_SCOPES } from '../shared/validator.js';
+
+/**
+ * Authenticate the credential of an API Gateway HTTP API event
+ * 
+ * Returns the principal, or null for an anonymous request. Throws
+ * UnauthorizedError / ForbiddenError for a credential that is present but
+ * not acceptable, so a bad credential never degrades to anonymous.
+ */
+export async function authenticateRequest(event) {
+  const headers = event.headers || {};
+  const authorization = headers.authorization;
+  const apiKey = headers['x-api-key'];
+  
+  if (authorization && apiKey) {
+    throw new UnauthorizedError('Send either a bearer token or an API key, not both', 'CREDENTIALS_AMBIGUOUS');
+  }
+  
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !token) {
+      throw new UnauthorizedError('Authorization header must be "Bearer <token>"', 'TOKEN_INVALID');
+    }
+    
+    const claims = verifyJwt(token);
+    
+    logger.debug('Bearer token verified', { subject: claims.sub });
+    
+    return {
+      type: 'user',
+      subject: claims.sub || null,
+      scopes: tokenScopes(claims)
+    };
+  }
+  
+  if (apiKey) {
+    const key = await apiKeyService.authenticate(apiKey, { origin: headers.origin || null });
+    
+    // Keys issued with other scopes before they were restricted keep only these
+    return {
+      type: 'apiKey',
+      subject: key.keyId,
+      scopes: key.scopes.filter(scope => API_KEY_SCOPES.includes(scope))
+    };
+  }
+  
+  return null;
+}
@@ -4,71 +4,136 @@
 
 import * as repository from '../repositories/eventRepository.js';
 import * as sessionRepository from '../repositories/sessionRepository.js';
+import { recordChange, redactHistory } from './historyService.js';
 import { logger } from '../shared/logger.js';
-import { NotFoundError, ValidationError } from '../shared/errors.js';
-import { validateSessionId, validateEventType, validateObject } from '../shared/validator.js';
-import { incrementSessionSteps } from './sessionService.js';
+import { NotFoundError, ValidationError, ConflictError, PreconditionFailedError, ERROR_CODES } from '../shared/errors.js';
+import { validateSessionId, validateEventType, validateObject, validateString } from '../shared/validator.js';
+import { eventExpiresAt, restorableUntil, purgeCutoff, idempotencyExpiresAt } from '../shared/retention.js';
+
+/**
+ * Surface a version clash on an If-Match write as 412 Precondition Failed
+ */
+function toPreconditionFailed(error) {
+  if (error instanceof ConflictError) {
+    return new PreconditionFailedError(error.message);
+  }
+  return error;
+}
+
+/**
+ * Result of tracking an event, for a new event or one replayed by clientEventId
+ */
+function trackedEvent(event, replayed = false) {
+  const result = {
+    eventId: event.eventId,
+    sessionId: event.sessionId,
+    eventType: event.eventType,
+    timestamp: event.timestamp
+  };
+  
+  if (event.clientEventId) {
+    result.clientEventId = event.clientEventId;
+  }
+  if (replayed) {
+    result.replayed = true;
+  }
+  
+  return result;
+}
 
 /**
  * Track an event for a session
+ * 
+ * The event is written and the session's stepsTaken incremented atomically;
+ * if the session does not exist nothing is written. The event's TTL follows
+ * the session's retention unless its event type has an override.
+ * 
+ * A client-generated clientEventId makes retries safe: for
+ * config.idempotency.ttlHours, tracking the same clientEventId in the session
+ * again returns the first event (with `replayed: true`) without writing.
+ * Options: { context } audit context of the request, for the change history
  */
-export async function trackEvent({ sessionId, eventType, eventData, userAgent, ipAddress }) {
+export async function trackEvent({ sessionId, eventType, eventData, userAgent, ipAddress, clientEventId = null }, options = {}) {
+  validateSessionId(sessionId);
   validateEventType(eventType);
   
-  // Verify session exists
+  // Validate eventData if provided
+  if (eventData !== null && eventData !== undefined) {
+    validateObject(eventData, 'eventData');
+  }
+  
+  if (clientEventId !== null && clientEventId !== undefined) {
+    validateString(clientEventId, 'clientEventId', { minLength: 1, maxLength: 128 });
+    
+    const tracked = await repository.getClientEvent(sessionId, clientEventId);
+    if (tracked) {
+      logger.info('Event already tracked for clientEventId', { sessionId, clientEventId, eventId: tracked.eventId });
+      return trackedEvent(tracked, true);
+    }
+  }
+  
   const session = await sessionRepository.getSession(sessionId);
   
   if (!session) {
     throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
   }
   
-  // Validate eventData if provided
-  if (eventData !== null && eventData !== undefined) {
-    validateObject(eventData, 'eventData');
-  }
-  
   logger.info('Tracking event', { sessionId, eventType });
   
-  // Create the event
-  const event = await repository.createEvent({
-    sessionId,
-    eventType,
-    eventData: eventData || {},
-    userAgent,
-    ipAddress
-  });
-  
-  // Increment session steps counter
+  // Create the event and bump the session's step counter
+  let event;
   try {
-    await incrementSessionSteps(sessionId);
-  } catch (error) {
-    logger.warn('Failed to increment session steps', { 
-      sessionId, 
-      error: error.message 
+    event = await repository.createEvent({
+      sessionId,
+      eventType,
+      eventData: eventData || {},
+      userAgent,
+      ipAddress,
+      expiresAt: eventExpiresAt(session, { eventType }),
+      clientEventId: clientEventId || null,
+      clientEventExpiresAt: clientEventId ? idempotencyExpiresAt() : null
     });
-    // Don't fail the entire operation if step increment fails
+  } catch (error) {
+    // A concurrent retry tracked the same clientEventId first
+    const tracked = error instanceof ConflictError && clientEventId
+      ? await repository.getClientEvent(sessionId, clientEventId)
+      : null;
+    if (!tracked) {
+      throw error;
+    }
+    return trackedEvent(tracked, true);
   }
   
-  return {
-    eventId: event.eventId,
-    sessionId: event.sessionId,
-    eventType: event.eventType,
-    timestamp: event.timestamp
-  };
+  if (!event) {
+    throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'event',
+    entityId: event.eventId,
+    action: 'create',
+    before: null,
+    after: event,
+    context: options.context
+  });
+  
+  return trackedEvent(event);
 }
 
 
 /**
  * Batch track multiple events (useful for offline sync)
  * Processes with controlled concurrency to avoid throttling
+ * Options: { context } audit context of the request, for the change history
  */
-export async function trackBatchEvents(events) {
+export async function trackBatchEvents(events, options = {}) {
   if (!Array.isArray(events) || events.length === 0) {
-    throw new ValidationError('events must be a non-empty array');
+    throw new ValidationError('events must be a non-empty array', 'events', null, 'BATCH_EMPTY');
   }
   
   if (events.length > 25) {
-    throw new ValidationError('Cannot track more than 25 events at once');
+    throw new ValidationError('Cannot track more than 25 events at once', 'events', null, 'BATCH_TOO_LARGE');
   }
   
   logger.info('Batch tracking events', { count: events.length });
@@ -84,17 +149,20 @@ export async function trackBatchEvents(events) {
     const batchPromises = batch.map(async (event, batchIdx) => {
       const globalIdx = i + batchIdx;
       try {
-        const result = await trackEvent(event);
+        const result = await trackEvent(event, options);
         return { index: globalIdx, success: true, ...result };
       } catch (error) {
         logger.error('Failed to track event in batch', { 
           index: globalIdx, 
           error: error.message 
         });
+        // Same code as the error would have as a response; never the details of a 5xx
+        const internal = !(error.statusCode < 500);
         return { 
           index: globalIdx, 
           success: false, 
-          error: error.message 
+          code: internal ? 'INTERNAL_ERROR' : error.code,
+          error: internal ? ERROR_CODES.INTERNAL_ERROR.title : error.message 
         };
       }
     });
@@ -121,14 +189,33 @@ export async function trackBatchEvents(events) {
 }
 
 /**
- * Get single event by ID
+ * Timestamp of an event, which is part of its key
+ * 
+ * Callers addressing an event by id alone pass timestamp null and it is
+ * looked up; throws NotFoundError when the session has no such event.
+ */
+async function eventTimestamp(sessionId, eventId, timestamp) {
+  if (timestamp) {
+    return timestamp;
+  }
+  
+  const found = await repository.findEventTimestamp(sessionId, eventId);
+  
+  if (!found) {
+    throw new NotFoundError(`Event not found: ${eventId}`, 'event');
+  }
+  return found;
+}
+
+/**
+ * Get single event by ID (timestamp optional, see eventTimestamp)
  */
-export async function getEvent(sessionId, eventId, timestamp) {
+export async function getEvent(sessionId, eventId, timestamp = null) {
   validateSessionId(sessionId);
   
   logger.info('Fetching event', { sessionId, eventId });
   
-  const event = await repository.getEvent(sessionId, eventId, timestamp);
+  const event = await repository.getEvent(sessionId, eventId, await eventTimestamp(sessionId, eventId, timestamp));
   
   if (!event) {
     throw new NotFoundError(`Event not found: ${eventId}`, 'event');
@@ -140,65 +227,210 @@ export async function getEvent(sessionId, eventId, timestamp) {
     eventType: event.eventType,
     eventData: event.eventData,
     timestamp: event.timestamp,
+    version: event.version || 0,
+    ...(event.clientEventId && { clientEventId: event.clientEventId }),
     userAgent: event.userAgent,
     ipAddress: event.ipAddress
   };
 }
 
 /**
- * Update an event
+ * Update an event (timestamp optional, see eventTimestamp)
+ * 
+ * A new eventType also restamps the event's TTL under the retention policy.
+ * Options: { expectedVersion } from If-Match; a mismatch throws PreconditionFailedError,
+ * { context } audit context of the request, for the change history
  */
-export async function updateEvent(sessionId, eventId, timestamp, updates) {
+export async function updateEvent(sessionId, eventId, timestamp, updates, options = {}) {
   validateSessionId(sessionId);
   
+  const allowedUpdates = ['eventType', 'eventData'];
+  const filteredUpdates = {};
+  
+  for (const key of Object.keys(updates)) {
+    if (allowedUpdates.includes(key)) {
+      filteredUpdates[key] = updates[key];
+    }
+  }
+  
+  if (Object.keys(filteredUpdates).length === 0) {
+    throw new ValidationError('No valid update fields provided', null, null, 'NO_UPDATE_FIELDS');
+  }
+  
   // Validate eventType if it's being updated
-  if (updates.eventType) {
-    validateEventType(updates.eventType);
+  if (filteredUpdates.eventType !== undefined) {
+    validateEventType(filteredUpdates.eventType);
   }
   
   // Validate eventData if it's being updated
-  if (updates.eventData !== undefined) {
-    validateObject(updates.eventData, 'eventData');
+  if (filteredUpdates.eventData !== undefined) {
+    validateObject(filteredUpdates.eventData, 'eventData');
   }
   
   logger.info('Updating event', { sessionId, eventId });
   
-  const updatedEvent = await repository.updateEvent(sessionId, eventId, timestamp, {
-    ...updates,
-    updatedAt: new Date().toISOString()
+  const key = await eventTimestamp(sessionId, eventId, timestamp);
+  
+  // Retention depends on the event type, so a new type gets the TTL trackEvent would have stamped
+  if (filteredUpdates.eventType !== undefined) {
+    const session = await sessionRepository.getSession(sessionId, { includeDeleted: true, attributes: ['externalId', 'expiresAt'] });
+    filteredUpdates.expiresAt = eventExpiresAt(session, { eventType: filteredUpdates.eventType, from: key });
+  }
+  
+  let images;
+  try {
+    images = await repository.updateEvent(sessionId, eventId, key, {
+      ...filteredUpdates,
+      updatedAt: new Date().toISOString()
+    }, {
+      expectedVersion: options.expectedVersion
+    });
+  } catch (error) {
+    throw toPreconditionFailed(error);
+  }
+  
+  if (!images) {
+    throw new NotFoundError(`Event not found: ${eventId}`, 'event');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'event',
+    entityId: eventId,
+    action: 'update',
+    ...images,
+    context: options.context
   });
   
+  const updatedEvent = images.after;
+  
   return {
     eventId: updatedEvent.eventId,
     sessionId: updatedEvent.sessionId,
     eventType: updatedEvent.eventType,
     eventData: updatedEvent.eventData,
-    timestamp: updatedEvent.timestamp
+    timestamp: updatedEvent.timestamp,
+    version: updatedEvent.version
   };
 }
 
 /**
- * Delete an event
+ * Soft-delete an event (timestamp optional, see eventTimestamp)
+ * 
+ * The event disappears from the timeline and analytics and can be restored
+ * until the trash grace period ends.
+ * Options: { expectedVersion } from If-Match; a mismatch throws PreconditionFailedError,
+ * { context } audit context of the request, for the change history
  */
-export async function deleteEvent(sessionId, eventId, timestamp) {
+export async function deleteEvent(sessionId, eventId, timestamp, options = {}) {
   validateSessionId(sessionId);
   
   logger.info('Deleting event', { sessionId, eventId });
   
-  await repository.deleteEvent(sessionId, eventId, timestamp);
+  const key = await eventTimestamp(sessionId, eventId, timestamp);
   
-  // Decrement session step counter
+  // Tombstones the event and decrements the session's step counter together
+  let images;
   try {
-    const session = await sessionRepository.getSession(sessionId);
-    if (session && session.stepsTaken > 0) {
-      await sessionRepository.updateSession(sessionId, {
-        stepsTaken: session.stepsTaken - 1,
-        updatedAt: new Date().toISOString()
-      });
-    }
+    images = await repository.deleteEvent(sessionId, eventId, key, {
+      expectedVersion: options.expectedVersion
+    });
   } catch (error) {
-    logger.warn('Failed to decrement session steps', { sessionId, error: error.message });
+    throw toPreconditionFailed(error);
   }
   
-  return { eventId, deleted: true };
+  if (!images) {
+    throw new NotFoundError(`Event not found: ${eventId}`, 'event');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'event',
+    entityId: eventId,
+    action: 'delete',
+    ...images,
+    context: options.context
+  });
+  
+  const { deletedAt } = images.after;
+  
+  return { eventId, deleted: true, deletedAt, restorableUntil: restorableUntil(deletedAt) };
+}
+
+/**
+ * Restore a soft-deleted event (timestamp optional, see eventTimestamp)
+ * 
+ * Throws ConflictError when the event's session is deleted.
+ * Options: { context } audit context of the request, for the change history
+ */
+export async function restoreEvent(sessionId, eventId, timestamp, options = {}) {
+  validateSessionId(sessionId);
+  
+  logger.info('Restoring event', { sessionId, eventId });
+  
+  const images = await repository.restoreEvent(sessionId, eventId, await eventTimestamp(sessionId, eventId, timestamp));
+  
+  if (!images) {
+    throw new NotFoundError(`Deleted event not found: ${eventId}`, 'event');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'event',
+    entityId: eventId,
+    action: 'restore',
+    ...images,
+    context: options.context
+  });
+  
+  const event = images.after;
+  
+  return {
+    eventId: event.eventId,
+    sessionId: event.sessionId,
+    eventType: event.eventType,
+    timestamp: event.timestamp,
+    version: event.version
+  };
+}
+
+/**
+ * Permanently remove events whose trash grace period has ended
+ * 
+ * Returns { eventsPurged }.
+ * Options: { context } audit context of the job, for the change history
+ */
+export async function purgeDeletedEvents(now = new Date(), options = {}) {
+  const deletedBefore = purgeCutoff(now);
+  let eventsPurged = 0;
+  let nextToken = null;
+  
+  logger.info('Purging deleted events', { deletedBefore });
+  
+  do {
+    const page = await repository.getDeletedEvents({ limit: 100, nextToken, deletedBefore });
+    
+    for (const event of page.items) {
+      if (await repository.purgeEvent(event.sessionId, event.eventId, event.timestamp)) {
+        eventsPurged++;
+        
+        // Keeping the purged data in the history would defeat the purge: redact
+        // the event's records and record only the tombstone
+        await redactHistory(event.sessionId, { entityId: event.eventId });
+        await recordChange({
+          sessionId: event.sessionId,
+          entityType: 'event',
+          entityId: event.eventId,
+          action: 'purge',
+          before: { deletedAt: event.deletedAt, version: event.version, expiresAt: event.expiresAt },
+          after: null,
+          context: options.context
+        });
+      }
+    }
+    
+    nextToken = page.nextToken;
+  } while (nextToken);
+  
+  return { eventsPurged };
 }
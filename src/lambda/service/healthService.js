@@ -0,0 +1,108 @@
+/**
+ * Health service - Liveness and readiness of this API instance
+ * 
+ * Liveness only says the Lambda runs. Readiness checks what every request
+ * depends on: a valid configuration (validateConfig), a reachable ACTIVE
+ * table and its ACTIVE GSIs, and reports each check with its latency.
+ */
+
+import * as repository from '../repositories/tableRepository.js';
+import { config, validateConfig } from '../shared/config.js';
+import { logger } from '../shared/logger.js';
+
+/**
+ * Build and runtime facts reported by both probes
+ */
+function instanceInfo(coldStart) {
+  return {
+    service: 'session-tracking-api',
+    version: config.buildVersion,
+    stage: config.stage,
+    coldStart: Boolean(coldStart),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Run one check, timing it: { name, status: 'pass' | 'fail', latencyMs, error? }
+ */
+async function runCheck(name, check) {
+  const started = Date.now();
+  
+  try {
+    await check();
+    return { name, status: 'pass', latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('Readiness check failed', { check: name, error: error.message });
+    return { name, status: 'fail', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+/**
+ * Throw unless the table lists `indexName` as ACTIVE
+ */
+function assertIndexActive(table, indexName) {
+  const index = table.indexes.find(candidate => candidate.name === indexName);
+  if (!index) {
+    throw new Error(`Index ${indexName} does not exist`);
+  }
+  if (index.status !== 'ACTIVE') {
+    throw new Error(`Index ${indexName} is ${index.status}`);
+  }
+}
+
+/**
+ * Liveness: the instance is up and serving
+ */
+export function getLiveness({ coldStart = false } = {}) {
+  return { status: 'ok', ...instanceInfo(coldStart) };
+}
+
+/**
+ * Readiness: every dependency check passes
+ * 
+ * Returns { ready, report } where report lists the checks; the table is
+ * described once and its GSI checks reuse that description.
+ */
+export async function getReadiness({ coldStart = false } = {}) {
+  let table = null;
+  
+  const configCheck = await runCheck('config', validateConfig);
+  const tableCheck = await runCheck('table', async () => {
+    table = await repository.getTableStatus();
+    if (table.status !== 'ACTIVE') {
+      throw new Error(`Table ${config.tableName} is ${table.status}`);
+    }
+  });
+  
+  // GSIs come with the table description, so they share its latency
+  const indexChecks = [config.gsi1Name, config.gsi2Name].map(indexName => {
+    const check = { name: `index:${indexName}`, status: 'pass', latencyMs: tableCheck.latencyMs };
+    if (!table) {
+      return { ...check, status: 'fail', error: 'Table is unreachable' };
+    }
+    try {
+      assertIndexActive(table, indexName);
+      return check;
+    } catch (error) {
+      return { ...check, status: 'fail', error: error.message };
+    }
+  });
+  
+  const checks = [configCheck, tableCheck, ...indexChecks];
+  const ready = checks.every(check => check.status === 'pass');
+  
+  if (!ready) {
+    const failed = checks.filter(check => check.status === 'fail').map(check => check.name);
+    logger.warn('Instance not ready', { failed });
+  }
+  
+  return {
+    ready,
+    report: {
+      status: ready ? 'ready' : 'not_ready',
+      ...instanceInfo(coldStart),
+      checks
+    }
+  };
+}
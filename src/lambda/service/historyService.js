@@ -0,0 +1,167 @@
+/**
+ * History domain service - Change records (audit trail) for sessions and events
+ * 
+ * The history is best effort: a change is recorded after its mutation has
+ * been applied, and a failed record write is logged ('Failed to record
+ * change') instead of failing the request. The trail can therefore miss a
+ * change, but never holds one that did not happen.
+ */
+
+import * as repository from '../repositories/historyRepository.js';
+import * as sessionRepository from '../repositories/sessionRepository.js';
+import { logger } from '../shared/logger.js';
+import { NotFoundError } from '../shared/errors.js';
+import { validateSessionId } from '../shared/validator.js';
+
+// Key, index and bookkeeping attributes that are not part of a diff
+const IGNORED_ATTRIBUTES = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'GSI2PK', 'GSI2SK', 'itemType', 'version', 'updatedAt'];
+
+/**
+ * Diff two item images into { attribute: { before, after } }
+ * 
+ * Missing images (create) and missing attributes are treated as null.
+ */
+export function diffImages(before, after) {
+  const changes = {};
+  const attributes = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  
+  for (const attribute of attributes) {
+    if (IGNORED_ATTRIBUTES.includes(attribute)) {
+      continue;
+    }
+    
+    const previous = before?.[attribute] ?? null;
+    const current = after?.[attribute] ?? null;
+    
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes[attribute] = { before: previous, after: current };
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Changes of a stored record without ignored attributes
+ * 
+ * Records written before an attribute was ignored (e.g. the GSI2 keys of
+ * events) still hold it.
+ */
+function visibleChanges(changes = {}) {
+  return Object.fromEntries(
+    Object.entries(changes).filter(([attribute]) => !IGNORED_ATTRIBUTES.includes(attribute))
+  );
+}
+
+/**
+ * Record a change to a session or event
+ * 
+ * `before` / `after` are the item images around the write (null for a
+ * create). `context` is the audit context of the request ({ actor, requestId }).
+ * 
+ * The mutation has already been applied when this runs, so a failure to
+ * record it is logged rather than failing a request the client might retry.
+ */
+export async function recordChange({ sessionId, entityType, entityId, action, before, after, context = {} }) {
+  const change = {
+    sessionId,
+    entityType,
+    entityId,
+    action,
+    changes: diffImages(before, after),
+    versionBefore: before ? before.version || 0 : null,
+    versionAfter: after ? after.version || 0 : null,
+    actor: context.actor || null,
+    requestId: context.requestId || null,
+    expiresAt: after?.expiresAt ?? before?.expiresAt
+  };
+  
+  try {
+    await repository.createChange(change);
+  } catch (error) {
+    logger.error('Failed to record change', {
+      sessionId,
+      entityType,
+      entityId,
+      action,
+      requestId: change.requestId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Strip the purged data out of a session's change records
+ * 
+ * Redacts every record of the session, or only those of `entityId` (a purged
+ * event). A redacted record keeps the trail - action, actor id, versions,
+ * request id, time and which attributes changed - but loses the before/after
+ * values and the actor's IP address and user agent, and carries redactedAt.
+ * Returns the number of records redacted.
+ */
+export async function redactHistory(sessionId, { entityId = null } = {}) {
+  const redactedAt = new Date().toISOString();
+  
+  const records = (await repository.getAllSessionChanges(sessionId))
+    .filter(record => !record.redactedAt && (!entityId || record.entityId === entityId));
+  
+  if (records.length === 0) {
+    return 0;
+  }
+  
+  const report = await repository.putRedactedChanges(records.map(record => ({
+    ...record,
+    changes: Object.fromEntries(Object.keys(record.changes || {}).map(attribute => [attribute, {}])),
+    actor: record.actor ? { id: record.actor.id ?? null } : null,
+    redactedAt
+  })));
+  
+  if (report.failed > 0) {
+    logger.error('Failed to redact change records', { sessionId, entityId, failed: report.failed });
+  }
+  
+  return report.succeeded;
+}
+
+/**
+ * Get a session's change history, newest first
+ * 
+ * History stays readable while the session is in the trash and after it is
+ * purged, until the records expire.
+ * Options: { limit, nextToken }
+ */
+export async function getSessionHistory(sessionId, options = {}) {
+  validateSessionId(sessionId);
+  
+  logger.info('Fetching session history', { sessionId, limit: options.limit });
+  
+  const session = await sessionRepository.getSession(sessionId, { includeDeleted: true });
+  
+  const { items, nextToken } = await repository.getSessionHistory(sessionId, {
+    limit: options.limit,
+    nextToken: options.nextToken
+  });
+  
+  // A purged session is known by its history alone
+  if (!session && items.length === 0) {
+    throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
+  }
+  
+  return {
+    sessionId,
+    changes: items.map(change => ({
+      changeId: change.changeId,
+      entityType: change.entityType,
+      entityId: change.entityId,
+      action: change.action,
+      changes: visibleChanges(change.changes),
+      versionBefore: change.versionBefore,
+      versionAfter: change.versionAfter,
+      actor: change.actor,
+      requestId: change.requestId,
+      timestamp: change.timestamp,
+      redactedAt: change.redactedAt || null
+    })),
+    nextToken
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Idempotency service - Replay the original response for a retried request
+ * 
+ * Clients send an `Idempotency-Key` header with a write they may retry. The
+ * first request with a key runs and its response is stored for
+ * config.idempotency.ttlHours; a retry with the same key and the same
+ * request gets that response back without running again. While the first
+ * request runs, retries are answered 409 for at most
+ * config.idempotency.lockSeconds.
+ */
+
+import { createHash } from 'node:crypto';
+import * as repository from '../repositories/idempotencyRepository.js';
+import { config } from '../shared/config.js';
+import { logger } from '../shared/logger.js';
+import { ConflictError } from '../shared/errors.js';
+import { idempotencyExpiresAt } from '../shared/retention.js';
+
+/**
+ * Fingerprint of a request, to tell a retry from a different request reusing a key
+ */
+export function requestHash(method, path, body) {
+  return createHash('sha256').update(`${method} ${path}\n${body || ''}`).digest('hex');
+}
+
+/**
+ * Claim a key before running its request
+ * 
+ * Returns null when the request should run (call complete() or release()
+ * afterwards), or the stored response of the earlier request. Throws
+ * ConflictError when the key was used for a different request or the
+ * earlier request is still running.
+ */
+export async function begin({ caller, key, requestHash: hash }) {
+  const claimed = await repository.claimKey({
+    caller,
+    key,
+    requestHash: hash,
+    lockedUntil: Math.floor(Date.now() / 1000) + config.idempotency.lockSeconds,
+    expiresAt: idempotencyExpiresAt()
+  });
+  
+  if (claimed) {
+    return null;
+  }
+  
+  const record = await repository.getKey(caller, key);
+  
+  // Released between the claim and the read; let the client retry
+  if (!record) {
+    throw new ConflictError('A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_KEY_IN_PROGRESS');
+  }
+  
+  if (record.requestHash !== hash) {
+    throw new ConflictError('Idempotency-Key was already used for a different request', 'IDEMPOTENCY_KEY_REUSED');
+  }
+  
+  if (record.status !== 'COMPLETED') {
+    throw new ConflictError('A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_KEY_IN_PROGRESS');
+  }
+  
+  logger.info('Replaying idempotent response', { caller, key, statusCode: record.response.statusCode });
+  
+  return record.response;
+}
+
+/**
+ * Store the response of a claimed key's request
+ */
+export async function complete({ caller, key }, response) {
+  await repository.completeKey(caller, key, response);
+}
+
+/**
+ * Give up a claimed key so the request can be retried (e.g. after a 5xx)
+ */
+export async function release({ caller, key }) {
+  await repository.releaseKey(caller, key);
+}
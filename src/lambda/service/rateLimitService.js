@@ -0,0 +1,67 @@
+/**
+ * Rate limit service - Token-bucket limits per source IP, API key and session
+ * 
+ * Limits come from config.rateLimits. Every applicable bucket must have
+ * enough tokens for a request to go ahead; buckets are checked in the order
+ * ip, apiKey, session and the first one that is empty rejects the request.
+ * Tokens already taken from the earlier buckets are not given back, so a
+ * client that keeps retrying too fast also uses up its IP and key budget.
+ */
+
+import * as repository from '../repositories/rateLimitRepository.js';
+import { config } from '../shared/config.js';
+import { logger } from '../shared/logger.js';
+
+/**
+ * Take tokens for a request from each bucket it counts against
+ * 
+ * Request: { sourceIp, apiKeyId, sessions, cost }: the IP and API key
+ * buckets are charged `cost` tokens, and `sessions` maps each sessionId the
+ * request writes to its share of them (e.g. its events in a batch).
+ * 
+ * Returns null when no limit applies, otherwise the result of the most
+ * restrictive bucket: the rejecting one, or the one with the fewest tokens
+ * left ({ allowed, limit, remaining, resetSeconds, retryAfterSeconds }).
+ * 
+ * Storage failures let the request through: losing tracking data is worse
+ * than briefly not limiting it. So does a bucket too contended to charge,
+ * which is skipped; the other buckets still apply.
+ */
+export async function consume({ sourceIp = null, apiKeyId = null, sessions = {}, cost = 1 }) {
+  const limits = config.rateLimits;
+  if (!limits.enabled) {
+    return null;
+  }
+  
+  const buckets = [
+    ['ip', sourceIp, cost],
+    ['apiKey', apiKeyId, cost],
+    ...Object.entries(sessions).map(([sessionId, sessionCost]) => ['session', sessionId, sessionCost])
+  ].filter(([dimension, key]) => key && limits[dimension].burst > 0);
+  
+  let tightest = null;
+  
+  try {
+    for (const [dimension, key, tokens] of buckets) {
+      const result = await repository.takeTokens(dimension, key, limits[dimension], tokens);
+      
+      if (!result) {
+        continue;
+      }
+      
+      if (!result.allowed) {
+        logger.warn('Rate limit exceeded', { dimension, key, tokens, retryAfterSeconds: result.retryAfterSeconds });
+        return result;
+      }
+      
+      if (!tightest || result.remaining < tightest.remaining) {
+        tightest = result;
+      }
+    }
+  } catch (error) {
+    logger.error('Rate limit check failed, allowing request', { error: error.message });
+    return null;
+  }
+  
+  return tightest;
+}
@@ -2,18 +2,148 @@
  * Session domain service - Business logic for session management
  */
 
-import { v4 as uuidv4 } from 'uuid';
 import * as repository from '../repositories/sessionRepository.js';
+import * as eventRepository from '../repositories/eventRepository.js';
+import { recordChange, redactHistory } from './historyService.js';
 import { logger } from '../shared/logger.js';
-import { NotFoundError, ValidationError } from '../shared/errors.js';
-import { validateSessionId, validateString } from '../shared/validator.js';
+import { NotFoundError, ValidationError, ConflictError, PreconditionFailedError } from '../shared/errors.js';
+import { validateSessionId, validateString, EMBEDDED_EVENTS_LIMIT } from '../shared/validator.js';
+import { generateSessionId } from '../shared/ids.js';
+import { config } from '../shared/config.js';
+import {
+  computeExpiresAt,
+  expiresAfterDays,
+  expiresAtToISO,
+  restorableUntil,
+  purgeCutoff
+} from '../shared/retention.js';
+
+// Attributes read on top of a sparse fieldset to compute analytics and summaries
+const ANALYTICS_SESSION_FIELDS = ['sessionId', 'externalId', 'status', 'stepsTaken', 'createdAt', 'updatedAt'];
+const ANALYTICS_EVENT_FIELDS = ['eventType', 'timestamp'];
+const SUMMARY_FIELDS = ['status', 'stepsTaken', 'createdAt', 'updatedAt'];
+
+/**
+ * Attributes to read for a fieldset: the requested ones plus those needed
+ * internally; null (everything) when the fieldset is unrestricted
+ */
+function readFields(fields, needed = []) {
+  return fields ? [...new Set([...fields, ...needed])] : null;
+}
+
+/**
+ * Restrict a view to a fieldset (null keeps every field)
+ */
+function selectFields(view, fields) {
+  if (!fields) {
+    return view;
+  }
+  return Object.fromEntries(fields.filter(field => field in view).map(field => [field, view[field]]));
+}
+
+/**
+ * API representation of a session metadata item, shared by every read
+ * endpoint; callers drop PII for principals without sessions:admin
+ */
+function sessionView(item) {
+  return {
+    sessionId: item.sessionId,
+    externalId: item.externalId,
+    status: item.status,
+    stepsTaken: item.stepsTaken,
+    version: item.version || 0,
+    userAgent: item.userAgent,
+    ipAddress: item.ipAddress,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    expiresAt: expiresAtToISO(item.expiresAt),
+    metadata: item.metadata
+  };
+}
+
+/**
+ * API representation of an event in a timeline
+ */
+function eventView(item) {
+  return {
+    eventId: item.eventId,
+    eventType: item.eventType,
+    eventData: item.eventData,
+    timestamp: item.timestamp,
+    ...(item.clientEventId && { clientEventId: item.clientEventId })
+  };
+}
+
+/**
+ * Compute the analytics of a session from its metadata and all its events
+ * 
+ * Events may come in any order; they need eventType and timestamp.
+ */
+function computeAnalytics(metadata, events) {
+  // Compute event breakdown
+  const eventBreakdown = {};
+  
+  events.forEach(event => {
+    eventBreakdown[event.eventType] = (eventBreakdown[event.eventType] || 0) + 1;
+  });
+  
+  // Calculate duration
+  const timestamps = events.map(event => event.timestamp).sort();
+  const firstEvent = timestamps[0];
+  const lastEvent = timestamps[timestamps.length - 1];
+  const duration = firstEvent && lastEvent 
+    ? Math.round((new Date(lastEvent) - new Date(firstEvent)) / 1000)
+    : 0;
+  
+  // Determine conversion funnel status
+  const eventTypes = events.map(e => e.eventType);
+  const conversionFunnel = {
+    landed: eventTypes.includes('landing'),
+    engaged: eventTypes.some(t => ['click', 'page_view', 'quiz_start'].includes(t)),
+    startedCheckout: eventTypes.includes('checkout_start'),
+    converted: eventTypes.includes('checkout_complete')
+  };
+  
+  return {
+    sessionId: metadata.sessionId,
+    externalId: metadata.externalId,
+    status: metadata.status,
+    duration,
+    eventCount: events.length,
+    stepsTaken: metadata.stepsTaken,
+    eventBreakdown,
+    firstEvent,
+    lastEvent,
+    conversionFunnel,
+    createdAt: metadata.createdAt,
+    updatedAt: metadata.updatedAt
+  };
+}
+
+/**
+ * Surface a version clash on an If-Match write as 412 Precondition Failed
+ */
+function toPreconditionFailed(error) {
+  if (error instanceof ConflictError) {
+    return new PreconditionFailedError(error.message);
+  }
+  return error;
+}
 
 /**
  * Create a new session
+ * 
+ * A client-supplied sessionId must satisfy the session ID policy; when none is
+ * given a sortable `sess_...` ID is generated. Throws ConflictError if a session
+ * with this sessionId already exists.
+ * Options: { context } audit context of the request, for the change history
  */
-export async function createSession({ sessionId, externalId, userAgent, ipAddress, metadata }) {
+export async function createSession({ sessionId, externalId, userAgent, ipAddress, metadata }, options = {}) {
   // Generate session ID if not provided
-  const actualSessionId = sessionId;
+  if (sessionId) {
+    validateSessionId(sessionId);
+  }
+  const actualSessionId = sessionId || generateSessionId();
   
   const sessionData = {
     sessionId: actualSessionId,
@@ -22,6 +152,7 @@ export async function createSession({ sessionId, externalId, userAgent, ipAddres
     ipAddress: ipAddress || null,
     status: 'active',
     stepsTaken: 0,
+    expiresAt: computeExpiresAt({ externalId }),
     metadata: metadata || {}
   };
   
@@ -29,6 +160,16 @@ export async function createSession({ sessionId, externalId, userAgent, ipAddres
   
   const result = await repository.createSession(sessionData);
   
+  await recordChange({
+    sessionId: result.sessionId,
+    entityType: 'session',
+    entityId: result.sessionId,
+    action: 'create',
+    before: null,
+    after: result,
+    context: options.context
+  });
+  
   return {
     sessionId: result.sessionId,
     externalId: result.externalId,
@@ -39,72 +180,140 @@ export async function createSession({ sessionId, externalId, userAgent, ipAddres
 
 /**
  * Get or create a session (idempotent)
+ * 
+ * Returns the session with `existed` telling whether it was already there.
+ * Options: { context } audit context of the request, for the change history
  */
-export async function getOrCreateSession({ sessionId, externalId, userAgent, ipAddress, metadata }) {
+export async function getOrCreateSession({ sessionId, externalId, userAgent, ipAddress, metadata }, options = {}) {
   if (!sessionId) {
-    return await createSession({ externalId, userAgent, ipAddress, metadata });
+    const created = await createSession({ externalId, userAgent, ipAddress, metadata }, options);
+    return { ...created, existed: false };
   }
   
   validateSessionId(sessionId);
   
-  const existing = await repository.getSession(sessionId);
-  
-  if (existing) {
-    logger.debug('Session already exists', { sessionId });
-    return {
-      sessionId: existing.sessionId,
-      externalId: existing.externalId,
-      status: existing.status,
-      createdAt: existing.createdAt,
-      existed: true
-    };
+  let existing = await repository.getSession(sessionId);
+  
+  if (!existing) {
+    // Create new session with provided sessionId
+    try {
+      const created = await createSession({ sessionId, externalId, userAgent, ipAddress, metadata }, options);
+      return { ...created, existed: false };
+    } catch (error) {
+      if (!(error instanceof ConflictError)) {
+        throw error;
+      }
+      // Created concurrently by another request - fall through and return it
+      existing = await repository.getSession(sessionId);
+      if (!existing) {
+        throw new ConflictError(`Session ${sessionId} is deleted; restore it before reusing the sessionId`, 'SESSION_DELETED');
+      }
+    }
   }
   
-  // Create new session with provided sessionId
-  return await createSession({ sessionId, externalId, userAgent, ipAddress, metadata });
+  logger.debug('Session already exists', { sessionId });
+  return {
+    sessionId: existing.sessionId,
+    externalId: existing.externalId,
+    status: existing.status,
+    createdAt: existing.createdAt,
+    existed: true
+  };
 }
 
 /**
  * Get full session with timeline
+ * 
+ * Options: { limit, nextToken } to page through long timelines, and the
+ * timeline filters { eventTypes, from, to, order, latest, dataFilters }.
+ * `latest` picks the N most recent events and cannot be paginated.
+ * 
+ * `fields` ({ session, events }, see validator.parseFields) restricts the
+ * attributes read and returned; `expand` lists the embedded resources
+ * (default ['events']; 'analytics' covers the whole session, whatever the
+ * timeline filters). The session version is returned separately, for the ETag.
  */
-export async function getSessionTimeline(sessionId) {
+export async function getSessionTimeline(sessionId, options = {}) {
+  const {
+    limit,
+    nextToken,
+    eventTypes = [],
+    from = null,
+    to = null,
+    order = 'asc',
+    latest = null,
+    dataFilters = [],
+    fields = { session: null, events: null },
+    expand = ['events']
+  } = options;
+  
+  logger.info('Fetching session timeline', { sessionId, limit, eventTypes, from, to, order, latest, expand });
+  
+  if (latest && (limit || nextToken)) {
+    throw new ValidationError('latest cannot be combined with limit or nextToken', 'latest', null, 'QUERY_PARAMETER_INVALID');
+  }
   
-  logger.info('Fetching session timeline', { sessionId });
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to', 'from', null, 'QUERY_PARAMETER_INVALID');
+  }
   
-  const timeline = await repository.getSessionTimeline(sessionId);
+  const withEvents = expand.includes('events');
+  const withAnalytics = expand.includes('analytics');
+  const filtered = Boolean(limit || nextToken || latest || from || to || eventTypes.length || dataFilters.length);
+  
+  // An unfiltered timeline holds every event, so analytics can reuse it
+  const analyticsFromTimeline = withAnalytics && withEvents && !filtered;
+  
+  const timeline = await repository.getSessionTimeline(sessionId, {
+    limit,
+    nextToken,
+    eventTypes,
+    from,
+    to,
+    order,
+    latest,
+    dataFilters,
+    includeEvents: withEvents,
+    sessionAttributes: readFields(fields.session, ['version', ...(withAnalytics ? ANALYTICS_SESSION_FIELDS : [])]),
+    eventAttributes: readFields(fields.events, analyticsFromTimeline ? ANALYTICS_EVENT_FIELDS : [])
+  });
   
   if (!timeline.metadata) {
     throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
   }
   
+  const result = { session: selectFields(sessionView(timeline.metadata), fields.session) };
+  
+  if (withEvents) {
+    result.events = timeline.events.map(event => selectFields(eventView(event), fields.events));
+    result.eventCount = timeline.eventCount;
+  }
+  
+  if (withAnalytics) {
+    const events = analyticsFromTimeline
+      ? timeline.events
+      : await eventRepository.getSessionEvents(sessionId, { attributes: ANALYTICS_EVENT_FIELDS });
+    result.analytics = computeAnalytics(timeline.metadata, events);
+  }
+  
   return {
-    session: {
-      sessionId: timeline.metadata.sessionId,
-      externalId: timeline.metadata.externalId,
-      status: timeline.metadata.status,
-      stepsTaken: timeline.metadata.stepsTaken,
-      userAgent: timeline.metadata.userAgent,
-      createdAt: timeline.metadata.createdAt,
-      updatedAt: timeline.metadata.updatedAt,
-      metadata: timeline.metadata.metadata
-    },
-    events: timeline.events.map(event => ({
-      eventId: event.eventId,
-      eventType: event.eventType,
-      eventData: event.eventData,
-      timestamp: event.timestamp
-    })),
-    eventCount: timeline.eventCount
+    ...result,
+    version: timeline.metadata.version || 0,
+    nextToken: timeline.nextToken
   };
 }
 
 /**
  * Update session (e.g., link externalId, change status)
+ * 
+ * Options: { expectedVersion } from If-Match; a mismatch throws PreconditionFailedError,
+ * { context } audit context of the request, for the change history
  */
-export async function updateSession(sessionId, updates) {
+export async function updateSession(sessionId, updates, options = {}) {
   validateSessionId(sessionId);
   
-  const allowedUpdates = ['externalId', 'status', 'metadata', 'stepsTaken'];
+  // stepsTaken is counted by the event transactions (eventRepository.js)
+  const allowedUpdates = ['externalId', 'status', 'metadata'];
   const filteredUpdates = {};
   
   for (const key of Object.keys(updates)) {
@@ -114,64 +323,268 @@ export async function updateSession(sessionId, updates) {
   }
   
   if (Object.keys(filteredUpdates).length === 0) {
-    throw new ValidationError('No valid update fields provided');
+    throw new ValidationError('No valid update fields provided', null, null, 'NO_UPDATE_FIELDS');
   }
   
   logger.info('Updating session', { sessionId, updates: filteredUpdates });
   
-  const result = await repository.updateSession(sessionId, filteredUpdates);
+  let images;
+  try {
+    images = await repository.updateSession(sessionId, filteredUpdates, {
+      expectedVersion: options.expectedVersion
+    });
+  } catch (error) {
+    throw toPreconditionFailed(error);
+  }
   
-  if (!result) {
+  if (!images) {
     throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
   }
   
+  const result = images.after;
+  
+  await recordChange({
+    sessionId,
+    entityType: 'session',
+    entityId: sessionId,
+    action: 'update',
+    ...images,
+    context: options.context
+  });
+  
+  // Linking a user moves the session (and its events) to identified retention
+  if (filteredUpdates.externalId) {
+    const identifiedExpiry = computeExpiresAt({ externalId: result.externalId, from: result.createdAt });
+    if (!result.expiresAt || result.expiresAt < identifiedExpiry) {
+      await repository.extendSessionRetention(sessionId, identifiedExpiry);
+      
+      await recordChange({
+        sessionId,
+        entityType: 'session',
+        entityId: sessionId,
+        action: 'extend_retention',
+        before: result,
+        after: { ...result, expiresAt: identifiedExpiry },
+        context: options.context
+      });
+    }
+  }
+  
   return {
     sessionId: result.sessionId,
     externalId: result.externalId,
     status: result.status,
+    version: result.version,
     updatedAt: result.updatedAt
   };
 }
 
 /**
- * Delete session and all its events
+ * Soft-delete a session
+ * 
+ * The session and its events disappear from reads, user listings and
+ * analytics, and can be restored until the trash grace period ends.
+ * Options: { expectedVersion } from If-Match; a mismatch throws PreconditionFailedError,
+ * { context } audit context of the request, for the change history
  */
-export async function deleteSession(sessionId) {
+export async function deleteSession(sessionId, options = {}) {
   validateSessionId(sessionId);
   
   logger.info('Deleting session', { sessionId });
   
-  const itemsDeleted = await repository.deleteSession(sessionId);
+  let images;
+  try {
+    images = await repository.deleteSession(sessionId, {
+      expectedVersion: options.expectedVersion
+    });
+  } catch (error) {
+    throw toPreconditionFailed(error);
+  }
+  
+  if (!images) {
+    throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'session',
+    entityId: sessionId,
+    action: 'delete',
+    ...images,
+    context: options.context
+  });
+  
+  const { deletedAt } = images.after;
   
-  return { sessionId, itemsDeleted };
+  return {
+    sessionId,
+    deletedAt,
+    restorableUntil: restorableUntil(deletedAt)
+  };
 }
 
 /**
- * Increment session steps
+ * Restore a soft-deleted session (and the events deleted with it)
+ * 
+ * Options: { context } audit context of the request, for the change history
  */
-export async function incrementSessionSteps(sessionId) {
+export async function restoreSession(sessionId, options = {}) {
   validateSessionId(sessionId);
   
+  logger.info('Restoring session', { sessionId });
+  
+  const images = await repository.restoreSession(sessionId);
+  
+  if (!images) {
+    throw new NotFoundError(`Deleted session not found: ${sessionId}`, 'session');
+  }
+  
+  await recordChange({
+    sessionId,
+    entityType: 'session',
+    entityId: sessionId,
+    action: 'restore',
+    ...images,
+    context: options.context
+  });
+  
+  const restored = images.after;
+  
+  return {
+    sessionId: restored.sessionId,
+    externalId: restored.externalId,
+    status: restored.status,
+    version: restored.version,
+    updatedAt: restored.updatedAt
+  };
+}
+
+/**
+ * List soft-deleted sessions, the ones purged soonest first
+ */
+export async function listDeletedSessions(options = {}) {
+  const limit = options.limit || 50;
+  
+  logger.info('Fetching deleted sessions', { limit });
+  
+  const { items, nextToken } = await repository.getDeletedSessions({
+    limit,
+    nextToken: options.nextToken
+  });
+  
+  return {
+    sessions: items.map(session => ({
+      sessionId: session.sessionId,
+      externalId: session.externalId,
+      status: session.status,
+      stepsTaken: session.stepsTaken,
+      createdAt: session.createdAt,
+      deletedAt: session.deletedAt,
+      restorableUntil: restorableUntil(session.deletedAt)
+    })),
+    nextToken
+  };
+}
+
+/**
+ * Permanently remove sessions whose trash grace period has ended
+ * 
+ * Returns { sessionsPurged, itemsDeleted }.
+ * Options: { context } audit context of the job, for the change history
+ */
+export async function purgeDeletedSessions(now = new Date(), options = {}) {
+  const deletedBefore = purgeCutoff(now);
+  let sessionsPurged = 0;
+  let itemsDeleted = 0;
+  let nextToken = null;
+  
+  logger.info('Purging deleted sessions', { deletedBefore });
+  
+  do {
+    const page = await repository.getDeletedSessions({ limit: 100, nextToken, deletedBefore });
+    
+    for (const session of page.items) {
+      const deleted = await repository.purgeSession(session.sessionId);
+      if (deleted > 0) {
+        sessionsPurged++;
+        itemsDeleted += deleted;
+        
+        // Keeping the purged data in the history would defeat the purge: redact
+        // the kept records and record only the tombstone
+        await redactHistory(session.sessionId);
+        await recordChange({
+          sessionId: session.sessionId,
+          entityType: 'session',
+          entityId: session.sessionId,
+          action: 'purge',
+          before: { deletedAt: session.deletedAt, version: session.version, expiresAt: session.expiresAt },
+          after: null,
+          context: options.context
+        });
+      }
+    }
+    
+    nextToken = page.nextToken;
+  } while (nextToken);
+  
+  return { sessionsPurged, itemsDeleted };
+}
+
+/**
+ * Extend retention of a session and its events to `days` from now
+ * 
+ * Retention is never shortened; the response carries the resulting expiry.
+ * Options: { context } audit context of the request, for the change history
+ */
+export async function extendSessionRetention(sessionId, days, options = {}) {
+  validateSessionId(sessionId);
+  
+  const maxDays = config.retention.maxExtensionDays;
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+    throw new ValidationError(`days must be an integer between 1 and ${maxDays}`, 'days');
+  }
+  
   const session = await repository.getSession(sessionId);
   
   if (!session) {
     throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
   }
   
-  const newStepCount = (session.stepsTaken || 0) + 1;
+  const requested = expiresAfterDays(days);
+  
+  logger.info('Extending session retention', { sessionId, days });
+  
+  const itemsUpdated = await repository.extendSessionRetention(sessionId, requested);
+  const expiresAt = Math.max(requested, session.expiresAt || 0);
   
-  return await repository.updateSession(sessionId, { stepsTaken: newStepCount });
+  if (itemsUpdated > 0) {
+    await recordChange({
+      sessionId,
+      entityType: 'session',
+      entityId: sessionId,
+      action: 'extend_retention',
+      before: session,
+      after: { ...session, expiresAt },
+      context: options.context
+    });
+  }
+  
+  return {
+    sessionId,
+    expiresAt: expiresAtToISO(expiresAt),
+    itemsUpdated
+  };
 }
 
 /**
  * Get sessions by external ID
  */
 export async function getSessionsByUser(externalId, limit = 50) {
-  validateString(externalId, 'externalId', 1, 200);
+  validateString(externalId, 'externalId', { minLength: 1, maxLength: 200 });
   
   logger.info('Fetching sessions by externalId', { externalId, limit });
   
-  const sessions = await repository.getSessionsByExternalId(externalId, limit);
+  const { items: sessions } = await repository.getSessionsByExternalId(externalId, { limit });
   
   return sessions.map(session => ({
     sessionId: session.sessionId,
@@ -189,95 +602,95 @@ export async function getSessionAnalytics(sessionId) {
   
   logger.info('Computing session analytics', { sessionId });
   
-  const timeline = await repository.getSessionTimeline(sessionId);
+  const timeline = await repository.getSessionTimeline(sessionId, {
+    sessionAttributes: ANALYTICS_SESSION_FIELDS,
+    eventAttributes: ANALYTICS_EVENT_FIELDS
+  });
   
   if (!timeline.metadata) {
     throw new NotFoundError(`Session not found: ${sessionId}`, 'session');
   }
   
-  // Compute event breakdown
-  const events = timeline.events;
-  const eventBreakdown = {};
-  
-  events.forEach(event => {
-    eventBreakdown[event.eventType] = (eventBreakdown[event.eventType] || 0) + 1;
-  });
-  
-  // Calculate duration
-  const firstEvent = events[0]?.timestamp;
-  const lastEvent = events[events.length - 1]?.timestamp;
-  const duration = firstEvent && lastEvent 
-    ? Math.round((new Date(lastEvent) - new Date(firstEvent)) / 1000)
-    : 0;
-  
-  // Determine conversion funnel status
-  const eventTypes = events.map(e => e.eventType);
-  const conversionFunnel = {
-    landed: eventTypes.includes('landing'),
-    engaged: eventTypes.some(t => ['click', 'page_view', 'quiz_start'].includes(t)),
-    startedCheckout: eventTypes.includes('checkout_start'),
-    converted: eventTypes.includes('checkout_complete')
-  };
-  
-  return {
-    sessionId: timeline.metadata.sessionId,
-    externalId: timeline.metadata.externalId,
-    status: timeline.metadata.status,
-    duration,
-    eventCount: events.length,
-    stepsTaken: timeline.metadata.stepsTaken,
-    eventBreakdown,
-    firstEvent,
-    lastEvent,
-    conversionFunnel,
-    createdAt: timeline.metadata.createdAt,
-    updatedAt: timeline.metadata.updatedAt
-  };
+  return computeAnalytics(timeline.metadata, timeline.events);
 }
 
 /**
  * Get user sessions with filtering options
+ * 
+ * Options: { limit, nextToken }, `fields` ({ session, events }, see
+ * validator.parseFields) and `expand` (['events', 'analytics'], default
+ * none) to embed each session's events and analytics. Sessions have the
+ * same shape as in getSessionTimeline, except that only their
+ * EMBEDDED_EVENTS_LIMIT most recent events are embedded, with hasMoreEvents
+ * telling whether there are older ones; analytics still cover every event.
+ * The summary covers the page.
  */
 export async function getUserSessionsFiltered(externalId, options = {}) {
-  validateString(externalId, 'externalId', 1, 200);
+  validateString(externalId, 'externalId', { minLength: 1, maxLength: 200 });
   
   const limit = options.limit || 50;
-  const includeAnalytics = options.includeAnalytics || false;
+  const fields = options.fields || { session: null, events: null };
+  const expand = options.expand || [];
+  const withEvents = expand.includes('events');
+  const withAnalytics = expand.includes('analytics');
   
   logger.info('Fetching user sessions with filters', { 
     externalId, 
     limit, 
-    includeAnalytics 
+    expand 
   });
   
-  const sessions = await repository.getSessionsByExternalId(externalId, limit);
+  const { items, nextToken } = await repository.getSessionsByExternalId(externalId, {
+    limit,
+    nextToken: options.nextToken,
+    attributes: readFields(fields.session, [...SUMMARY_FIELDS, ...(withAnalytics ? ANALYTICS_SESSION_FIELDS : [])])
+  });
   
-  // Map sessions with optional analytics
-  const mappedSessions = sessions.map(session => ({
-    sessionId: session.sessionId,
-    status: session.status,
-    stepsTaken: session.stepsTaken,
-    createdAt: session.createdAt,
-    updatedAt: session.updatedAt,
-    metadata: session.metadata
+  const eventAttributes = withEvents
+    ? readFields(fields.events, withAnalytics ? ANALYTICS_EVENT_FIELDS : [])
+    : ANALYTICS_EVENT_FIELDS;
+  
+  // Map sessions with optional events and analytics
+  const sessions = await Promise.all(items.map(async item => {
+    const session = selectFields(sessionView(item), fields.session);
+    if (!withEvents && !withAnalytics) {
+      return session;
+    }
+    
+    // One more than embedded tells whether older events exist
+    const events = await eventRepository.getSessionEvents(item.sessionId, {
+      attributes: eventAttributes,
+      latest: withAnalytics ? null : EMBEDDED_EVENTS_LIMIT + 1
+    });
+    
+    if (withEvents) {
+      const embedded = events.slice(-EMBEDDED_EVENTS_LIMIT);
+      session.events = embedded.map(event => selectFields(eventView(event), fields.events));
+      session.eventCount = embedded.length;
+      session.hasMoreEvents = events.length > embedded.length;
+    }
+    if (withAnalytics) {
+      session.analytics = computeAnalytics(item, events);
+    }
+    return session;
   }));
   
   // Calculate summary statistics
+  const totalSteps = items.reduce((sum, s) => sum + (s.stepsTaken || 0), 0);
   const summary = {
-    totalSessions: mappedSessions.length,
-    activeSessions: mappedSessions.filter(s => s.status === 'active').length,
-    completedSessions: mappedSessions.filter(s => s.status === 'completed').length,
-    totalSteps: mappedSessions.reduce((sum, s) => sum + (s.stepsTaken || 0), 0),
-    averageSteps: mappedSessions.length > 0 
-      ? Math.round(mappedSessions.reduce((sum, s) => sum + (s.stepsTaken || 0), 0) / mappedSessions.length)
-      : 0,
-    firstSeen: mappedSessions.length > 0 ? mappedSessions[mappedSessions.length - 1].createdAt : null,
-    lastActive: mappedSessions.length > 0 ? mappedSessions[0].updatedAt : null
+    totalSessions: items.length,
+    activeSessions: items.filter(s => s.status === 'active').length,
+    completedSessions: items.filter(s => s.status === 'completed').length,
+    totalSteps,
+    averageSteps: items.length > 0 ? Math.round(totalSteps / items.length) : 0,
+    firstSeen: items.length > 0 ? items[items.length - 1].createdAt : null,
+    lastActive: items.length > 0 ? items[0].updatedAt : null
   };
   
   return {
     externalId,
-    sessions: mappedSessions,
-    summary
+    sessions,
+    summary,
+    nextToken
   };
 }
@@ -0,0 +1,101 @@
+/**
+ * API versions, and the middleware serving a route under one
+ * 
+ * Routes are served under /v1 and /v2 (see routes.js); unprefixed paths
+ * are v1, which the GTM tags deployed before versioning call. Versions share
+ * controllers: a version's serializer (serializers/) shapes the controller's
+ * response, and a route's `versions` lists the versions serving it.
+ * 
+ * Once a version's deprecation date is configured (per stage, see
+ * config.apiVersions), all its responses carry a Deprecation header
+ * (RFC 9745), and once its sunset date is, a Sunset header (RFC 8594);
+ * handler.js adds them, so errors raised before routing get them too. Every
+ * versioned request is logged as "API version usage", so the traffic left on
+ * v1 can be followed before it is retired.
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import * as v1Serializer from '../serializers/v1.js';
+import * as v2Serializer from '../serializers/v2.js';
+
+export const API_VERSIONS = {
+  v1: {
+    serializer: v1Serializer,
+    deprecatedAt: config.apiVersions.v1DeprecatedAt,
+    sunsetAt: config.apiVersions.v1SunsetAt
+  },
+  v2: {
+    serializer: v2Serializer,
+    deprecatedAt: null,
+    sunsetAt: null
+  }
+};
+
+// Version of unprefixed paths
+export const DEFAULT_VERSION = 'v1';
+
+// Newest version, whose operations keep their plain operationId in the spec
+export const CURRENT_VERSION = 'v2';
+
+/**
+ * Versions serving a route; none for unversioned routes (docs, probes)
+ */
+export function routeVersions(route) {
+  if (route.unversioned) {
+    return [];
+  }
+  return route.versions || Object.keys(API_VERSIONS);
+}
+
+/**
+ * Split the version prefix off a path
+ * 
+ * /v2/sessions -> { version: 'v2', path: '/sessions' }. Paths without the
+ * prefix of a known version keep their path with a null version.
+ */
+export function parseVersionPrefix(path) {
+  const match = path.match(/^\/(v\d+)(\/.*)$/);
+  if (match && API_VERSIONS[match[1]]) {
+    return { version: match[1], path: match[2] };
+  }
+  return { version: null, path };
+}
+
+/**
+ * Deprecation and Sunset headers of a version, for the dates configured
+ */
+export function deprecationHeaders(version) {
+  const { deprecatedAt, sunsetAt } = API_VERSIONS[version];
+  
+  return {
+    ...(deprecatedAt && { Deprecation: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}` }),
+    ...(sunsetAt && { Sunset: new Date(sunsetAt).toUTCString() })
+  };
+}
+
+/**
+ * Route middleware serving a route under an API version
+ * 
+ * Options: { prefixed } false for the unprefixed paths of DEFAULT_VERSION
+ */
+export function apiVersion(version, route, { prefixed = true } = {}) {
+  const { serializer } = API_VERSIONS[version];
+  
+  return async function serveVersion(event, next) {
+    const response = await next(event);
+    
+    logger.info('API version usage', {
+      apiVersion: version,
+      prefixed,
+      method: route.method,
+      route: route.path,
+      statusCode: response.statusCode,
+      caller: event.auth?.type || 'anonymous',
+      ...(event.auth?.type === 'apiKey' && { keyId: event.auth.subject }),
+      origin: event.headers?.origin || null
+    });
+    
+    return serializer.serialize(response, route);
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Audit context - who made a request, for the change history
+ * 
+ * The actor is the authenticated caller (`user:<sub>` for a bearer token,
+ * `apiKey:<keyId>` for an API key), otherwise the `x-actor-id` header (e.g.
+ * an operator or service name), together with the caller's IP address and
+ * user agent. The
+ * request id is taken from `x-request-id` when the caller sets one, otherwise
+ * from API Gateway.
+ */
+
+/**
+ * Build the audit context of an API Gateway HTTP API event
+ */
+export function auditContext(event) {
+  const headers = event.headers || {};
+  const requestContext = event.requestContext || {};
+  
+  return {
+    actor: {
+      id: event.auth ? `${event.auth.type}:${event.auth.subject}` : headers['x-actor-id'] || null,
+      ipAddress: requestContext.http?.sourceIp || headers['x-forwarded-for'] || null,
+      userAgent: headers['user-agent'] || null
+    },
+    requestId: headers['x-request-id'] || requestContext.requestId || null
+  };
+}
+
+/**
+ * Audit context for changes made by a background job rather than a request
+ */
+export function systemContext(name, requestId = null) {
+  return {
+    actor: { id: `system:${name}`, ipAddress: null, userAgent: null },
+    requestId
+  };
+}
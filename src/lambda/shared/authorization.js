@@ -0,0 +1,75 @@
+/**
+ * Authorization - Scopes per route and PII visibility
+ * 
+ * handler.js authenticates the request (service/authService.js) and passes
+ * the principal on as event.auth. Routes declare the scope they need:
+ * 
+ * - events:write    track events (API keys and tokens)
+ * - sessions:write  create sessions (API keys and tokens); never changes one
+ * - sessions:read   read sessions, events, analytics and history
+ * - sessions:admin  update, delete, restore and retain; also reveals PII
+ * - admin           manage API keys (tokens only)
+ * 
+ * With config.auth.required off every route is open and PII is shown.
+ */
+
+import { config } from './config.js';
+import { UnauthorizedError, ForbiddenError } from './errors.js';
+import { errorResponseFromException } from './response.js';
+
+// Scope that reveals personal data (IP address, user agent) in responses
+export const PII_SCOPE = 'sessions:admin';
+
+// Attributes holding personal data
+export const PII_FIELDS = ['ipAddress', 'userAgent'];
+
+/**
+ * Whether the request's principal holds `scope`
+ */
+export function hasScope(event, scope) {
+  if (!config.auth.required) {
+    return true;
+  }
+  return Boolean(event.auth?.scopes.includes(scope));
+}
+
+/**
+ * Whether PII may be returned to the caller of this request
+ */
+export function canSeePii(event) {
+  return hasScope(event, PII_SCOPE);
+}
+
+/**
+ * Copy of a record without its PII attributes
+ */
+export function withoutPii(record) {
+  if (!record) {
+    return record;
+  }
+  const copy = { ...record };
+  PII_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Route middleware requiring the request's principal to hold `scope`
+ * 
+ * Anonymous requests get 401, principals without the scope 403.
+ */
+export function requireScope(scope) {
+  return async function authorize(event, next) {
+    if (hasScope(event, scope)) {
+      return next(event);
+    }
+    
+    if (event.auth) {
+      return errorResponseFromException(new ForbiddenError(`Missing required scope: ${scope}`, 'SCOPE_MISSING'));
+    }
+    
+    return errorResponseFromException(
+      new UnauthorizedError(`Authentication required (scope ${scope})`, 'AUTHENTICATION_REQUIRED'),
+      { 'WWW-Authenticate': 'Bearer' }
+    );
+  };
+}
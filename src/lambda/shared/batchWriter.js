@@ -0,0 +1,144 @@
+/**
+ * Resilient BatchWriteItem helper shared by the Lambda and the operational scripts
+ *
+ * - Splits any number of puts or deletes into 25-item BatchWriteItem requests
+ * - Retries UnprocessedItems with jittered exponential backoff
+ * - Runs a bounded number of requests in parallel
+ * - Reports success or failure per input item instead of failing silently
+ *
+ * The module has no SDK dependency of its own: callers pass `send`, which
+ * performs one BatchWriteItem call, so each package uses its own client.
+ */
+
+export const MAX_BATCH_SIZE = 25;
+
+const DEFAULT_OPTIONS = {
+  concurrency: 4,
+  maxAttempts: 8,
+  baseDelayMs: 50,
+  maxDelayMs: 5000,
+  keyAttributes: ['PK', 'SK'],
+  operation: 'put'
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Full-jitter exponential backoff delay for the given retry attempt (1-based)
+ */
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Write one chunk, retrying whatever DynamoDB hands back as unprocessed
+ *
+ * Returns the per-item results for the chunk.
+ */
+async function writeChunk(chunk, options) {
+  const { send, tableName, maxAttempts, baseDelayMs, maxDelayMs, keyAttributes, operation } = options;
+  const keyOf = item => keyAttributes.map(attr => item[attr]).join('|');
+  const toRequest = operation === 'delete'
+    ? item => ({ DeleteRequest: { Key: Object.fromEntries(keyAttributes.map(attr => [attr, item[attr]])) } })
+    : item => ({ PutRequest: { Item: item } });
+
+  let pending = chunk.map(({ item }) => item);
+  let failure = null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await send({
+        RequestItems: {
+          [tableName]: pending.map(toRequest)
+        }
+      });
+
+      const unprocessed = response?.UnprocessedItems?.[tableName] || [];
+      pending = unprocessed.map(request => request.PutRequest?.Item ?? request.DeleteRequest.Key);
+    } catch (error) {
+      // The whole request was rejected (validation error, SDK retries exhausted, ...)
+      failure = error.message;
+      break;
+    }
+
+    if (pending.length === 0) {
+      break;
+    }
+
+    if (attempt >= maxAttempts) {
+      failure = `Unprocessed after ${maxAttempts} attempts`;
+      break;
+    }
+
+    await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+  }
+
+  const failedKeys = new Set(pending.map(keyOf));
+
+  return chunk.map(({ item, index }) => {
+    const key = keyOf(item);
+    return failedKeys.has(key)
+      ? { index, key, success: false, error: failure }
+      : { index, key, success: true };
+  });
+}
+
+/**
+ * Put or delete any number of items with BatchWriteItem
+ *
+ * @param {Object[]} items - Items to put, or items / keys to delete
+ * @param {Object} options
+ * @param {Function} options.send - async (params) => BatchWriteItem response
+ * @param {string} options.tableName - Target table
+ * @param {number} [options.concurrency=4] - Parallel BatchWriteItem requests
+ * @param {number} [options.maxAttempts=8] - Attempts per chunk before giving up on unprocessed items
+ * @param {number} [options.baseDelayMs=50] - Backoff base delay
+ * @param {number} [options.maxDelayMs=5000] - Backoff delay cap
+ * @param {string[]} [options.keyAttributes=['PK','SK']] - Attributes identifying an item
+ * @param {string} [options.operation='put'] - 'put' or 'delete'
+ * @param {Function} [options.onChunk] - Called with (chunkResults, chunksDone, chunkCount)
+ * @returns {Promise<Object>} { total, succeeded, failed, results: [{ index, key, success, error? }] }
+ */
+export async function batchWriteAll(items, options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += MAX_BATCH_SIZE) {
+    chunks.push(items.slice(i, i + MAX_BATCH_SIZE).map((item, offset) => ({ item, index: i + offset })));
+  }
+
+  const results = new Array(items.length);
+  let nextChunk = 0;
+  let chunksDone = 0;
+
+  async function worker() {
+    while (nextChunk < chunks.length) {
+      const chunk = chunks[nextChunk++];
+      const chunkResults = await writeChunk(chunk, settings);
+
+      chunkResults.forEach(result => {
+        results[result.index] = result;
+      });
+
+      chunksDone++;
+      if (settings.onChunk) {
+        settings.onChunk(chunkResults, chunksDone, chunks.length);
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(settings.concurrency, chunks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  const failed = results.filter(result => !result.success).length;
+
+  return {
+    total: items.length,
+    succeeded: items.length - failed,
+    failed,
+    results
+  };
+}
@@ -2,14 +2,122 @@
  * Runtime configuration from environment variables
  */
 
+// Cursor signing key of local runs; a deployed stage must have its own
+const DEV_CURSOR_SECRET = 'session-tracking-dev-cursor-secret';
+
+// Parse a JSON environment variable; undefined marks invalid JSON for validateConfig
+function parseJsonEnv(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
 export const config = {
   stage: process.env.STAGE || 'dev',
+  buildVersion: process.env.BUILD_VERSION || 'unknown',
+  storageBackend: process.env.STORAGE_BACKEND || 'dynamodb',
   tableName: process.env.TABLE_NAME || 'session-tracking',
   gsi1Name: process.env.GSI1_NAME || 'GSI1',
+  gsi2Name: process.env.GSI2_NAME || 'GSI2',
   pkName: process.env.PK_NAME || 'PK',
   skName: process.env.SK_NAME || 'SK',
   logLevel: process.env.LOG_LEVEL || 'INFO',
-  region: process.env.AWS_REGION || 'eu-central-1'
+  cursorSecret: process.env.CURSOR_SECRET || DEV_CURSOR_SECRET,
+  region: process.env.AWS_REGION || 'eu-central-1',
+  
+  // Session ID policy: generated IDs are `${prefix}` + 26-char sortable id;
+  // client-supplied IDs must match the charset (a regex character class body)
+  // and length bounds, and carry the prefix when requirePrefix is set
+  sessionIdPolicy: {
+    prefix: process.env.SESSION_ID_PREFIX ?? 'sess_',
+    requirePrefix: process.env.SESSION_ID_REQUIRE_PREFIX === 'true',
+    minLength: parseInt(process.env.SESSION_ID_MIN_LENGTH || '1', 10),
+    maxLength: parseInt(process.env.SESSION_ID_MAX_LENGTH || '128', 10),
+    charset: process.env.SESSION_ID_CHARSET || 'A-Za-z0-9_.:-'
+  },
+  
+  // Authentication: routes declare the scope they need, granted by a bearer
+  // JWT or, for ingestion, an API key. `required: false` turns the checks off
+  // (local runs). JWTs are verified with an HS256 secret and/or the RS256
+  // public keys in a JWKS file shipped with the function (path relative to it)
+  auth: {
+    required: process.env.AUTH_REQUIRED !== 'false',
+    jwt: {
+      hs256Secret: process.env.JWT_HS256_SECRET || null,
+      jwksFile: process.env.JWT_JWKS_FILE || null,
+      issuer: process.env.JWT_ISSUER || null,
+      audience: process.env.JWT_AUDIENCE || null,
+      clockSkewSeconds: parseInt(process.env.JWT_CLOCK_SKEW_SECONDS || '60', 10)
+    }
+  },
+  
+  // API keys for the ingestion endpoints. Verified keys are cached per
+  // container for cacheSeconds, so a revoked key can keep working that long
+  apiKeys: {
+    cacheSeconds: parseInt(process.env.API_KEY_CACHE_SECONDS || '60', 10)
+  },
+  
+  // Token-bucket rate limits on the ingestion endpoints, per source IP, per
+  // API key and per sessionId: a bucket holds up to `burst` tokens and refills
+  // at `perSecond`; each tracked event (or session write) takes one token.
+  // A burst of 0 turns that limit off
+  rateLimits: {
+    enabled: process.env.RATE_LIMITS_ENABLED !== 'false',
+    ip: {
+      burst: parseInt(process.env.RATE_LIMIT_IP_BURST || '200', 10),
+      perSecond: parseFloat(process.env.RATE_LIMIT_IP_PER_SECOND || '20')
+    },
+    apiKey: {
+      burst: parseInt(process.env.RATE_LIMIT_API_KEY_BURST || '2000', 10),
+      perSecond: parseFloat(process.env.RATE_LIMIT_API_KEY_PER_SECOND || '200')
+    },
+    session: {
+      burst: parseInt(process.env.RATE_LIMIT_SESSION_BURST || '100', 10),
+      perSecond: parseFloat(process.env.RATE_LIMIT_SESSION_PER_SECOND || '2')
+    }
+  },
+  
+  // How long an Idempotency-Key, or a batch event's clientEventId, is
+  // remembered: a retry within this window gets the original result back
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10),
+    // How long a running request holds its key: a little over the function
+    // timeout, after which a key whose request died can be claimed again
+    lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '15', 10)
+  },
+  
+  // Browser access (see shared/cors.js): the origins allowed to call the API,
+  // comma-separated, or * for any. Listed origins are echoed back, and with
+  // allowCredentials browsers may send cookies and HTTP auth, which * forbids
+  cors: {
+    allowedOrigins: (process.env.CORS_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+    allowCredentials: process.env.CORS_ALLOW_CREDENTIALS === 'true',
+    maxAgeSeconds: parseInt(process.env.CORS_MAX_AGE_SECONDS || '86400', 10)
+  },
+  
+  // Retirement of API v1 (see shared/apiVersion.js): once set, v1 responses
+  // carry a Sunset header with this date (ISO 8601)
+  apiVersions: {
+    v1DeprecatedAt: process.env.API_V1_DEPRECATED_AT || null,
+    v1SunsetAt: process.env.API_V1_SUNSET_AT || null
+  },
+  
+  // Data retention (DynamoDB TTL on the expiresAt attribute), in days.
+  // eventTypeDays overrides the session's retention for individual event types,
+  // e.g. RETENTION_EVENT_TYPE_DAYS='{"checkout_complete": 730, "page_view": 7}'
+  retention: {
+    anonymousDays: parseInt(process.env.RETENTION_ANONYMOUS_DAYS || '30', 10),
+    identifiedDays: parseInt(process.env.RETENTION_IDENTIFIED_DAYS || '395', 10),
+    eventTypeDays: parseJsonEnv(process.env.RETENTION_EVENT_TYPE_DAYS, {}),
+    maxExtensionDays: parseInt(process.env.RETENTION_MAX_EXTENSION_DAYS || '1095', 10),
+    // Days a soft-deleted session or event stays restorable before it is purged
+    trashGraceDays: parseInt(process.env.TRASH_GRACE_DAYS || '30', 10)
+  }
 };
 
 export function validateConfig() {
@@ -19,4 +127,98 @@ export function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required configuration: ${missing.join(', ')}`);
   }
+  
+  if (!['dynamodb', 'memory'].includes(config.storageBackend)) {
+    throw new Error(`Invalid STORAGE_BACKEND: ${config.storageBackend} (expected dynamodb or memory)`);
+  }
+  
+  // Anyone could sign cursors with the published development key; only the
+  // memory backend (local runs, tests) may use it
+  if (config.storageBackend !== 'memory' &&
+      (config.cursorSecret === DEV_CURSOR_SECRET || config.cursorSecret.length < 32)) {
+    throw new Error('CURSOR_SECRET must be set to a secret of at least 32 characters');
+  }
+  
+  const policy = config.sessionIdPolicy;
+  if (!Number.isInteger(policy.minLength) || !Number.isInteger(policy.maxLength) ||
+      policy.minLength < 1 || policy.minLength > policy.maxLength) {
+    throw new Error('Invalid session ID length policy: SESSION_ID_MIN_LENGTH/SESSION_ID_MAX_LENGTH');
+  }
+  
+  if (policy.charset.includes('#')) {
+    throw new Error('SESSION_ID_CHARSET must not allow "#" (reserved as key delimiter)');
+  }
+  
+  const generatedLength = policy.prefix.length + 26;
+  if (generatedLength < policy.minLength || generatedLength > policy.maxLength) {
+    throw new Error(`Generated session IDs (${generatedLength} chars) would violate the session ID length policy`);
+  }
+  
+  const jwt = config.auth.jwt;
+  if (jwt.hs256Secret && jwt.hs256Secret.length < 32) {
+    throw new Error('JWT_HS256_SECRET must be at least 32 characters');
+  }
+  
+  if (!Number.isInteger(jwt.clockSkewSeconds) || jwt.clockSkewSeconds < 0) {
+    throw new Error('JWT_CLOCK_SKEW_SECONDS must be a non-negative integer');
+  }
+  
+  if (!Number.isInteger(config.apiKeys.cacheSeconds) || config.apiKeys.cacheSeconds < 0) {
+    throw new Error('API_KEY_CACHE_SECONDS must be a non-negative integer');
+  }
+  
+  for (const name of ['ip', 'apiKey', 'session']) {
+    const limit = config.rateLimits[name];
+    if (!Number.isInteger(limit.burst) || limit.burst < 0 || !(limit.perSecond > 0)) {
+      throw new Error(`Invalid rate limit for ${name}: burst must be a non-negative integer and perSecond positive`);
+    }
+  }
+  
+  if (!Number.isInteger(config.idempotency.ttlHours) || config.idempotency.ttlHours < 1) {
+    throw new Error('IDEMPOTENCY_TTL_HOURS must be a positive integer');
+  }
+  
+  if (!Number.isInteger(config.idempotency.lockSeconds) || config.idempotency.lockSeconds < 1) {
+    throw new Error('IDEMPOTENCY_LOCK_SECONDS must be a positive integer');
+  }
+  
+  const cors = config.cors;
+  if (!cors.allowedOrigins.every(origin => origin === '*' || /^https?:\/\/[^/]+$/.test(origin))) {
+    throw new Error('CORS_ALLOWED_ORIGINS must be * or a comma-separated list of origins (https://host[:port])');
+  }
+  
+  if (cors.allowCredentials && cors.allowedOrigins.includes('*')) {
+    throw new Error('CORS_ALLOW_CREDENTIALS requires CORS_ALLOWED_ORIGINS to list origins instead of *');
+  }
+  
+  if (!Number.isInteger(cors.maxAgeSeconds) || cors.maxAgeSeconds < 0) {
+    throw new Error('CORS_MAX_AGE_SECONDS must be a non-negative integer');
+  }
+  
+  const { v1DeprecatedAt, v1SunsetAt } = config.apiVersions;
+  
+  if (v1DeprecatedAt && isNaN(Date.parse(v1DeprecatedAt))) {
+    throw new Error('API_V1_DEPRECATED_AT must be an ISO 8601 date');
+  }
+  
+  if (v1SunsetAt && isNaN(Date.parse(v1SunsetAt))) {
+    throw new Error('API_V1_SUNSET_AT must be an ISO 8601 date');
+  }
+  
+  if (v1DeprecatedAt && v1SunsetAt && Date.parse(v1SunsetAt) < Date.parse(v1DeprecatedAt)) {
+    throw new Error('API_V1_SUNSET_AT must not be before API_V1_DEPRECATED_AT');
+  }
+  
+  const retention = config.retention;
+  const positive = value => Number.isInteger(value) && value > 0;
+  
+  if (!positive(retention.anonymousDays) || !positive(retention.identifiedDays) ||
+      !positive(retention.maxExtensionDays) || !positive(retention.trashGraceDays)) {
+    throw new Error('Retention periods (RETENTION_*_DAYS, TRASH_GRACE_DAYS) must be positive integers');
+  }
+  
+  if (!retention.eventTypeDays || typeof retention.eventTypeDays !== 'object' ||
+      !Object.values(retention.eventTypeDays).every(positive)) {
+    throw new Error('RETENTION_EVENT_TYPE_DAYS must be a JSON object of positive day counts');
+  }
 }
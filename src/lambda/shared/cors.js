@@ -0,0 +1,111 @@
+/**
+ * CORS headers for browser clients
+ * 
+ * The function answers CORS itself (template.yaml sends preflight OPTIONS
+ * requests to it), so this is the one place it is configured:
+ * - the allowed origins, per stage (config.cors): `*`, or an allowlist whose
+ *   origins are echoed back, with credentials when allowCredentials is set
+ * - the methods of a preflight, from the routes registered for its path
+ *   (see routes.js)
+ * - the request headers browsers may send and the response headers they may
+ *   read, below
+ */
+
+import { config } from './config.js';
+
+// Request headers browser clients may send
+const ALLOW_HEADERS = [
+  'authorization',
+  'content-type',
+  'if-match',
+  'idempotency-key',
+  'user-agent',
+  'x-actor-id',
+  'x-api-key',
+  'x-external-id',
+  'x-forwarded-for',
+  'x-request-id',
+  'x-session-id'
+];
+
+// Response headers browser clients may read
+const EXPOSE_HEADERS = [
+  'X-Request-Id',
+  'ETag',
+  'Idempotent-Replayed',
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+  'X-Next-Token',
+  'Content-Disposition',
+  'Deprecation',
+  'Sunset'
+];
+
+// Headers withCors sets, per request
+const RESPONSE_CORS_HEADERS = [
+  'Access-Control-Allow-Origin',
+  'Access-Control-Allow-Credentials',
+  'Access-Control-Expose-Headers'
+];
+
+/**
+ * Access-Control-Allow-Origin (and -Credentials) for a request's Origin
+ * 
+ * Without an allowed origin there is no Allow-Origin, and the browser keeps
+ * the response from the page.
+ */
+function originHeaders(origin) {
+  const { allowedOrigins, allowCredentials } = config.cors;
+  
+  if (allowedOrigins.includes('*')) {
+    return { 'Access-Control-Allow-Origin': '*' };
+  }
+  
+  if (!origin || !allowedOrigins.includes(origin)) {
+    return {};
+  }
+  
+  return {
+    'Access-Control-Allow-Origin': origin,
+    ...(allowCredentials && { 'Access-Control-Allow-Credentials': 'true' })
+  };
+}
+
+/**
+ * Add the CORS headers for a request's origin to its response
+ * 
+ * Replaces any a stored response (shared/idempotency.js) was saved with.
+ */
+export function withCors(response, event) {
+  const ownHeaders = Object.entries(response.headers || {})
+    .filter(([name]) => !RESPONSE_CORS_HEADERS.includes(name));
+  
+  const headers = {
+    ...Object.fromEntries(ownHeaders),
+    ...originHeaders(event.headers?.origin),
+    'Access-Control-Expose-Headers': EXPOSE_HEADERS.join(',')
+  };
+  
+  // With an allowlist the response depends on the Origin, so caches must keep them apart
+  if (!config.cors.allowedOrigins.includes('*')) {
+    headers.Vary = [response.headers?.Vary, 'Origin'].filter(Boolean).join(', ');
+  }
+  
+  return { ...response, headers };
+}
+
+/**
+ * Headers of a preflight response for a path registered under `methods`
+ */
+export function preflightHeaders(methods) {
+  const allow = [...methods, 'OPTIONS'].join(',');
+  
+  return {
+    Allow: allow,
+    'Access-Control-Allow-Methods': allow,
+    'Access-Control-Allow-Headers': ALLOW_HEADERS.join(','),
+    'Access-Control-Max-Age': String(config.cors.maxAgeSeconds)
+  };
+}
@@ -1,8 +1,11 @@
 /**
  * DynamoDB client initialization and base operations
+ * 
+ * This is the DynamoDB storage backend; repositories go through
+ * shared/storage.js, which selects it or the in-memory backend.
  */
 
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, DescribeTableCommand } from '@aws-sdk/client-dynamodb';
 import { 
   DynamoDBDocumentClient, 
   PutCommand, 
@@ -10,11 +13,14 @@ import {
   QueryCommand, 
   BatchWriteCommand,
   DeleteCommand,
-  UpdateCommand 
+  UpdateCommand,
+  TransactWriteCommand 
 } from '@aws-sdk/lib-dynamodb';
 import { config } from '../shared/config.js';
 import { logger } from '../shared/logger.js';
-import { InternalError } from '../shared/errors.js';
+import { InternalError, ConditionalCheckFailedError } from '../shared/errors.js';
+import { batchWriteAll } from '../shared/batchWriter.js';
+import { applyCondition, buildUpdateExpression } from '../shared/expressionBuilder.js';
 
 const client = new DynamoDBClient({ region: config.region });
 
@@ -30,19 +36,25 @@ export const docClient = DynamoDBDocumentClient.from(client, {
 
 /**
  * Put item into DynamoDB
+ * 
+ * Accepts the same condition options as updateItem; a failed condition
+ * throws ConditionalCheckFailedError.
  */
-export async function putItem(item) {
+export async function putItem(item, options = {}) {
   try {
     logger.debug('DynamoDB PutItem', { item });
     
-    const command = new PutCommand({
+    const command = new PutCommand(applyCondition({
       TableName: config.tableName,
       Item: item
-    });
+    }, options));
     
     await docClient.send(command);
     return item;
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ConditionalCheckFailedError('Put condition not met', ['ConditionalCheckFailed']);
+    }
     logger.error('DynamoDB PutItem failed', { error: error.message });
     throw new InternalError('Failed to save item', error);
   }
@@ -50,18 +62,37 @@ export async function putItem(item) {
 
 /**
  * Get item from DynamoDB
+ * 
+ * Options may add a projectionExpression, with placeholders in
+ * expressionAttributeNames, and consistentRead for a strongly consistent read.
  */
-export async function getItem(pk, sk) {
+export async function getItem(pk, sk, options = {}) {
+  const { projectionExpression = null, expressionAttributeNames = {}, consistentRead = false } = options;
+  
   try {
     logger.debug('DynamoDB GetItem', { pk, sk });
     
-    const command = new GetCommand({
+    const params = {
       TableName: config.tableName,
       Key: {
         [config.pkName]: pk,
         [config.skName]: sk
       }
-    });
+    };
+    
+    if (projectionExpression) {
+      params.ProjectionExpression = projectionExpression;
+    }
+    
+    if (Object.keys(expressionAttributeNames).length > 0) {
+      params.ExpressionAttributeNames = expressionAttributeNames;
+    }
+    
+    if (consistentRead) {
+      params.ConsistentRead = true;
+    }
+    
+    const command = new GetCommand(params);
     
     const result = await docClient.send(command);
     return result.Item || null;
@@ -72,21 +103,37 @@ export async function getItem(pk, sk) {
 }
 
 /**
- * Query items from DynamoDB (main table or GSI)
+ * Query a single page from DynamoDB (main table or GSI)
+ * 
+ * Returns the page items together with LastEvaluatedKey so callers can
+ * resume the query with exclusiveStartKey. Options may add a filter and
+ * projection expression, with placeholders in expressionAttributeNames.
  */
-export async function queryItems(keyConditionExpression, expressionAttributeValues, indexName = null, limit = null) {
+export async function queryPage(keyConditionExpression, expressionAttributeValues, options = {}) {
+  const {
+    indexName = null,
+    limit = null,
+    exclusiveStartKey = null,
+    scanIndexForward = true,
+    expressionAttributeNames = {},
+    filterExpression = null,
+    projectionExpression = null
+  } = options;
+  
   try {
     logger.debug('DynamoDB Query', { 
       keyConditionExpression, 
       expressionAttributeValues, 
       indexName,
-      limit 
+      limit,
+      hasStartKey: Boolean(exclusiveStartKey)
     });
     
     const params = {
       TableName: config.tableName,
       KeyConditionExpression: keyConditionExpression,
-      ExpressionAttributeValues: expressionAttributeValues
+      ExpressionAttributeValues: expressionAttributeValues,
+      ScanIndexForward: scanIndexForward
     };
     
     if (indexName) {
@@ -97,10 +144,29 @@ export async function queryItems(keyConditionExpression, expressionAttributeValu
       params.Limit = limit;
     }
     
+    if (exclusiveStartKey) {
+      params.ExclusiveStartKey = exclusiveStartKey;
+    }
+    
+    if (filterExpression) {
+      params.FilterExpression = filterExpression;
+    }
+    
+    if (projectionExpression) {
+      params.ProjectionExpression = projectionExpression;
+    }
+    
+    if (Object.keys(expressionAttributeNames).length > 0) {
+      params.ExpressionAttributeNames = expressionAttributeNames;
+    }
+    
     const command = new QueryCommand(params);
     const result = await docClient.send(command);
     
-    return result.Items || [];
+    return {
+      items: result.Items || [],
+      lastEvaluatedKey: result.LastEvaluatedKey || null
+    };
   } catch (error) {
     logger.error('DynamoDB Query failed', { 
       error: error.message, 
@@ -112,47 +178,64 @@ export async function queryItems(keyConditionExpression, expressionAttributeValu
 
 /**
  * Batch write items (for seeding/bulk operations)
+ * 
+ * Any number of items is accepted; they are chunked into 25-item requests and
+ * UnprocessedItems are retried with backoff. Resolves with a per-item report
+ * { total, succeeded, failed, results: [{ index, key, success, error? }] }.
  */
-export async function batchWriteItems(items) {
-  try {
-    logger.debug('DynamoDB BatchWrite', { itemCount: items.length });
-    
-    const putRequests = items.map(item => ({
-      PutRequest: { Item: item }
-    }));
-    
-    const command = new BatchWriteCommand({
-      RequestItems: {
-        [config.tableName]: putRequests
-      }
+export async function batchWriteItems(items, options = {}) {
+  logger.debug('DynamoDB BatchWrite', { itemCount: items.length });
+  
+  const report = await batchWriteAll(items, {
+    ...options,
+    tableName: config.tableName,
+    keyAttributes: [config.pkName, config.skName],
+    send: params => docClient.send(new BatchWriteCommand(params))
+  });
+  
+  if (report.failed > 0) {
+    logger.warn('DynamoDB BatchWrite incomplete', {
+      itemCount: report.total,
+      failed: report.failed,
+      errors: [...new Set(report.results.filter(r => !r.success).map(r => r.error))]
     });
-    
-    await docClient.send(command);
-    return items;
-  } catch (error) {
-    logger.error('DynamoDB BatchWrite failed', { error: error.message });
-    throw new InternalError('Failed to batch write items', error);
   }
+  
+  return report;
+}
+
+/**
+ * Batch delete items (or keys) with the same chunking, retries and report
+ * as batchWriteItems
+ */
+export async function batchDeleteItems(items, options = {}) {
+  return await batchWriteItems(items, { ...options, operation: 'delete' });
 }
 
 /**
  * Delete item from DynamoDB
+ * 
+ * Accepts the same condition options as updateItem; a failed condition
+ * throws ConditionalCheckFailedError.
  */
-export async function deleteItem(pk, sk) {
+export async function deleteItem(pk, sk, options = {}) {
   try {
     logger.debug('DynamoDB DeleteItem', { pk, sk });
     
-    const command = new DeleteCommand({
+    const command = new DeleteCommand(applyCondition({
       TableName: config.tableName,
       Key: {
         [config.pkName]: pk,
         [config.skName]: sk
       }
-    });
+    }, options));
     
     await docClient.send(command);
     return true;
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ConditionalCheckFailedError('Delete condition not met', ['ConditionalCheckFailed']);
+    }
     logger.error('DynamoDB DeleteItem error', { pk, sk, error: error.message });
     throw new InternalError('Failed to delete item', error);
   }
@@ -160,39 +243,115 @@ export async function deleteItem(pk, sk) {
 
 /**
  * Update item in DynamoDB
+ * 
+ * Options:
+ * - increments: { attr: number } applied atomically with ADD
+ * - removals: attribute names to REMOVE
+ * - returnValues: 'ALL_NEW' (default) returns the updated item, 'ALL_OLD' the
+ *   item as it was before the update (null if it did not exist)
+ * - conditionExpression: string, with its own values in conditionValues
+ * - expectedVersion: number, update only if the stored item has this version
  */
-export async function updateItem(pk, sk, updates) {
+export async function updateItem(pk, sk, updates, options = {}) {
+  const { increments = {}, removals = [], returnValues = 'ALL_NEW' } = options;
+  
   try {
-    logger.debug('DynamoDB UpdateItem', { pk, sk, updates });
-    
-    const updateExpression = [];
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = {};
-    
-    Object.keys(updates).forEach((key, index) => {
-      const attrName = `#attr${index}`;
-      const attrValue = `:val${index}`;
-      updateExpression.push(`${attrName} = ${attrValue}`);
-      expressionAttributeNames[attrName] = key;
-      expressionAttributeValues[attrValue] = updates[key];
-    });
+    logger.debug('DynamoDB UpdateItem', { pk, sk, updates, increments, removals });
+    
+    const expression = buildUpdateExpression(updates, increments, removals);
     
-    const command = new UpdateCommand({
+    const command = new UpdateCommand(applyCondition({
       TableName: config.tableName,
       Key: {
         [config.pkName]: pk,
         [config.skName]: sk
       },
-      UpdateExpression: `SET ${updateExpression.join(', ')}`,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    });
+      ...expression,
+      ReturnValues: returnValues
+    }, options));
     
     const response = await docClient.send(command);
-    return response.Attributes;
+    return response.Attributes || null;
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ConditionalCheckFailedError('Update condition not met', ['ConditionalCheckFailed']);
+    }
     logger.error('DynamoDB UpdateItem error', { pk, sk, error: error.message });
     throw new InternalError('Failed to update item', error);
   }
 }
+
+const TRANSACTION_MAX_ATTEMPTS = 4;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Write several items atomically (TransactWriteItems)
+ * 
+ * Accepts DynamoDB transact items ({ Put }, { Update }, { Delete }, { ConditionCheck })
+ * without TableName; the configured table is filled in. When a condition fails the
+ * whole transaction is rolled back and ConditionalCheckFailedError is thrown with
+ * one cancellation reason code per action (e.g. 'None', 'ConditionalCheckFailed').
+ * Transactions cancelled by a conflicting concurrent write (e.g. several events for
+ * the same session in one batch) are retried with backoff.
+ */
+export async function transactWriteItems(transactItems) {
+  const command = new TransactWriteCommand({
+    TransactItems: transactItems.map(action => {
+      const [operation, params] = Object.entries(action)[0];
+      return { [operation]: { TableName: config.tableName, ...params } };
+    })
+  });
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      logger.debug('DynamoDB TransactWriteItems', { actionCount: transactItems.length, attempt });
+      
+      await docClient.send(command);
+      return true;
+    } catch (error) {
+      const reasons = (error.CancellationReasons || []).map(reason => reason.Code || 'None');
+      
+      if (error.name === 'TransactionCanceledException' && reasons.includes('ConditionalCheckFailed')) {
+        logger.debug('DynamoDB TransactWriteItems condition failed', { reasons });
+        throw new ConditionalCheckFailedError('Transaction condition not met', reasons);
+      }
+      
+      const conflicted = error.name === 'TransactionCanceledException' && reasons.includes('TransactionConflict');
+      if (conflicted && attempt < TRANSACTION_MAX_ATTEMPTS) {
+        await sleep(Math.random() * 50 * 2 ** attempt);
+        continue;
+      }
+      
+      logger.error('DynamoDB TransactWriteItems failed', { error: error.message, reasons });
+      throw new InternalError('Failed to write transaction', error);
+    }
+  }
+}
+
+/**
+ * Describe the table: { status, indexes: [{ name, status }] }
+ * 
+ * Used by the readiness check to verify the table and its GSIs exist and
+ * are ACTIVE.
+ */
+export async function describeTable() {
+  try {
+    logger.debug('DynamoDB DescribeTable', { tableName: config.tableName });
+    
+    const { Table: table } = await client.send(new DescribeTableCommand({ TableName: config.tableName }));
+    
+    return {
+      status: table.TableStatus,
+      indexes: (table.GlobalSecondaryIndexes || []).map(index => ({
+        name: index.IndexName,
+        status: index.IndexStatus
+      }))
+    };
+  } catch (error) {
+    logger.error('DynamoDB DescribeTable failed', { error: error.message });
+    throw new InternalError('Failed to describe table', error);
+  }
+}
@@ -1,29 +1,157 @@
 /**
  * Custom error classes for domain and HTTP layer
+ * 
+ * Every error carries a `code` from ERROR_CODES, which clients can rely on
+ * instead of the message. Each class has a generic default code; throw sites
+ * pass a more specific one where clients can act on it.
  */
 
+// Error code catalog: code -> { status, title }. Codes are part of the API:
+// add new ones freely, but never rename or reuse one. The first code of each
+// status is its generic one
+export const ERROR_CODES = {
+  // 400
+  VALIDATION_FAILED: { status: 400, title: 'The request is invalid' },
+  BODY_NOT_JSON: { status: 400, title: 'The request body is not valid JSON' },
+  FIELD_REQUIRED: { status: 400, title: 'A required field is missing' },
+  EVENT_TYPE_INVALID: { status: 400, title: 'The event type is not supported' },
+  SESSION_ID_INVALID: { status: 400, title: 'The session ID does not match the session ID policy' },
+  BATCH_EMPTY: { status: 400, title: 'The batch contains no events' },
+  BATCH_TOO_LARGE: { status: 400, title: 'The batch contains too many events' },
+  NO_UPDATE_FIELDS: { status: 400, title: 'The update changes no fields' },
+  QUERY_PARAMETER_INVALID: { status: 400, title: 'A query parameter is invalid' },
+  PATH_PARAMETER_INVALID: { status: 400, title: 'A path parameter is invalid' },
+  NEXT_TOKEN_INVALID: { status: 400, title: 'The pagination token is invalid' },
+  IDEMPOTENCY_KEY_INVALID: { status: 400, title: 'The Idempotency-Key header is invalid' },
+  API_KEY_SCOPES_INVALID: { status: 400, title: 'The API key scopes are invalid' },
+  // 401
+  UNAUTHORIZED: { status: 401, title: 'Authentication failed' },
+  AUTHENTICATION_REQUIRED: { status: 401, title: 'Authentication is required' },
+  CREDENTIALS_AMBIGUOUS: { status: 401, title: 'Both a bearer token and an API key were sent' },
+  TOKEN_INVALID: { status: 401, title: 'The bearer token is invalid' },
+  TOKEN_EXPIRED: { status: 401, title: 'The bearer token has expired' },
+  API_KEY_INVALID: { status: 401, title: 'The API key is invalid' },
+  // 403
+  FORBIDDEN: { status: 403, title: 'The request is not allowed' },
+  SCOPE_MISSING: { status: 403, title: 'The caller lacks a required scope' },
+  ORIGIN_NOT_ALLOWED: { status: 403, title: 'The API key is not allowed from this origin' },
+  // 404
+  NOT_FOUND: { status: 404, title: 'The resource was not found' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'No route matches the request' },
+  SESSION_NOT_FOUND: { status: 404, title: 'The session was not found' },
+  EVENT_NOT_FOUND: { status: 404, title: 'The event was not found' },
+  API_KEY_NOT_FOUND: { status: 404, title: 'The API key was not found' },
+  // 405
+  METHOD_NOT_ALLOWED: { status: 405, title: 'The method is not allowed on this route' },
+  // 409
+  CONFLICT: { status: 409, title: 'The request conflicts with the current state' },
+  CONDITION_FAILED: { status: 409, title: 'A write condition was not met' },
+  SESSION_EXISTS: { status: 409, title: 'The session already exists' },
+  SESSION_DELETED: { status: 409, title: 'The session is deleted' },
+  VERSION_CONFLICT: { status: 409, title: 'The resource was modified concurrently' },
+  EVENT_ALREADY_TRACKED: { status: 409, title: 'An event with this clientEventId was already tracked' },
+  IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, title: 'A request with this Idempotency-Key is still running' },
+  IDEMPOTENCY_KEY_REUSED: { status: 409, title: 'The Idempotency-Key was used for a different request' },
+  // 412
+  PRECONDITION_FAILED: { status: 412, title: 'If-Match does not match the current version' },
+  // 429
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  // 500
+  INTERNAL_ERROR: { status: 500, title: 'An unexpected error occurred' }
+};
+
+// Codes of NotFoundError by resourceType
+const NOT_FOUND_CODES = {
+  session: 'SESSION_NOT_FOUND',
+  event: 'EVENT_NOT_FOUND',
+  apiKey: 'API_KEY_NOT_FOUND',
+  route: 'ROUTE_NOT_FOUND'
+};
+
 export class ValidationError extends Error {
-  constructor(message, field = null) {
+  // errors: every violation found, as { path, rule, message } (see shared/jsonSchema.js)
+  constructor(message, field = null, errors = null, code = 'VALIDATION_FAILED') {
     super(message);
     this.name = 'ValidationError';
     this.field = field;
+    this.errors = errors;
+    this.code = code;
     this.statusCode = 400;
   }
 }
 
+export class UnauthorizedError extends Error {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.code = code;
+    this.statusCode = 403;
+  }
+}
+
 export class NotFoundError extends Error {
-  constructor(message, resourceType = null) {
+  constructor(message, resourceType = null, code = NOT_FOUND_CODES[resourceType] || 'NOT_FOUND') {
     super(message);
     this.name = 'NotFoundError';
     this.resourceType = resourceType;
+    this.code = code;
     this.statusCode = 404;
   }
 }
 
 export class ConflictError extends Error {
-  constructor(message) {
+  constructor(message, code = 'CONFLICT') {
     super(message);
     this.name = 'ConflictError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+export class MethodNotAllowedError extends Error {
+  constructor(message, allowedMethods = []) {
+    super(message);
+    this.name = 'MethodNotAllowedError';
+    this.allowedMethods = allowedMethods;
+    this.code = 'METHOD_NOT_ALLOWED';
+    this.statusCode = 405;
+  }
+}
+
+export class PreconditionFailedError extends Error {
+  constructor(message, code = 'PRECONDITION_FAILED') {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.code = code;
+    this.statusCode = 412;
+  }
+}
+
+export class TooManyRequestsError extends Error {
+  constructor(message, retryAfterSeconds = 1) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.code = 'RATE_LIMITED';
+    this.statusCode = 429;
+  }
+}
+
+export class ConditionalCheckFailedError extends Error {
+  constructor(message, reasons = []) {
+    super(message);
+    this.name = 'ConditionalCheckFailedError';
+    this.reasons = reasons;
+    this.code = 'CONDITION_FAILED';
     this.statusCode = 409;
   }
 }
@@ -33,6 +161,7 @@ export class InternalError extends Error {
     super(message);
     this.name = 'InternalError';
     this.originalError = originalError;
+    this.code = 'INTERNAL_ERROR';
     this.statusCode = 500;
   }
 }
@@ -0,0 +1,47 @@
+/**
+ * ETag / If-Match helpers for optimistic concurrency
+ *
+ * Session and event items carry a numeric `version`, bumped by writes to the
+ * item; the ETag is that version as a weak entity tag, e.g. W/"3". It is a
+ * write precondition for If-Match rather than a validator of the response:
+ * tracking an event changes a session's stepsTaken and timeline without a
+ * new version, so one tag covers several representations.
+ */
+
+import { PreconditionFailedError } from './errors.js';
+
+/**
+ * Build ETag header value from an item version (unversioned items are version 0)
+ */
+export function toETag(version) {
+  return `W/"${version || 0}"`;
+}
+
+/**
+ * Build response headers carrying the ETag of an item
+ */
+export function etagHeaders(version) {
+  return { ETag: toETag(version) };
+}
+
+/**
+ * Parse the If-Match request header into an expected version
+ *
+ * Returns null when the header is absent or `*` (any current version).
+ * Tags compare weakly, so "3" matches W/"3"; foreign entity tags can never
+ * match, so they fail the precondition straight away.
+ */
+export function parseIfMatch(headers = {}) {
+  const value = headers['if-match'] ?? headers['If-Match'];
+
+  if (value === undefined || value === null || value.trim() === '' || value.trim() === '*') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(?:W\/)?"(\d+)"$/);
+  if (!match) {
+    throw new PreconditionFailedError(`If-Match does not match the current version: ${value}`);
+  }
+
+  return Number(match[1]);
+}
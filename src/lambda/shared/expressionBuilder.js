@@ -0,0 +1,133 @@
+/**
+ * Builders for DynamoDB expressions shared by all storage backends
+ */
+
+/**
+ * Build the optimistic-locking condition for an expected item version
+ * 
+ * Items written before versioning was introduced have no `version` attribute
+ * and are treated as version 0.
+ */
+export function versionCondition(expectedVersion) {
+  if (expectedVersion === 0) {
+    return {
+      expression: 'attribute_not_exists(#version)',
+      names: { '#version': 'version' },
+      values: {}
+    };
+  }
+  
+  return {
+    expression: '#version = :expectedVersion',
+    names: { '#version': 'version' },
+    values: { ':expectedVersion': expectedVersion }
+  };
+}
+
+/**
+ * Merge write condition options into command params
+ * 
+ * Options:
+ * - conditionExpression: string, with its own values in conditionValues
+ * - expectedVersion: number, write only if the stored item has this version
+ */
+export function applyCondition(params, options = {}) {
+  const { conditionExpression = null, conditionValues = {}, expectedVersion = null } = options;
+  const clauses = [];
+  
+  if (conditionExpression) {
+    clauses.push(`(${conditionExpression})`);
+    params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...conditionValues };
+  }
+  
+  if (expectedVersion !== null && expectedVersion !== undefined) {
+    const version = versionCondition(expectedVersion);
+    clauses.push(version.expression);
+    params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...version.names };
+    params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...version.values };
+  }
+  
+  if (clauses.length > 0) {
+    params.ConditionExpression = clauses.join(' AND ');
+  }
+  
+  if (params.ExpressionAttributeValues && Object.keys(params.ExpressionAttributeValues).length === 0) {
+    delete params.ExpressionAttributeValues;
+  }
+  
+  return params;
+}
+
+/**
+ * Build SET / ADD / REMOVE update expression parts
+ * 
+ * `updates` are assigned with SET, `increments` are applied atomically with ADD
+ * and the attribute names in `removals` are dropped with REMOVE.
+ */
+export function buildUpdateExpression(updates = {}, increments = {}, removals = []) {
+  const setParts = [];
+  const addParts = [];
+  const removeParts = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+  
+  Object.keys(updates).forEach((key, index) => {
+    const attrName = `#attr${index}`;
+    const attrValue = `:val${index}`;
+    setParts.push(`${attrName} = ${attrValue}`);
+    expressionAttributeNames[attrName] = key;
+    expressionAttributeValues[attrValue] = updates[key];
+  });
+  
+  Object.keys(increments).forEach((key, index) => {
+    const attrName = `#inc${index}`;
+    const attrValue = `:inc${index}`;
+    addParts.push(`${attrName} ${attrValue}`);
+    expressionAttributeNames[attrName] = key;
+    expressionAttributeValues[attrValue] = increments[key];
+  });
+  
+  removals.forEach((key, index) => {
+    const attrName = `#rem${index}`;
+    removeParts.push(attrName);
+    expressionAttributeNames[attrName] = key;
+  });
+  
+  const clauses = [];
+  if (setParts.length > 0) {
+    clauses.push(`SET ${setParts.join(', ')}`);
+  }
+  if (addParts.length > 0) {
+    clauses.push(`ADD ${addParts.join(', ')}`);
+  }
+  if (removeParts.length > 0) {
+    clauses.push(`REMOVE ${removeParts.join(', ')}`);
+  }
+  
+  return {
+    UpdateExpression: clauses.join(' '),
+    ExpressionAttributeNames: expressionAttributeNames,
+    ExpressionAttributeValues: expressionAttributeValues
+  };
+}
+
+/**
+ * Build a projection expression for a list of attribute names
+ * 
+ * Every name gets a placeholder, since many (status, timestamp, ...) are
+ * DynamoDB reserved words. Returns { projectionExpression,
+ * expressionAttributeNames }, ready to spread into getItem / queryPage options.
+ */
+export function buildProjectionExpression(attributes) {
+  const expressionAttributeNames = {};
+  
+  const parts = attributes.map((attribute, index) => {
+    expressionAttributeNames[`#proj${index}`] = attribute;
+    return `#proj${index}`;
+  });
+  
+  return {
+    projectionExpression: parts.join(', '),
+    expressionAttributeNames
+  };
+}
@@ -0,0 +1,470 @@
+/**
+ * Evaluator for the DynamoDB expression language used by the in-memory backend
+ *
+ * Supports what the repositories send to DynamoDB:
+ * - Condition / key condition / filter expressions: comparisons (= <> < <= > >=),
+ *   BETWEEN, IN, AND / OR / NOT, parentheses, attribute_exists,
+ *   attribute_not_exists, begins_with, contains, size
+ * - Update expressions: SET (with + / -, if_not_exists, list_append), REMOVE, ADD
+ * - Projection expressions
+ *
+ * Attribute names may be written directly, as #placeholders, or as dotted /
+ * indexed paths (eventData.page, items[0]).
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+
+class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationException';
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),+\-[\].]|[#:]?[A-Za-z0-9_]+)/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) {
+      break;
+    }
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new ExpressionError(`Invalid expression near: ${expression.slice(position)}`);
+    }
+
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over a token stream
+ */
+class Parser {
+  constructor(expression, names = {}, values = {}) {
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token !== undefined && token.toUpperCase() === word;
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual === undefined || actual.toUpperCase() !== token.toUpperCase()) {
+      throw new ExpressionError(`Expected "${token}" but found "${actual}"`);
+    }
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // --- paths and operands ---
+
+  parsePath() {
+    const segments = [];
+
+    const readName = () => {
+      const token = this.next();
+      if (token === undefined || /^[:(),=<>+\-[\].]/.test(token) || KEYWORDS.includes(token.toUpperCase())) {
+        throw new ExpressionError(`Expected attribute name but found "${token}"`);
+      }
+      if (token.startsWith('#')) {
+        if (!(token in this.names)) {
+          throw new ExpressionError(`Undefined attribute name placeholder: ${token}`);
+        }
+        return this.names[token];
+      }
+      return token;
+    };
+
+    segments.push(readName());
+
+    while (this.peek() === '.' || this.peek() === '[') {
+      if (this.next() === '.') {
+        segments.push(readName());
+      } else {
+        segments.push(Number(this.next()));
+        this.expect(']');
+      }
+    }
+
+    return segments;
+  }
+
+  parseValueRef() {
+    const token = this.next();
+    if (!(token in this.values)) {
+      throw new ExpressionError(`Undefined attribute value placeholder: ${token}`);
+    }
+    return this.values[token];
+  }
+
+  // Returns a function item => value
+  parseOperand() {
+    const token = this.peek();
+
+    if (token?.startsWith(':')) {
+      const value = this.parseValueRef();
+      return () => value;
+    }
+
+    if (token?.toLowerCase() === 'size' && this.peek(1) === '(') {
+      this.next();
+      this.expect('(');
+      const path = this.parsePath();
+      this.expect(')');
+      return item => sizeOf(getPath(item, path));
+    }
+
+    const path = this.parsePath();
+    return item => getPath(item, path);
+  }
+
+  // --- conditions ---
+
+  parseCondition() {
+    const condition = this.parseOr();
+    if (!this.done()) {
+      throw new ExpressionError(`Unexpected token "${this.peek()}"`);
+    }
+    return condition;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('OR')) {
+      this.next();
+      const right = this.parseAnd();
+      const l = left;
+      left = item => l(item) || right(item);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('AND')) {
+      this.next();
+      const right = this.parseNot();
+      const l = left;
+      left = item => l(item) && right(item);
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      const inner = this.parseNot();
+      return item => !inner(item);
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token === '(') {
+      this.next();
+      const inner = this.parseOr();
+      this.expect(')');
+      return inner;
+    }
+
+    const fn = token?.toLowerCase();
+    if (['attribute_exists', 'attribute_not_exists', 'begins_with', 'contains'].includes(fn) && this.peek(1) === '(') {
+      this.next();
+      this.expect('(');
+      const path = this.parsePath();
+
+      if (fn === 'attribute_exists' || fn === 'attribute_not_exists') {
+        this.expect(')');
+        const wantExists = fn === 'attribute_exists';
+        return item => (getPath(item, path) !== undefined) === wantExists;
+      }
+
+      this.expect(',');
+      const operand = this.parseOperand();
+      this.expect(')');
+
+      if (fn === 'begins_with') {
+        return item => {
+          const value = getPath(item, path);
+          const prefix = operand(item);
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        };
+      }
+
+      return item => {
+        const value = getPath(item, path);
+        const needle = operand(item);
+        if (typeof value === 'string') {
+          return typeof needle === 'string' && value.includes(needle);
+        }
+        if (Array.isArray(value)) {
+          return value.some(element => equals(element, needle));
+        }
+        return false;
+      };
+    }
+
+    const left = this.parseOperand();
+
+    if (this.isKeyword('BETWEEN')) {
+      this.next();
+      const low = this.parseOperand();
+      this.expect('AND');
+      const high = this.parseOperand();
+      return item => compare(left(item), low(item), '>=') && compare(left(item), high(item), '<=');
+    }
+
+    if (this.isKeyword('IN')) {
+      this.next();
+      this.expect('(');
+      const candidates = [this.parseOperand()];
+      while (this.peek() === ',') {
+        this.next();
+        candidates.push(this.parseOperand());
+      }
+      this.expect(')');
+      return item => candidates.some(candidate => equals(left(item), candidate(item)));
+    }
+
+    const operator = this.next();
+    if (!['=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+      throw new ExpressionError(`Expected comparison operator but found "${operator}"`);
+    }
+    const right = this.parseOperand();
+    return item => compare(left(item), right(item), operator);
+  }
+
+  // --- updates ---
+
+  parseSetValue() {
+    const parseTerm = () => {
+      const fn = this.peek()?.toLowerCase();
+
+      if (fn === 'if_not_exists' && this.peek(1) === '(') {
+        this.next();
+        this.expect('(');
+        const path = this.parsePath();
+        this.expect(',');
+        const fallback = parseTerm();
+        this.expect(')');
+        return item => {
+          const current = getPath(item, path);
+          return current === undefined ? fallback(item) : current;
+        };
+      }
+
+      if (fn === 'list_append' && this.peek(1) === '(') {
+        this.next();
+        this.expect('(');
+        const first = parseTerm();
+        this.expect(',');
+        const second = parseTerm();
+        this.expect(')');
+        return item => [...(first(item) || []), ...(second(item) || [])];
+      }
+
+      return this.parseOperand();
+    };
+
+    const left = parseTerm();
+
+    if (this.peek() === '+' || this.peek() === '-') {
+      const operator = this.next();
+      const right = parseTerm();
+      return item => {
+        const a = left(item);
+        const b = right(item);
+        if (typeof a !== 'number' || typeof b !== 'number') {
+          throw new ExpressionError('An operand in the update expression has an incorrect data type');
+        }
+        return operator === '+' ? a + b : a - b;
+      };
+    }
+
+    return left;
+  }
+
+  parseUpdate() {
+    const actions = [];
+
+    while (!this.done()) {
+      const clause = this.next().toUpperCase();
+
+      do {
+        if (actions.length > 0 && this.peek() === ',') {
+          this.next();
+        }
+
+        if (clause === 'SET') {
+          const path = this.parsePath();
+          this.expect('=');
+          const value = this.parseSetValue();
+          actions.push((source, target) => setPath(target, path, value(source)));
+        } else if (clause === 'REMOVE') {
+          const path = this.parsePath();
+          actions.push((source, target) => removePath(target, path));
+        } else if (clause === 'ADD') {
+          const path = this.parsePath();
+          const value = this.parseOperand();
+          actions.push((source, target) => {
+            const current = getPath(target, path);
+            const delta = value(source);
+            if (typeof delta !== 'number' || (current !== undefined && typeof current !== 'number')) {
+              throw new ExpressionError('ADD is only supported for numbers by the in-memory backend');
+            }
+            setPath(target, path, (current || 0) + delta);
+          });
+        } else {
+          throw new ExpressionError(`Unsupported update clause: ${clause}`);
+        }
+      } while (this.peek() === ',');
+    }
+
+    return actions;
+  }
+}
+
+// --- value helpers ---
+
+export function getPath(item, path) {
+  let current = item;
+  for (const segment of path) {
+    if (current === undefined || current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current === null ? null : current;
+}
+
+function setPath(item, path, value) {
+  let current = item;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (current[path[i]] === undefined || typeof current[path[i]] !== 'object') {
+      throw new ExpressionError('The document path provided in the update expression is invalid for update');
+    }
+    current = current[path[i]];
+  }
+  current[path[path.length - 1]] = value;
+}
+
+function removePath(item, path) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent && typeof parent === 'object') {
+    if (Array.isArray(parent)) {
+      parent.splice(path[path.length - 1], 1);
+    } else {
+      delete parent[path[path.length - 1]];
+    }
+  }
+}
+
+function sizeOf(value) {
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length;
+  }
+  return undefined;
+}
+
+function equals(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compare(a, b, operator) {
+  if (operator === '=') {
+    return a !== undefined && equals(a, b);
+  }
+  if (operator === '<>') {
+    return !equals(a, b);
+  }
+
+  // Ordering is only defined between two numbers or two strings
+  if (typeof a !== typeof b || !['number', 'string'].includes(typeof a)) {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return false;
+  }
+}
+
+// --- public API ---
+
+/**
+ * Compile a condition, key condition or filter expression into a predicate
+ */
+export function compileCondition(expression, names = {}, values = {}) {
+  return new Parser(expression, names, values).parseCondition();
+}
+
+/**
+ * Apply an update expression to a copy of `item` and return the new item
+ */
+export function applyUpdate(item, expression, names = {}, values = {}) {
+  const actions = new Parser(expression, names, values).parseUpdate();
+  const source = structuredClone(item);
+  const target = structuredClone(item);
+
+  // Every action reads the item as it was before the update, like DynamoDB
+  actions.forEach(action => action(source, target));
+  return target;
+}
+
+/**
+ * Apply a projection expression, returning only the listed attributes
+ */
+export function applyProjection(item, expression, names = {}) {
+  const parser = new Parser(expression, names, {});
+  const projected = {};
+
+  do {
+    if (parser.peek() === ',') {
+      parser.next();
+    }
+    const path = parser.parsePath();
+    const value = getPath(item, path);
+    if (value !== undefined) {
+      // Nested paths are projected into the same nested shape
+      let target = projected;
+      for (let i = 0; i < path.length - 1; i++) {
+        target[path[i]] = target[path[i]] ?? (typeof path[i + 1] === 'number' ? [] : {});
+        target = target[path[i]];
+      }
+      target[path[path.length - 1]] = structuredClone(value);
+    }
+  } while (parser.peek() === ',');
+
+  return projected;
+}
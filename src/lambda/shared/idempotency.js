@@ -0,0 +1,80 @@
+/**
+ * Idempotency-Key middleware for the ingestion routes
+ * 
+ * Routes with `idempotent: true` accept an `Idempotency-Key` header. A retry
+ * with the same key, from the same caller and with the same body, gets the
+ * first response back (with `Idempotent-Replayed: true`) instead of writing
+ * again. Server errors are not remembered, so they can be retried.
+ * See service/idempotencyService.js.
+ */
+
+import * as idempotencyService from '../service/idempotencyService.js';
+import { ValidationError } from './errors.js';
+import { errorResponseFromException } from './response.js';
+import { logger } from './logger.js';
+
+// Printable ASCII, as sent by UUID and ULID generators alike
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Namespace of a request's keys: its principal, or anonymous callers together
+ */
+function callerOf(event) {
+  return event.auth ? `${event.auth.type}:${event.auth.subject}` : 'anonymous';
+}
+
+/**
+ * Route middleware replaying responses by Idempotency-Key
+ */
+export function idempotent() {
+  return async function replayIdempotent(event, next) {
+    const key = event.headers?.['idempotency-key'];
+    if (key === undefined) {
+      return next(event);
+    }
+    
+    if (!KEY_PATTERN.test(key)) {
+      return errorResponseFromException(
+        new ValidationError('Idempotency-Key must be 1-255 printable ASCII characters', 'Idempotency-Key', null, 'IDEMPOTENCY_KEY_INVALID')
+      );
+    }
+    
+    const claim = { caller: callerOf(event), key };
+    const { method, path } = event.requestContext.http;
+    
+    try {
+      const stored = await idempotencyService.begin({
+        ...claim,
+        requestHash: idempotencyService.requestHash(method, path, event.body)
+      });
+      
+      if (stored) {
+        return { ...stored, headers: { ...stored.headers, 'Idempotent-Replayed': 'true' } };
+      }
+    } catch (error) {
+      return errorResponseFromException(error);
+    }
+    
+    let response;
+    try {
+      response = await next(event);
+    } catch (error) {
+      await idempotencyService.release(claim);
+      throw error;
+    }
+    
+    try {
+      if (response.statusCode < 500) {
+        await idempotencyService.complete(claim, response);
+      } else {
+        await idempotencyService.release(claim);
+      }
+    } catch (error) {
+      // The request has run; without its stored response a retry with this
+      // key is answered 409 until the key expires
+      logger.error('Failed to store idempotent response', { key, error: error.message });
+    }
+    
+    return response;
+  };
+}
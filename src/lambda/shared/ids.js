@@ -0,0 +1,41 @@
+/**
+ * Identifier generation
+ */
+
+import { randomBytes } from 'node:crypto';
+import { config } from './config.js';
+
+// Crockford base32: sorts correctly as a plain string, no ambiguous letters
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function encodeTime(time, length) {
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out = ENCODING[time % 32] + out;
+    time = Math.floor(time / 32);
+  }
+  return out;
+}
+
+function encodeRandom(length) {
+  const bytes = randomBytes(length);
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += ENCODING[bytes[i] % 32];
+  }
+  return out;
+}
+
+/**
+ * Generate a time-sortable unique id (ULID layout: 10 chars ms timestamp + 16 chars randomness)
+ */
+export function generateSortableId(now = Date.now()) {
+  return encodeTime(now, 10) + encodeRandom(16);
+}
+
+/**
+ * Generate a new session ID, e.g. sess_01J9ZK3Q6W0M8Y4T2V7R5N1XHC
+ */
+export function generateSessionId() {
+  return `${config.sessionIdPolicy.prefix}${generateSortableId()}`;
+}
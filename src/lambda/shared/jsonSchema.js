@@ -0,0 +1,145 @@
+/**
+ * Minimal JSON Schema validator
+ * 
+ * Supports the subset of JSON Schema 2020-12 used by shared/schemas.js:
+ * type, enum, const, minLength, maxLength, pattern, format (date-time),
+ * minimum, maximum, properties, required, additionalProperties,
+ * minProperties, items, minItems, maxItems and allOf. Schemas validate
+ * requests, so readOnly properties (counted by the server) are rejected.
+ * Unlike a fail-fast check it collects every violation, each as
+ * { path, rule, message }.
+ */
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Path of a child property, e.g. body.events[0].eventType
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * 
+ * Returns the list of errors; empty when the value is valid.
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const fail = (rule, message) => errors.push({ path: path || '(root)', rule, message });
+  const name = path || 'value';
+  
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `${name} must be of type ${types.join(' or ')}`);
+      // Remaining keywords assume the right type
+      return errors;
+    }
+  }
+  
+  if (schema.const !== undefined && value !== schema.const) {
+    fail('const', `${name} must be ${JSON.stringify(schema.const)}`);
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(subschema, value, path));
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `${name} must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || isNaN(Date.parse(value)))) {
+      fail('format', `${name} must be an ISO 8601 date-time`);
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `${name} must be at most ${schema.maximum}`);
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `${name} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `${name} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, childPath(path, index)));
+      });
+    }
+  }
+  
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), rule: 'required', message: `${childPath(path, key)} is required` });
+      }
+    }
+    
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      fail('minProperties', `${name} must have at least ${schema.minProperties} properties`);
+    }
+    
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (properties[key]?.readOnly) {
+        errors.push({ path: childPath(path, key), rule: 'readOnly', message: `${childPath(path, key)} is read-only` });
+      } else if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), rule: 'additionalProperties', message: `${childPath(path, key)} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, childPath(path, key)));
+      }
+    }
+  }
+  
+  return errors;
+}
@@ -0,0 +1,155 @@
+/**
+ * JWT verification (HS256 / RS256)
+ * 
+ * Keys are configured locally rather than fetched at runtime:
+ * - HS256: a shared secret (config.auth.jwt.hs256Secret)
+ * - RS256: public keys from a JWKS file bundled with the function
+ *   (config.auth.jwt.jwksFile), selected by the token's `kid`
+ * 
+ * Each key is pinned to one algorithm: the secret to HS256, JWKS keys to
+ * RS256 (JWKS entries declaring another `alg` are ignored). A token is only
+ * checked against keys whose algorithm equals its `alg` header, so an RS256
+ * public key can never be used as an HS256 secret, and `none` never passes.
+ */
+
+import { createHmac, createPublicKey, createVerify, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { config } from './config.js';
+import { UnauthorizedError } from './errors.js';
+
+let rsaKeys = null;
+
+/**
+ * RSA public keys from the JWKS file, loaded once per container
+ */
+function loadRsaKeys() {
+  if (rsaKeys) {
+    return rsaKeys;
+  }
+  
+  const file = config.auth.jwt.jwksFile;
+  if (!file) {
+    rsaKeys = [];
+    return rsaKeys;
+  }
+  
+  const jwks = JSON.parse(readFileSync(resolve(file), 'utf8'));
+  rsaKeys = (jwks.keys || [])
+    .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig') && (!jwk.alg || jwk.alg === 'RS256'))
+    .map(jwk => ({ kid: jwk.kid || null, key: createPublicKey({ key: jwk, format: 'jwk' }) }));
+  
+  return rsaKeys;
+}
+
+/**
+ * Decode a header or payload segment; both must be JSON objects
+ */
+function decodeSegment(segment, name) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new UnauthorizedError(`Malformed token ${name}`, 'TOKEN_INVALID');
+  }
+  
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new UnauthorizedError(`Malformed token ${name}: not a JSON object`, 'TOKEN_INVALID');
+  }
+  
+  return value;
+}
+
+function verifyHs256(secret, signingInput, signature) {
+  const expected = createHmac('sha256', secret).update(signingInput).digest();
+  const presented = Buffer.from(signature, 'base64url');
+  return expected.length === presented.length && timingSafeEqual(expected, presented);
+}
+
+function verifyRs256(key, signingInput, signature) {
+  return createVerify('RSA-SHA256')
+    .update(signingInput)
+    .verify(key, Buffer.from(signature, 'base64url'));
+}
+
+/**
+ * Configured verification keys, each pinned to its algorithm
+ * 
+ * Returns [{ alg, kid, verify(signingInput, signature) }]; the secret has no kid.
+ */
+function verificationKeys() {
+  const keys = [];
+  
+  const secret = config.auth.jwt.hs256Secret;
+  if (secret) {
+    keys.push({ alg: 'HS256', kid: null, verify: (input, signature) => verifyHs256(secret, input, signature) });
+  }
+  
+  for (const { kid, key } of loadRsaKeys()) {
+    keys.push({ alg: 'RS256', kid, verify: (input, signature) => verifyRs256(key, input, signature) });
+  }
+  
+  return keys;
+}
+
+/**
+ * Verify a compact JWT and return its claims
+ * 
+ * Checks the signature, `exp` (required), `nbf`, and `iss` / `aud` when
+ * configured. Throws UnauthorizedError when the token is not acceptable.
+ */
+export function verifyJwt(token, now = Date.now()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new UnauthorizedError('Malformed token', 'TOKEN_INVALID');
+  }
+  
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader, 'header');
+  const claims = decodeSegment(encodedPayload, 'payload');
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  
+  // RS256 keys are selected by kid; the secret takes tokens with or without one
+  const keys = verificationKeys()
+    .filter(key => key.alg === header.alg)
+    .filter(key => key.alg === 'HS256' || !header.kid || key.kid === header.kid);
+  
+  if (keys.length === 0) {
+    throw new UnauthorizedError(`No key accepts token algorithm ${header.alg}`, 'TOKEN_INVALID');
+  }
+  
+  if (!keys.some(key => key.verify(signingInput, signature))) {
+    throw new UnauthorizedError('Invalid token signature', 'TOKEN_INVALID');
+  }
+  
+  const { issuer, audience, clockSkewSeconds } = config.auth.jwt;
+  const seconds = Math.floor(now / 1000);
+  
+  if (typeof claims.exp !== 'number' || claims.exp + clockSkewSeconds < seconds) {
+    throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
+  }
+  
+  if (typeof claims.nbf === 'number' && claims.nbf - clockSkewSeconds > seconds) {
+    throw new UnauthorizedError('Token not yet valid', 'TOKEN_INVALID');
+  }
+  
+  if (issuer && claims.iss !== issuer) {
+    throw new UnauthorizedError('Token issuer not accepted', 'TOKEN_INVALID');
+  }
+  
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new UnauthorizedError('Token audience not accepted', 'TOKEN_INVALID');
+  }
+  
+  return claims;
+}
+
+/**
+ * Scopes granted by a token: OAuth2 `scope` (space-separated) or a `scopes` array
+ */
+export function tokenScopes(claims) {
+  if (typeof claims.scope === 'string') {
+    return claims.scope.split(' ').filter(Boolean);
+  }
+  return Array.isArray(claims.scopes) ? claims.scopes : [];
+}
@@ -0,0 +1,350 @@
+/**
+ * In-memory storage backend
+ *
+ * Drop-in replacement for shared/dynamodbClient.js selected with
+ * STORAGE_BACKEND=memory, so the handler runs locally and in tests without
+ * AWS or DynamoDB Local. It evaluates the same key condition, condition,
+ * update and projection expressions, keeps the table and GSI sort orders,
+ * pages with Limit / ExclusiveStartKey / LastEvaluatedKey and applies
+ * transactions all-or-nothing. Items are deep-copied on the way in and out,
+ * as if they had been serialized. State lives for the life of the process.
+ */
+
+import { config } from '../shared/config.js';
+import { logger } from '../shared/logger.js';
+import { InternalError, ConditionalCheckFailedError } from '../shared/errors.js';
+import { batchWriteAll } from '../shared/batchWriter.js';
+import { applyCondition, buildUpdateExpression } from '../shared/expressionBuilder.js';
+import { compileCondition, applyUpdate, applyProjection } from '../shared/expressionEvaluator.js';
+
+// Key schema of each secondary index: [partition key, sort key]
+const INDEXES = {
+  [config.gsi1Name]: ['GSI1PK', 'GSI1SK'],
+  [config.gsi2Name]: ['GSI2PK', 'GSI2SK']
+};
+
+const table = new Map();
+
+function keyString(pk, sk) {
+  return JSON.stringify([pk, sk]);
+}
+
+function clone(item) {
+  // Mirrors the document client's removeUndefinedValues marshalling
+  return item === undefined || item === null ? item : JSON.parse(JSON.stringify(item));
+}
+
+function compareKeys(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Evaluate a command's ConditionExpression against the current item
+ */
+function conditionHolds(params, current) {
+  if (!params.ConditionExpression) {
+    return true;
+  }
+  const predicate = compileCondition(
+    params.ConditionExpression,
+    params.ExpressionAttributeNames,
+    params.ExpressionAttributeValues
+  );
+  return predicate(current || {});
+}
+
+function wrapError(error, message) {
+  if (error instanceof ConditionalCheckFailedError) {
+    return error;
+  }
+  return new InternalError(message, error);
+}
+
+// --- single-item primitives working on command params ---
+
+function readKey(key) {
+  return table.get(keyString(key[config.pkName], key[config.skName])) || null;
+}
+
+function planPut(params) {
+  const item = clone(params.Item);
+  const current = readKey(item);
+  return {
+    holds: conditionHolds(params, current),
+    apply: () => table.set(keyString(item[config.pkName], item[config.skName]), item)
+  };
+}
+
+function planUpdate(params) {
+  const current = readKey(params.Key);
+  const base = current || clone(params.Key);
+  return {
+    holds: conditionHolds(params, current),
+    apply: () => {
+      const updated = applyUpdate(
+        base,
+        params.UpdateExpression,
+        params.ExpressionAttributeNames,
+        params.ExpressionAttributeValues
+      );
+      table.set(keyString(params.Key[config.pkName], params.Key[config.skName]), updated);
+      return params.ReturnValues === 'ALL_OLD' ? current : updated;
+    }
+  };
+}
+
+function planDelete(params) {
+  const current = readKey(params.Key);
+  return {
+    holds: conditionHolds(params, current),
+    apply: () => table.delete(keyString(params.Key[config.pkName], params.Key[config.skName]))
+  };
+}
+
+function planConditionCheck(params) {
+  return {
+    holds: conditionHolds(params, readKey(params.Key)),
+    apply: () => {}
+  };
+}
+
+// --- backend API (same signatures as shared/dynamodbClient.js) ---
+
+/**
+ * Put item
+ */
+export async function putItem(item, options = {}) {
+  try {
+    logger.debug('Memory PutItem', { item });
+
+    const plan = planPut(applyCondition({ Item: item }, options));
+    if (!plan.holds) {
+      throw new ConditionalCheckFailedError('Put condition not met', ['ConditionalCheckFailed']);
+    }
+    plan.apply();
+    return item;
+  } catch (error) {
+    throw wrapError(error, 'Failed to save item');
+  }
+}
+
+/**
+ * Get item (reads are always consistent, so consistentRead changes nothing)
+ */
+export async function getItem(pk, sk, options = {}) {
+  const { projectionExpression = null, expressionAttributeNames = {} } = options;
+
+  logger.debug('Memory GetItem', { pk, sk });
+  const item = table.get(keyString(pk, sk));
+  if (!item) {
+    return null;
+  }
+  return projectionExpression
+    ? applyProjection(item, projectionExpression, expressionAttributeNames)
+    : clone(item);
+}
+
+/**
+ * Query a single page (main table or GSI)
+ */
+export async function queryPage(keyConditionExpression, expressionAttributeValues, options = {}) {
+  const {
+    indexName = null,
+    limit = null,
+    exclusiveStartKey = null,
+    scanIndexForward = true,
+    expressionAttributeNames = {},
+    filterExpression = null,
+    projectionExpression = null
+  } = options;
+
+  try {
+    logger.debug('Memory Query', { keyConditionExpression, expressionAttributeValues, indexName, limit });
+
+    const [pkAttr, skAttr] = indexName ? INDEXES[indexName] || [] : [config.pkName, config.skName];
+    if (!pkAttr) {
+      throw new Error(`The table does not have the specified index: ${indexName}`);
+    }
+
+    const matchesKey = compileCondition(keyConditionExpression, expressionAttributeNames, expressionAttributeValues);
+    const matchesFilter = filterExpression
+      ? compileCondition(filterExpression, expressionAttributeNames, expressionAttributeValues)
+      : () => true;
+
+    // Index order: index sort key, then table keys as a tie-breaker
+    const sortTuple = item => [item[skAttr], item[config.pkName], item[config.skName]];
+    const byIndexOrder = (a, b) => {
+      const left = sortTuple(a);
+      const right = sortTuple(b);
+      for (let i = 0; i < left.length; i++) {
+        const order = compareKeys(left[i], right[i]);
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    };
+
+    let candidates = [...table.values()]
+      .filter(item => item[pkAttr] !== undefined && item[skAttr] !== undefined)
+      .filter(matchesKey)
+      .sort(byIndexOrder);
+
+    if (!scanIndexForward) {
+      candidates.reverse();
+    }
+
+    if (exclusiveStartKey) {
+      const direction = scanIndexForward ? 1 : -1;
+      candidates = candidates.filter(item => byIndexOrder(item, exclusiveStartKey) * direction > 0);
+    }
+
+    // Limit caps the items evaluated, before the filter is applied
+    const evaluated = limit ? candidates.slice(0, limit) : candidates;
+    const last = evaluated[evaluated.length - 1];
+    const stoppedAtLimit = Boolean(limit) && evaluated.length === limit;
+
+    let lastEvaluatedKey = null;
+    if (stoppedAtLimit) {
+      lastEvaluatedKey = { [config.pkName]: last[config.pkName], [config.skName]: last[config.skName] };
+      if (indexName) {
+        lastEvaluatedKey[pkAttr] = last[pkAttr];
+        lastEvaluatedKey[skAttr] = last[skAttr];
+      }
+    }
+
+    const items = evaluated
+      .filter(matchesFilter)
+      .map(item => projectionExpression
+        ? applyProjection(item, projectionExpression, expressionAttributeNames)
+        : clone(item));
+
+    return { items, lastEvaluatedKey };
+  } catch (error) {
+    logger.error('Memory Query failed', { error: error.message, keyConditionExpression });
+    throw new InternalError('Failed to query items', error);
+  }
+}
+
+/**
+ * Batch write items
+ */
+export async function batchWriteItems(items, options = {}) {
+  logger.debug('Memory BatchWrite', { itemCount: items.length });
+
+  return await batchWriteAll(items, {
+    ...options,
+    tableName: config.tableName,
+    keyAttributes: [config.pkName, config.skName],
+    send: async params => {
+      params.RequestItems[config.tableName].forEach(request => (request.PutRequest
+        ? planPut(request.PutRequest)
+        : planDelete(request.DeleteRequest)).apply());
+      return { UnprocessedItems: {} };
+    }
+  });
+}
+
+/**
+ * Batch delete items (or keys)
+ */
+export async function batchDeleteItems(items, options = {}) {
+  return await batchWriteItems(items, { ...options, operation: 'delete' });
+}
+
+/**
+ * Delete item
+ */
+export async function deleteItem(pk, sk, options = {}) {
+  try {
+    logger.debug('Memory DeleteItem', { pk, sk });
+
+    const plan = planDelete(applyCondition({
+      Key: { [config.pkName]: pk, [config.skName]: sk }
+    }, options));
+    if (!plan.holds) {
+      throw new ConditionalCheckFailedError('Delete condition not met', ['ConditionalCheckFailed']);
+    }
+    plan.apply();
+    return true;
+  } catch (error) {
+    throw wrapError(error, 'Failed to delete item');
+  }
+}
+
+/**
+ * Update item (creates it when missing, like DynamoDB)
+ */
+export async function updateItem(pk, sk, updates, options = {}) {
+  const { increments = {}, removals = [], returnValues = 'ALL_NEW' } = options;
+
+  try {
+    logger.debug('Memory UpdateItem', { pk, sk, updates, increments, removals });
+
+    const plan = planUpdate(applyCondition({
+      Key: { [config.pkName]: pk, [config.skName]: sk },
+      ...buildUpdateExpression(updates, increments, removals),
+      ReturnValues: returnValues
+    }, options));
+    if (!plan.holds) {
+      throw new ConditionalCheckFailedError('Update condition not met', ['ConditionalCheckFailed']);
+    }
+    return clone(plan.apply());
+  } catch (error) {
+    throw wrapError(error, 'Failed to update item');
+  }
+}
+
+/**
+ * Write several items atomically
+ */
+export async function transactWriteItems(transactItems) {
+  try {
+    logger.debug('Memory TransactWriteItems', { actionCount: transactItems.length });
+
+    const planners = { Put: planPut, Update: planUpdate, Delete: planDelete, ConditionCheck: planConditionCheck };
+    const plans = transactItems.map(action => {
+      const [operation, params] = Object.entries(action)[0];
+      return planners[operation](params);
+    });
+
+    const reasons = plans.map(plan => (plan.holds ? 'None' : 'ConditionalCheckFailed'));
+    if (reasons.includes('ConditionalCheckFailed')) {
+      throw new ConditionalCheckFailedError('Transaction condition not met', reasons);
+    }
+
+    plans.forEach(plan => plan.apply());
+    return true;
+  } catch (error) {
+    throw wrapError(error, 'Failed to write transaction');
+  }
+}
+
+/**
+ * Describe the table: always ACTIVE, with the indexes the store maintains
+ */
+export async function describeTable() {
+  return {
+    status: 'ACTIVE',
+    indexes: Object.keys(INDEXES).map(name => ({ name, status: 'ACTIVE' }))
+  };
+}
+
+/**
+ * Remove every item (for tests)
+ */
+export function resetMemoryStore() {
+  table.clear();
+}
+
+/**
+ * Snapshot of every stored item (for tests and debugging)
+ */
+export function dumpMemoryStore() {
+  return [...table.values()].map(clone);
+}
@@ -0,0 +1,376 @@
+/**
+ * OpenAPI document generation
+ * 
+ * Builds an OpenAPI 3.1 description from the route table in routes.js, so the
+ * published spec cannot list an endpoint the router does not serve. Every
+ * route is listed under each version serving it (/v2/..., then /v1/...),
+ * with the response bodies that version's serializer produces; the
+ * unprefixed v1 paths are not listed again.
+ */
+
+import { readFileSync } from 'node:fs';
+import { compilePath } from './router.js';
+import { components, params, query, ref } from './schemas.js';
+import { API_KEY_SCOPES } from './validator.js';
+import { API_VERSIONS, CURRENT_VERSION, DEFAULT_VERSION, routeVersions } from './apiVersion.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const ERROR_RESPONSES = {
+  400: { name: 'BadRequest', description: 'Invalid request' },
+  401: { name: 'Unauthorized', description: 'Missing or invalid bearer token or API key' },
+  403: { name: 'Forbidden', description: 'Caller lacks the required scope, or the API key is not allowed from this origin' },
+  404: { name: 'NotFound', description: 'Resource not found' },
+  409: { name: 'Conflict', description: 'Conflicts with the current state of the resource' },
+  412: { name: 'PreconditionFailed', description: 'If-Match does not match the current version' },
+  429: { name: 'TooManyRequests', description: 'Rate limit exceeded; retry after Retry-After seconds' },
+  500: { name: 'InternalError', description: 'Unexpected server error' }
+};
+
+// Headers on every response of a deprecated API version (see shared/apiVersion.js)
+const DEPRECATION_HEADERS = {
+  Deprecation: {
+    description: 'When this version was deprecated on this stage, as @<epoch seconds> (RFC 9745)',
+    schema: { type: 'string' }
+  },
+  Sunset: {
+    description: 'When this version may stop working (RFC 8594); sent once the date is set',
+    schema: { type: 'string' }
+  }
+};
+
+// Every route can fail validation or hit an unexpected error
+const DEFAULT_ERRORS = [400, 500];
+
+// Headers on every response of a rate limited route (see shared/rateLimit.js)
+const RATE_LIMIT_HEADERS = {
+  'X-RateLimit-Limit': {
+    description: 'Capacity of the most restrictive token bucket',
+    schema: { type: 'integer' }
+  },
+  'X-RateLimit-Remaining': {
+    description: 'Tokens left in that bucket',
+    schema: { type: 'integer' }
+  },
+  'X-RateLimit-Reset': {
+    description: 'Seconds until that bucket is full again',
+    schema: { type: 'integer' }
+  }
+};
+
+// Export formats of routes with `formats` (see shared/response.js exportResponse)
+const EXPORT_MEDIA_TYPES = {
+  csv: {
+    type: 'text/csv',
+    description: 'One row per record with a header line; nested objects are flattened into dotted columns'
+  },
+  ndjson: {
+    type: 'application/x-ndjson',
+    description: 'One JSON object per line'
+  }
+};
+
+/**
+ * Operation ID of a route, from its handler's name unless set explicitly
+ * 
+ * Operations of older versions are prefixed with the version (v1GetSession).
+ */
+function operationId(route, version) {
+  const id = route.operationId || route.handler.name;
+  if (!version || version === CURRENT_VERSION) {
+    return id;
+  }
+  return `${version}${id[0].toUpperCase()}${id.slice(1)}`;
+}
+
+/**
+ * Parameters (path, query, header) of a route
+ */
+function buildParameters(route) {
+  const parameters = compilePath(route.path).paramNames.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: route.request?.params?.[name] || params[name] || { type: 'string' }
+  }));
+  
+  const queryParams = {
+    ...route.request?.query,
+    ...(route.formats && { format: query.format(route.formats) })
+  };
+  
+  for (const [name, schema] of Object.entries(queryParams)) {
+    // Object parameters are sent as name[key]=value
+    const style = schema.type === 'object' ? { style: 'deepObject', explode: true } : {};
+    parameters.push({ name, in: 'query', required: false, ...style, schema });
+  }
+  
+  if (route.idempotent) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Unique key per logical request; a retry with the same key and body returns the first response',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    });
+  }
+  
+  if (route.ifMatch) {
+    parameters.push({
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag from a previous response; the write fails with 412 if the resource has changed',
+      schema: { type: 'string' }
+    });
+  }
+  
+  return parameters;
+}
+
+/**
+ * Responses object of a route served under `version` (null when unversioned)
+ */
+function buildResponses(route, version) {
+  const { serializer } = API_VERSIONS[version || DEFAULT_VERSION];
+  const responses = {};
+  const contentType = route.contentType || 'application/json';
+  
+  for (const [status, schema] of Object.entries(route.responses)) {
+    const response = {
+      description: route.summary,
+      content: {
+        [contentType]: {
+          schema: route.envelope === false ? schema : serializer.schema(schema, route, status)
+        }
+      }
+    };
+    
+    // Exports share the status and headers of the JSON response
+    if (route.formats && Number(status) < 300) {
+      for (const format of route.formats) {
+        response.content[EXPORT_MEDIA_TYPES[format].type] = {
+          schema: { type: 'string', description: EXPORT_MEDIA_TYPES[format].description }
+        };
+      }
+      
+      if (route.paginated) {
+        response.headers = {
+          'X-Next-Token': {
+            description: 'On CSV and NDJSON exports, the nextToken of the next page when more rows remain',
+            schema: { type: 'string' }
+          }
+        };
+      }
+    }
+    
+    if (route.etag) {
+      response.headers = {
+        ...response.headers,
+        ETag: {
+          description: 'Weak tag of the resource version (W/"3"), for If-Match; tracking events does not change it',
+          schema: { type: 'string' }
+        }
+      };
+    }
+    
+    if (route.rateLimited) {
+      response.headers = { ...response.headers, ...RATE_LIMIT_HEADERS };
+    }
+    
+    if (route.idempotent) {
+      response.headers = {
+        ...response.headers,
+        'Idempotent-Replayed': {
+          description: 'Set to true when this is the stored response of an earlier request with the same Idempotency-Key',
+          schema: { type: 'string', const: 'true' }
+        }
+      };
+    }
+    
+    if (version && API_VERSIONS[version].deprecatedAt) {
+      response.headers = { ...response.headers, ...DEPRECATION_HEADERS };
+    }
+    
+    responses[status] = response;
+  }
+  
+  const authErrors = route.scope ? [401, 403] : [];
+  const rateLimitErrors = route.rateLimited ? [429] : [];
+  const idempotencyErrors = route.idempotent ? [409] : [];
+  const errorStatuses = [...new Set([
+    ...DEFAULT_ERRORS,
+    ...authErrors,
+    ...rateLimitErrors,
+    ...idempotencyErrors,
+    ...(route.errors || [])
+  ])].sort((a, b) => a - b);
+  for (const status of errorStatuses) {
+    responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+  }
+  
+  return responses;
+}
+
+/**
+ * Operation object of a route served under `version` (null when unversioned)
+ */
+function buildOperation(route, version) {
+  const operation = {
+    operationId: operationId(route, version),
+    summary: route.summary,
+    tags: route.tags
+  };
+  
+  if (route.deprecated || (version && API_VERSIONS[version].deprecatedAt)) {
+    operation.deprecated = true;
+  }
+  
+  if (route.scope) {
+    operation.description = `Requires the \`${route.scope}\` scope.`;
+    operation.security = API_KEY_SCOPES.includes(route.scope)
+      ? [{ BearerAuth: [route.scope] }, { ApiKeyAuth: [] }]
+      : [{ BearerAuth: [route.scope] }];
+  }
+  
+  const parameters = buildParameters(route);
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  
+  if (route.request?.body) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: route.request.body }
+      }
+    };
+  }
+  
+  operation.responses = buildResponses(route, version);
+  
+  return operation;
+}
+
+/**
+ * Routes missing the metadata the spec is built from
+ * 
+ * Returns a list of problems such as "GET /sessions: missing summary".
+ */
+export function findUndocumentedRoutes(routes) {
+  const problems = [];
+  
+  for (const route of routes) {
+    const name = `${route.method} ${route.path}`;
+    
+    if (!route.summary) {
+      problems.push(`${name}: missing summary`);
+    }
+    if (!route.responses || Object.keys(route.responses).length === 0) {
+      problems.push(`${name}: missing responses`);
+    }
+    for (const param of compilePath(route.path).paramNames) {
+      if (!route.request?.params?.[param] && !params[param]) {
+        problems.push(`${name}: no schema for path parameter {${param}} in shared/schemas.js`);
+      }
+    }
+    for (const status of route.errors || []) {
+      if (!ERROR_RESPONSES[status]) {
+        problems.push(`${name}: unknown error status ${status}`);
+      }
+    }
+    for (const version of route.versions || []) {
+      if (!API_VERSIONS[version]) {
+        problems.push(`${name}: unknown API version ${version}`);
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Endpoints the router serves for a route table
+ * 
+ * Returns { method, path, route, version, prefixed } for each route under
+ * every version serving it, and for the unversioned and DEFAULT_VERSION
+ * routes at their unprefixed path.
+ */
+export function routeEndpoints(routes) {
+  const endpoints = [];
+  
+  for (const version of Object.keys(API_VERSIONS).reverse()) {
+    for (const route of routes.filter(route => routeVersions(route).includes(version))) {
+      endpoints.push({ method: route.method, path: `/${version}${route.path}`, route, version, prefixed: true });
+    }
+  }
+  
+  for (const route of routes) {
+    const version = route.unversioned ? null : DEFAULT_VERSION;
+    if (!version || routeVersions(route).includes(version)) {
+      endpoints.push({ method: route.method, path: route.path, route, version, prefixed: false });
+    }
+  }
+  
+  return endpoints;
+}
+
+/**
+ * Build the OpenAPI document for a route table
+ * 
+ * Options: { serverUrl } base URL of the deployed API, e.g. https://.../prod
+ */
+export function buildOpenApiSpec(routes, options = {}) {
+  const paths = {};
+  
+  // Unprefixed v1 paths are the same operations as /v1
+  const documented = routeEndpoints(routes).filter(({ version, prefixed }) => prefixed || !version);
+  
+  for (const { path, method, route, version } of documented) {
+    paths[path] = paths[path] || {};
+    paths[path][method.toLowerCase()] = buildOperation(route, version);
+  }
+  
+  const responses = {};
+  for (const { name, description } of Object.values(ERROR_RESPONSES)) {
+    responses[name] = {
+      description,
+      content: {
+        'application/problem+json': { schema: ref('Problem') }
+      }
+    };
+  }
+  
+  responses.TooManyRequests.headers = {
+    'Retry-After': {
+      description: 'Seconds until the request can be retried',
+      schema: { type: 'integer' }
+    },
+    ...RATE_LIMIT_HEADERS
+  };
+  
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Session Tracking API',
+      version: pkg.version,
+      description: `${pkg.description}. Paths without a /v1 or /v2 prefix are served as v1.`
+    }
+  };
+  
+  if (options.serverUrl) {
+    spec.servers = [{ url: options.serverUrl }];
+  }
+  
+  spec.paths = paths;
+  spec.components = {
+    schemas: components,
+    responses,
+    securitySchemes: {
+      BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+    }
+  };
+  
+  return spec;
+}
@@ -0,0 +1,68 @@
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor wraps DynamoDB's LastEvaluatedKey together with the partition it
+ * was issued for, and is signed with HMAC-SHA256 so clients cannot forge keys
+ * or replay a cursor against a different session or user.
+ *
+ * Format: base64url(JSON payload) + '.' + base64url(signature)
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+function sign(payload) {
+  return createHmac('sha256', config.cursorSecret).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a LastEvaluatedKey as a nextToken bound to the given scope
+ */
+export function encodeCursor(lastEvaluatedKey, scope) {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({ s: scope, k: lastEvaluatedKey })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Decode a nextToken back into an ExclusiveStartKey, verifying signature and scope
+ */
+export function decodeCursor(token, scope) {
+  if (token === undefined || token === null || token === '') {
+    return null;
+  }
+
+  const invalid = () => new ValidationError('nextToken is invalid', 'nextToken', null, 'NEXT_TOKEN_INVALID');
+
+  if (typeof token !== 'string') {
+    throw invalid();
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    throw invalid();
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw invalid();
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw invalid();
+  }
+
+  if (decoded.s !== scope || !decoded.k || typeof decoded.k !== 'object') {
+    throw invalid();
+  }
+
+  return decoded.k;
+}
@@ -0,0 +1,64 @@
+/**
+ * Rate limiting middleware for the ingestion routes
+ * 
+ * Routes with `rateLimited: true` run this after authorization and request
+ * validation, so the API key and the parsed body are known. Each tracked
+ * event costs one token (a batch as many as it has events, per session);
+ * session writes cost one. See service/rateLimitService.js for the buckets.
+ */
+
+import * as rateLimitService from '../service/rateLimitService.js';
+import { TooManyRequestsError } from './errors.js';
+import { errorResponseFromException, rateLimitHeaders } from './response.js';
+
+/**
+ * Cost per sessionId of a request: { [sessionId]: tokens }
+ */
+function sessionCosts(event) {
+  const body = event.parsedBody || {};
+  const sessions = {};
+  const add = sessionId => {
+    if (typeof sessionId === 'string' && sessionId) {
+      sessions[sessionId] = (sessions[sessionId] || 0) + 1;
+    }
+  };
+  
+  if (Array.isArray(body.events)) {
+    body.events.forEach(item => add(item?.sessionId));
+  } else {
+    add(event.pathParameters?.sessionId || body.sessionId);
+  }
+  
+  return sessions;
+}
+
+/**
+ * Route middleware enforcing the rate limits
+ * 
+ * Rejected requests get 429 with Retry-After; every response of a limited
+ * route carries X-RateLimit-* headers for its most restrictive bucket.
+ */
+export function rateLimit() {
+  return async function limitRate(event, next) {
+    const result = await rateLimitService.consume({
+      sourceIp: event.requestContext?.http?.sourceIp || null,
+      apiKeyId: event.auth?.type === 'apiKey' ? event.auth.subject : null,
+      sessions: sessionCosts(event),
+      cost: Array.isArray(event.parsedBody?.events) ? event.parsedBody.events.length : 1
+    });
+    
+    if (!result) {
+      return next(event);
+    }
+    
+    if (!result.allowed) {
+      return errorResponseFromException(
+        new TooManyRequestsError(`Rate limit exceeded, retry in ${result.retryAfterSeconds}s`, result.retryAfterSeconds),
+        rateLimitHeaders(result)
+      );
+    }
+    
+    const response = await next(event);
+    return { ...response, headers: { ...response.headers, ...rateLimitHeaders(result) } };
+  };
+}
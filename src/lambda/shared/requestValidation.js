@@ -0,0 +1,131 @@
+/**
+ * Request validation middleware
+ * 
+ * Validates the path parameters, query string and JSON body of a request
+ * against the schemas its route declares (`request: { params, query, body }`
+ * in routes.js) before the controller runs. Path parameter schemas default
+ * to the shared ones in shared/schemas.js.
+ * 
+ * All violations are answered together in one 400 response. The parsed
+ * body is passed on to the controller as event.parsedBody.
+ */
+
+import { ValidationError } from './errors.js';
+import { errorResponseFromException } from './response.js';
+import { validateSchema } from './jsonSchema.js';
+import { compilePath } from './router.js';
+import { params as sharedParams, query as sharedQuery } from './schemas.js';
+
+// Error code of a failed request, by its first violation; the first rule
+// matching it wins, VALIDATION_FAILED when none does
+const VIOLATION_CODES = [
+  { rule: 'json', code: 'BODY_NOT_JSON' },
+  { rule: 'required', code: 'FIELD_REQUIRED' },
+  { path: /^body\.events$/, rule: 'maxItems', code: 'BATCH_TOO_LARGE' },
+  { path: /^body\.events$/, rule: 'minItems', code: 'BATCH_EMPTY' },
+  { path: /\.eventType$/, code: 'EVENT_TYPE_INVALID' },
+  { path: /\.sessionId$/, code: 'SESSION_ID_INVALID' },
+  { path: /^body\.scopes/, code: 'API_KEY_SCOPES_INVALID' },
+  { path: /^query\.nextToken$/, code: 'NEXT_TOKEN_INVALID' },
+  { path: /^query\./, code: 'QUERY_PARAMETER_INVALID' },
+  { path: /^path\./, code: 'PATH_PARAMETER_INVALID' }
+];
+
+/**
+ * Error code for a violation { path, rule }
+ */
+function violationCode({ path, rule }) {
+  const match = VIOLATION_CODES.find(entry =>
+    (!entry.rule || entry.rule === rule) && (!entry.path || entry.path.test(path))
+  );
+  return match ? match.code : 'VALIDATION_FAILED';
+}
+
+/**
+ * Object schema for the path parameters of a route
+ */
+function paramsSchema(route) {
+  const { paramNames } = compilePath(route.path);
+  const declared = route.request?.params || {};
+  const properties = {};
+  
+  for (const name of paramNames) {
+    properties[name] = declared[name] || sharedParams[name] || { type: 'string' };
+  }
+  
+  return { type: 'object', properties, required: paramNames };
+}
+
+/**
+ * Object schema for the query string of a route
+ * 
+ * Routes with export `formats` also accept ?format=.
+ */
+function querySchema(route) {
+  const properties = { ...route.request?.query };
+  if (route.formats) {
+    properties.format = sharedQuery.format(route.formats);
+  }
+  return { type: 'object', properties };
+}
+
+/**
+ * Parse the JSON body of a request; an empty body is {}
+ */
+function parseBody(event) {
+  if (!event.body) {
+    return { body: {} };
+  }
+  
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+  
+  try {
+    return { body: JSON.parse(raw) };
+  } catch (error) {
+    return {
+      error: { path: 'body', rule: 'json', message: `body must be valid JSON (${error.message})` }
+    };
+  }
+}
+
+/**
+ * Build the validation middleware for a route
+ */
+export function validateRequest(route) {
+  const schemas = {
+    params: paramsSchema(route),
+    query: querySchema(route),
+    body: route.request?.body || null
+  };
+  
+  return async function requestValidation(event, next) {
+    const errors = [
+      ...validateSchema(schemas.params, event.pathParameters || {}, 'path'),
+      ...validateSchema(schemas.query, event.queryStringParameters || {}, 'query')
+    ];
+    
+    let parsedBody = {};
+    if (schemas.body) {
+      const parsed = parseBody(event);
+      if (parsed.error) {
+        errors.push(parsed.error);
+      } else {
+        parsedBody = parsed.body;
+        errors.push(...validateSchema(schemas.body, parsedBody, 'body'));
+      }
+    }
+    
+    if (errors.length > 0) {
+      const [first] = errors;
+      const message = errors.length === 1
+        ? first.message
+        : `${first.message} (and ${errors.length - 1} more)`;
+      
+      return errorResponseFromException(new ValidationError(message, first.path, errors, violationCode(first)));
+    }
+    
+    return next({ ...event, parsedBody });
+  };
+}
@@ -3,21 +3,22 @@
  */
 
 import { logger } from '../shared/logger.js';
+import { ERROR_CODES } from './errors.js';
 
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'content-type,user-agent,x-forwarded-for,x-request-id,x-session-id,x-external-id',
-  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+const PROBLEM_TYPE = 'application/problem+json';
+
+// CORS headers are added to every response by the handler (see shared/cors.js)
+const DEFAULT_HEADERS = {
   'Content-Type': 'application/json'
 };
 
 /**
  * Build success response
  */
-export function successResponse(data, statusCode = 200) {
+export function successResponse(data, statusCode = 200, headers = {}) {
   return {
     statusCode,
-    headers: CORS_HEADERS,
+    headers: { ...DEFAULT_HEADERS, ...headers },
     body: JSON.stringify({
       success: true,
       data
@@ -26,51 +27,291 @@ export function successResponse(data, statusCode = 200) {
 }
 
 /**
- * Build error response
+ * Build success response for a paginated collection
+ * 
+ * nextToken is null when there are no further pages.
+ */
+export function paginatedResponse(data, nextToken, statusCode = 200, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...DEFAULT_HEADERS, ...headers },
+    body: JSON.stringify({
+      success: true,
+      data,
+      nextToken: nextToken || null
+    })
+  };
+}
+
+/**
+ * Build response with a raw body of the given content type (e.g. HTML)
+ */
+export function contentResponse(body, contentType, statusCode = 200, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...DEFAULT_HEADERS, 'Content-Type': contentType, ...headers },
+    body
+  };
+}
+
+// Export formats besides JSON, by their media type
+const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+const ACCEPTED_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+/**
+ * Pick the response format of a request: json, csv or ndjson
+ * 
+ * `?format=` wins over the Accept header, whose media types are tried by
+ * their q-value. Anything else, wildcards included, gets JSON.
  */
-export function errorResponse(error, statusCode = 500) {
-  const errorBody = {
-    success: false,
-    error: {
-      message: error.message || 'Internal server error',
-      type: error.name || 'Error'
+export function negotiateFormat(event) {
+  const requested = event.queryStringParameters?.format;
+  if (requested) {
+    return requested;
+  }
+  
+  const accepted = (event.headers?.accept || '')
+    .split(',')
+    .map(part => {
+      const [type, ...params] = part.split(';').map(piece => piece.trim());
+      const q = params.find(param => param.startsWith('q='));
+      return { type: type.toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ type, q }) => ACCEPTED_TYPES[type] && q > 0)
+    .sort((a, b) => b.q - a.q);
+  
+  return accepted.length > 0 ? ACCEPTED_TYPES[accepted[0].type] : 'json';
+}
+
+/**
+ * Flatten a row for CSV: nested objects become dotted columns
+ * (eventData.page), arrays are written as JSON
+ */
+function flattenRow(row, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix + key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRow(value, `${column}.`, flat);
+    } else {
+      flat[column] = Array.isArray(value) ? JSON.stringify(value) : value;
     }
+  }
+  return flat;
+}
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when needed (RFC 4180); null and undefined are empty
+ * 
+ * Strings a spreadsheet would take for a formula are prefixed with `'` so
+ * exported client data cannot run in the spreadsheet of whoever opens it.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ * 
+ * Columns follow `columns` (top-level fields; a nested field's columns are
+ * sorted by name in its place), then any other field in order of first
+ * appearance. Without rows the header lists `columns`.
+ * 
+ * Nested columns (eventData.<field>) come from the rows serialized, so the
+ * pages of one export can have different headers; only the `columns` part is
+ * the same on every page. Consumers combine pages by column name.
+ */
+function toCsv(rows, columns) {
+  const flatRows = rows.map(row => flattenRow(row));
+  
+  const seen = new Set();
+  for (const row of flatRows) {
+    Object.keys(row).forEach(column => seen.add(column));
+  }
+  
+  const topLevel = [...new Set([...columns, ...[...seen].map(column => column.split('.')[0])])];
+  const header = rows.length === 0
+    ? columns
+    : topLevel.flatMap(field => [...seen]
+      .filter(column => column === field || column.startsWith(`${field}.`))
+      .sort());
+  
+  const lines = [header, ...flatRows.map(row => header.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','));
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a CSV or NDJSON export of a collection
+ * 
+ * Options: { columns } leading CSV columns (see toCsv), { filename } to offer
+ * the export as a download, { nextToken } sent as X-Next-Token when more
+ * rows remain, { headers } extra headers (e.g. ETag).
+ */
+export function exportResponse(rows, format, { columns = [], filename = null, nextToken = null, headers = {} } = {}) {
+  const body = format === 'csv'
+    ? toCsv(rows, columns)
+    : rows.map(row => JSON.stringify(row) + '\n').join('');
+  
+  return {
+    statusCode: 200,
+    headers: {
+      ...DEFAULT_HEADERS,
+      'Content-Type': EXPORT_TYPES[format],
+      ...(filename && {
+        'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.@-]/g, '_')}.${format}"`
+      }),
+      ...(nextToken && { 'X-Next-Token': nextToken }),
+      ...headers
+    },
+    body
+  };
+}
+
+/**
+ * Build empty 204 response (e.g. CORS preflight)
+ */
+export function noContentResponse(headers = {}) {
+  return {
+    statusCode: 204,
+    headers,
+    body: ''
+  };
+}
+
+// RFC 7807 problem type URIs, one per error code (see ERROR_CODES)
+const PROBLEM_TYPE_PREFIX = 'urn:session-tracking:error:';
+
+/**
+ * Code of an error without one of its own (e.g. a TypeError): the
+ * catalog's first, generic entry for its status
+ */
+function genericCode(statusCode) {
+  return Object.keys(ERROR_CODES).find(code => ERROR_CODES[code].status === statusCode) || 'INTERNAL_ERROR';
+}
+
+/**
+ * Build error response as an RFC 7807 problem (application/problem+json)
+ * 
+ * `code` is the error's entry in ERROR_CODES and `detail` its message. 5xx
+ * responses never carry the underlying error, which is only logged.
+ * `instance` (the request id) is set by the handler, see withProblemInstance.
+ */
+export function errorResponse(error, statusCode = 500, headers = {}) {
+  const code = ERROR_CODES[error.code] ? error.code : genericCode(statusCode);
+  const internal = statusCode >= 500;
+  
+  const problem = {
+    type: `${PROBLEM_TYPE_PREFIX}${code}`,
+    title: ERROR_CODES[code].title,
+    status: statusCode,
+    detail: internal ? ERROR_CODES.INTERNAL_ERROR.title : error.message,
+    code
   };
   
   // Add field info for validation errors
   if (error.field) {
-    errorBody.error.field = error.field;
+    problem.field = error.field;
+  }
+  
+  // ...and the full list when a request failed schema validation
+  if (error.errors) {
+    problem.errors = error.errors;
   }
   
   logger.error('HTTP Error Response', { 
     statusCode, 
+    code,
     error: error.message,
-    type: error.name 
+    type: error.name,
+    ...(error.originalError && { cause: error.originalError.message })
   });
   
   return {
     statusCode,
-    headers: CORS_HEADERS,
-    body: JSON.stringify(errorBody)
+    headers: { ...DEFAULT_HEADERS, 'Content-Type': PROBLEM_TYPE, ...headers },
+    body: JSON.stringify(problem)
+  };
+}
+
+/**
+ * Set `instance` of a problem response to the id of the request it answers
+ * 
+ * Done once in the handler rather than where errors are built, so replayed
+ * responses (shared/idempotency.js) name the request that got them.
+ */
+export function withProblemInstance(response, requestId) {
+  if (!requestId || !response.headers?.['Content-Type']?.startsWith(PROBLEM_TYPE)) {
+    return response;
+  }
+  
+  return {
+    ...response,
+    body: JSON.stringify({ ...JSON.parse(response.body), instance: requestId })
   };
 }
 
+/**
+ * Rate limit headers for a token-bucket result (service/rateLimitService.js)
+ * 
+ * X-RateLimit-Reset is the number of seconds until the bucket is full again;
+ * Retry-After is only set when the request was rejected.
+ */
+export function rateLimitHeaders({ limit, remaining, resetSeconds, retryAfterSeconds = null }) {
+  const headers = {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(resetSeconds)
+  };
+  
+  if (retryAfterSeconds !== null) {
+    headers['Retry-After'] = String(retryAfterSeconds);
+  }
+  
+  return headers;
+}
+
 /**
  * Build error response from exception
  */
-export function errorResponseFromException(error) {
+export function errorResponseFromException(error, headers = {}) {
   // Use statusCode from error if available
   const statusCode = error.statusCode || 500;
-  return errorResponse(error, statusCode);
+  return errorResponse(error, statusCode, headers);
 }
 
 /**
  * Health check response
+ * 
+ * Probes read the status code; a failing readiness check (503) still
+ * carries its report, with `success: false`. Never cached.
  */
-export function healthResponse() {
-  return successResponse({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    service: 'session-tracking-api'
-  });
+export function healthResponse(report, statusCode = 200) {
+  return {
+    statusCode,
+    headers: { ...DEFAULT_HEADERS, 'Cache-Control': 'no-store' },
+    body: JSON.stringify({
+      success: statusCode < 400,
+      data: report
+    })
+  };
 }
@@ -0,0 +1,83 @@
+/**
+ * Data retention policy
+ * 
+ * Items carry an `expiresAt` attribute (epoch seconds) that DynamoDB TTL uses
+ * to delete them. Retention depends on whether the session is identified
+ * (has an externalId) and can be overridden per event type; see
+ * config.retention.
+ * 
+ * Soft-deleted sessions and events stay restorable for
+ * config.retention.trashGraceDays before the purge job removes them.
+ */
+
+import { config } from './config.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Retention period in days for a session, or for an event of `eventType` in it
+ */
+export function retentionDays({ externalId = null, eventType = null } = {}) {
+  const { anonymousDays, identifiedDays, eventTypeDays } = config.retention;
+  
+  if (eventType && eventTypeDays[eventType]) {
+    return eventTypeDays[eventType];
+  }
+  
+  return externalId ? identifiedDays : anonymousDays;
+}
+
+/**
+ * Convert a start time plus a number of days into a TTL value (epoch seconds)
+ */
+export function expiresAfterDays(days, from = new Date()) {
+  return Math.floor(new Date(from).getTime() / 1000) + days * DAY_SECONDS;
+}
+
+/**
+ * TTL value for an item written at `from` under the retention policy
+ */
+export function computeExpiresAt({ externalId = null, eventType = null, from = new Date() } = {}) {
+  return expiresAfterDays(retentionDays({ externalId, eventType }), from);
+}
+
+/**
+ * TTL value for an event of `eventType` written at `from` into `session`
+ *
+ * Never earlier than the session's own TTL, so events written after a
+ * retention extension (or identification) live as long as their session.
+ */
+export function eventExpiresAt(session, { eventType = null, from = new Date() } = {}) {
+  const policy = computeExpiresAt({ externalId: session?.externalId, eventType, from });
+  return Math.max(policy, session?.expiresAt || 0);
+}
+
+/**
+ * Render a TTL value as an ISO timestamp for API responses
+ */
+export function expiresAtToISO(expiresAt) {
+  return expiresAt ? new Date(expiresAt * 1000).toISOString() : null;
+}
+
+/**
+ * When a soft-deleted item stops being restorable (ISO timestamp)
+ */
+export function restorableUntil(deletedAt) {
+  const graceMs = config.retention.trashGraceDays * DAY_SECONDS * 1000;
+  return new Date(new Date(deletedAt).getTime() + graceMs).toISOString();
+}
+
+/**
+ * Items soft-deleted before this ISO timestamp are past the grace period
+ */
+export function purgeCutoff(now = new Date()) {
+  const graceMs = config.retention.trashGraceDays * DAY_SECONDS * 1000;
+  return new Date(new Date(now).getTime() - graceMs).toISOString();
+}
+
+/**
+ * TTL value for an idempotency record written at `from` (config.idempotency)
+ */
+export function idempotencyExpiresAt(from = new Date()) {
+  return Math.floor(new Date(from).getTime() / 1000) + config.idempotency.ttlHours * 60 * 60;
+}
@@ -0,0 +1,103 @@
+/**
+ * Declarative HTTP router
+ * 
+ * Routes are plain objects:
+ *   { method: 'GET', path: '/sessions/{sessionId}', handler, middleware: [] }
+ * 
+ * `{name}` segments match one path segment and are passed to the handler as
+ * event.pathParameters (URL-decoded), so handlers work the same behind an
+ * explicit API Gateway route or a $default / proxy route.
+ * 
+ * Middleware are `async (event, next) => response` functions run in order
+ * around the handler; call `next(event)` to continue, or return a response
+ * to short-circuit.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Compile a path template into a matcher
+ */
+export function compilePath(template) {
+  const paramNames = [];
+  const segments = template.split('/').filter(Boolean);
+  
+  const pattern = segments.map(segment => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    if (param) {
+      paramNames.push(param[1]);
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+  
+  return {
+    regex: new RegExp(`^/${pattern.join('/')}$`),
+    paramNames,
+    // Literal segments make a route more specific than a parameter in the same place
+    literalCount: segments.length - paramNames.length
+  };
+}
+
+/**
+ * Run a handler behind a middleware chain
+ */
+export function compose(middleware, handler) {
+  return function run(event) {
+    const dispatch = (index, currentEvent) => {
+      if (index === middleware.length) {
+        return handler(currentEvent);
+      }
+      return middleware[index](currentEvent, (nextEvent = currentEvent) => dispatch(index + 1, nextEvent));
+    };
+    return dispatch(0, event);
+  };
+}
+
+/**
+ * Build a router over a route table
+ * 
+ * `match(method, path)` returns:
+ * - { route, params } when a route matches the path and method
+ * - { route: null, allowedMethods } when the path exists under other methods
+ * - null when no route matches the path
+ */
+export function createRouter(routes) {
+  const compiled = routes
+    .map((route, index) => ({ ...route, ...compilePath(route.path), index }))
+    .sort((a, b) => b.literalCount - a.literalCount || a.index - b.index)
+    .map(route => ({ ...route, run: compose(route.middleware || [], route.handler) }));
+  
+  function match(method, path) {
+    const allowedMethods = [];
+    
+    for (const route of compiled) {
+      const found = route.regex.exec(path);
+      if (!found) {
+        continue;
+      }
+      
+      if (route.method !== method) {
+        if (!allowedMethods.includes(route.method)) {
+          allowedMethods.push(route.method);
+        }
+        continue;
+      }
+      
+      const params = {};
+      route.paramNames.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(found[i + 1]);
+        } catch (error) {
+          throw new ValidationError(`Malformed path parameter: ${name}`, name, null, 'PATH_PARAMETER_INVALID');
+        }
+      });
+      
+      return { route, params };
+    }
+    
+    return allowedMethods.length > 0 ? { route: null, allowedMethods } : null;
+  }
+  
+  return { routes: compiled, match };
+}
@@ -0,0 +1,575 @@
+/**
+ * JSON Schemas for API requests and responses
+ * 
+ * Written as JSON Schema 2020-12, the dialect of OpenAPI 3.1, so the same
+ * objects document the API (shared/openapi.js) and validate requests
+ * (shared/requestValidation.js). Named response schemas live in
+ * `components` and are referenced with ref(); request schemas must not use
+ * $ref, which the validator does not resolve.
+ */
+
+import { config } from './config.js';
+import { ERROR_CODES } from './errors.js';
+import { EVENT_TYPES, API_KEY_SCOPES, SESSION_FIELDS, EVENT_FIELDS, EMBEDDED_EVENTS_LIMIT } from './validator.js';
+
+/**
+ * Reference a named component schema
+ */
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const nullable = type => ({ type: [type, 'null'] });
+const timestamp = { type: 'string', format: 'date-time' };
+
+const sessionIdPolicy = config.sessionIdPolicy;
+
+const clientEventId = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 128,
+  description: 'Client-generated event id; tracking it again returns the first event instead of a duplicate'
+};
+
+// --- path parameters ---
+
+export const params = {
+  sessionId: {
+    type: 'string',
+    minLength: sessionIdPolicy.minLength,
+    maxLength: sessionIdPolicy.maxLength,
+    pattern: `^[${sessionIdPolicy.charset}]+$`,
+    description: 'Session ID'
+  },
+  externalId: { type: 'string', minLength: 1, maxLength: 200, description: 'User identifier' },
+  eventId: { type: 'string', minLength: 1, maxLength: 64, description: 'Event ID' },
+  timestamp: { ...timestamp, description: 'Event timestamp, as returned when it was tracked' },
+  keyId: { type: 'string', pattern: '^[0-9A-Z]{26}$', description: 'API key ID' }
+};
+
+// --- query parameters ---
+
+export const query = {
+  limit: max => ({
+    type: 'string',
+    pattern: '^[1-9][0-9]*$',
+    description: `Page size (values above ${max} are capped)`
+  }),
+  nextToken: { type: 'string', minLength: 1, description: 'Token from the previous page' },
+  includeAnalytics: { type: 'string', enum: ['true', 'false'], description: 'Same as expand=analytics' },
+  eventType: {
+    type: 'string',
+    pattern: '^[a-z_]+(,[a-z_]+)*$',
+    description: `Only these event types, comma-separated (${EVENT_TYPES.join(', ')})`
+  },
+  from: { ...timestamp, description: 'Only events at or after this time' },
+  to: { ...timestamp, description: 'Only events at or before this time' },
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Timeline order (default asc)' },
+  latest: {
+    type: 'string',
+    pattern: '^[1-9][0-9]*$',
+    description: 'Only the N most recent matching events, in the requested order; cannot be combined with limit'
+  },
+  eventData: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Exact matches on eventData fields, as eventData[<field>]=<value>; nested fields are dotted'
+  },
+  fields: {
+    type: 'string',
+    pattern: '^[A-Za-z.]+(,[A-Za-z.]+)*$',
+    description: `Only these session fields (${SESSION_FIELDS.join(', ')}) and, prefixed with events., ` +
+      `event fields (${EVENT_FIELDS.join(', ')}), comma-separated; sessionId and eventId are always returned`
+  },
+  format: formats => ({
+    type: 'string',
+    enum: ['json', ...formats],
+    description: 'Response format; overrides the Accept header (text/csv, application/x-ndjson)'
+  }),
+  expand: defaultValue => ({
+    type: 'string',
+    pattern: '^[a-z,]*$',
+    description: `Embedded resources, comma-separated: events, analytics (default ${defaultValue || 'none'})`
+  })
+};
+
+// --- request bodies ---
+
+export const bodies = {
+  createSession: {
+    type: 'object',
+    properties: {
+      sessionId: { ...params.sessionId, description: 'Generated as sess_... when omitted' },
+      externalId: { ...params.externalId, type: ['string', 'null'] },
+      metadata: { type: 'object' }
+    }
+  },
+  upsertSession: {
+    type: 'object',
+    properties: {
+      externalId: { ...params.externalId, type: ['string', 'null'] },
+      metadata: { type: 'object' }
+    }
+  },
+  updateSession: {
+    type: 'object',
+    properties: {
+      externalId: params.externalId,
+      status: { type: 'string' },
+      metadata: { type: 'object' },
+      stepsTaken: { type: 'integer', readOnly: true, description: 'Counted by the server from the tracked events' }
+    },
+    minProperties: 1
+  },
+  extendRetention: {
+    type: 'object',
+    properties: {
+      days: { type: 'integer', minimum: 1, maximum: config.retention.maxExtensionDays }
+    },
+    required: ['days']
+  },
+  trackEvent: {
+    type: 'object',
+    properties: {
+      sessionId: params.sessionId,
+      eventType: { type: 'string', enum: EVENT_TYPES },
+      eventData: { type: 'object' },
+      clientEventId
+    },
+    required: ['sessionId', 'eventType']
+  },
+  trackBatchEvents: {
+    type: 'object',
+    properties: {
+      events: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 25,
+        // Each event is validated on its own and reported in the result's
+        // `errors`, so one bad event does not reject the batch
+        items: {
+          type: 'object',
+          properties: {
+            sessionId: { type: 'string', description: params.sessionId.description },
+            eventType: { type: 'string', description: `One of: ${EVENT_TYPES.join(', ')}` },
+            eventData: { description: 'Event payload (object)' },
+            clientEventId: { type: 'string', description: clientEventId.description }
+          }
+        }
+      }
+    },
+    required: ['events']
+  },
+  createApiKey: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: API_KEY_SCOPES }
+      },
+      allowedOrigins: {
+        type: 'array',
+        items: { type: 'string', pattern: '^https?://[^/]+$', examples: ['https://shop.example.com'] }
+      }
+    },
+    required: ['name', 'scopes']
+  },
+  updateEvent: {
+    type: 'object',
+    properties: {
+      eventType: { type: 'string', enum: EVENT_TYPES },
+      eventData: { type: 'object' }
+    },
+    minProperties: 1
+  }
+};
+
+// --- named response schemas ---
+
+export const components = {
+  Problem: {
+    type: 'object',
+    description: 'RFC 7807 problem details (application/problem+json)',
+    properties: {
+      type: { type: 'string', format: 'uri', examples: ['urn:session-tracking:error:SESSION_NOT_FOUND'] },
+      title: { type: 'string', description: 'Summary of the error code, the same for every occurrence' },
+      status: { type: 'integer' },
+      detail: { type: 'string', description: 'Explanation of this occurrence; not meant to be parsed' },
+      instance: { type: 'string', description: 'Id of the request, to quote when reporting the error' },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+      field: { type: 'string' },
+      errors: {
+        type: 'array',
+        description: 'Every violation, when the request failed schema validation',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', examples: ['body.eventType'] },
+            rule: { type: 'string', examples: ['enum'] },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    required: ['type', 'title', 'status', 'detail', 'code']
+  },
+  SessionSummary: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      externalId: nullable('string'),
+      status: { type: 'string' },
+      createdAt: timestamp
+    }
+  },
+  SessionUpserted: {
+    type: 'object',
+    properties: {
+      session: ref('SessionSummary'),
+      existed: { type: 'boolean', description: 'false when the session was created (201)' }
+    }
+  },
+  SessionVersion: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      externalId: nullable('string'),
+      status: { type: 'string' },
+      version: { type: 'integer' },
+      updatedAt: timestamp
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      externalId: nullable('string'),
+      status: { type: 'string' },
+      stepsTaken: { type: 'integer' },
+      version: { type: 'integer' },
+      userAgent: nullable('string'),
+      ipAddress: nullable('string'),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      expiresAt: { ...nullable('string'), format: 'date-time' },
+      metadata: { type: 'object' }
+    },
+    description: 'Restricted to the requested fields with fields=; userAgent and ipAddress need sessions:admin'
+  },
+  TimelineEvent: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      eventType: { type: 'string' },
+      eventData: { type: 'object' },
+      timestamp,
+      clientEventId: { type: 'string' }
+    }
+  },
+  SessionTimeline: {
+    type: 'object',
+    properties: {
+      session: ref('Session'),
+      events: { type: 'array', items: ref('TimelineEvent'), description: 'With expand=events (the default)' },
+      eventCount: { type: 'integer' },
+      analytics: { ...ref('SessionAnalytics'), description: 'With expand=analytics' }
+    }
+  },
+  SessionAnalytics: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      externalId: nullable('string'),
+      status: { type: 'string' },
+      duration: { type: 'integer', description: 'Seconds between first and last event' },
+      eventCount: { type: 'integer' },
+      stepsTaken: { type: 'integer' },
+      eventBreakdown: { type: 'object', additionalProperties: { type: 'integer' } },
+      firstEvent: { ...nullable('string'), format: 'date-time' },
+      lastEvent: { ...nullable('string'), format: 'date-time' },
+      conversionFunnel: {
+        type: 'object',
+        properties: {
+          landed: { type: 'boolean' },
+          engaged: { type: 'boolean' },
+          startedCheckout: { type: 'boolean' },
+          converted: { type: 'boolean' }
+        }
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  UserSessions: {
+    type: 'object',
+    properties: {
+      externalId: { type: 'string' },
+      sessions: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('Session'),
+            {
+              type: 'object',
+              properties: {
+                events: {
+                  type: 'array',
+                  items: ref('TimelineEvent'),
+                  description: `With expand=events: the session's ${EMBEDDED_EVENTS_LIMIT} most recent events, oldest first`
+                },
+                eventCount: { type: 'integer', description: 'Number of embedded events' },
+                hasMoreEvents: { type: 'boolean', description: 'Whether the session has older events than those embedded; GET /sessions/{sessionId} returns them all' },
+                analytics: { ...ref('SessionAnalytics'), description: 'With expand=analytics' }
+              }
+            }
+          ]
+        }
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          totalSessions: { type: 'integer' },
+          activeSessions: { type: 'integer' },
+          completedSessions: { type: 'integer' },
+          totalSteps: { type: 'integer' },
+          averageSteps: { type: 'integer' },
+          firstSeen: { ...nullable('string'), format: 'date-time' },
+          lastActive: { ...nullable('string'), format: 'date-time' }
+        }
+      }
+    }
+  },
+  RetentionExtended: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      expiresAt: timestamp,
+      itemsUpdated: { type: 'integer' }
+    }
+  },
+  SessionDeleted: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      deletedAt: timestamp,
+      restorableUntil: timestamp,
+      message: { type: 'string' }
+    }
+  },
+  DeletedSessions: {
+    type: 'object',
+    properties: {
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sessionId: { type: 'string' },
+            externalId: nullable('string'),
+            status: { type: 'string' },
+            stepsTaken: { type: 'integer' },
+            createdAt: timestamp,
+            deletedAt: timestamp,
+            restorableUntil: timestamp
+          }
+        }
+      }
+    }
+  },
+  Change: {
+    type: 'object',
+    properties: {
+      changeId: { type: 'string' },
+      entityType: { type: 'string', enum: ['session', 'event'] },
+      entityId: { type: 'string' },
+      action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'extend_retention', 'purge'] },
+      changes: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: { before: {}, after: {} }
+        }
+      },
+      versionBefore: nullable('integer'),
+      versionAfter: nullable('integer'),
+      actor: {
+        type: ['object', 'null'],
+        properties: {
+          id: nullable('string'),
+          ipAddress: nullable('string'),
+          userAgent: nullable('string')
+        }
+      },
+      requestId: nullable('string'),
+      timestamp,
+      redactedAt: {
+        type: ['string', 'null'],
+        format: 'date-time',
+        description: 'When a purge removed the values (changes keep only the attribute names) and the actor\'s IP address and user agent'
+      }
+    }
+  },
+  SessionHistory: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      changes: { type: 'array', items: ref('Change') }
+    }
+  },
+  TrackedEvent: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      sessionId: { type: 'string' },
+      eventType: { type: 'string' },
+      timestamp,
+      clientEventId: { type: 'string' },
+      replayed: { const: true, description: 'Present when the clientEventId was already tracked; nothing was written' }
+    }
+  },
+  Event: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      sessionId: { type: 'string' },
+      eventType: { type: 'string' },
+      eventData: { type: 'object' },
+      timestamp,
+      version: { type: 'integer' },
+      clientEventId: { type: 'string' },
+      userAgent: nullable('string'),
+      ipAddress: nullable('string')
+    }
+  },
+  EventVersion: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      sessionId: { type: 'string' },
+      eventType: { type: 'string' },
+      eventData: { type: 'object' },
+      timestamp,
+      version: { type: 'integer' }
+    }
+  },
+  EventDeleted: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string' },
+      deleted: { const: true },
+      deletedAt: timestamp,
+      restorableUntil: timestamp,
+      message: { type: 'string' }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      keyId: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+      allowedOrigins: { type: 'array', items: { type: 'string' } },
+      createdAt: timestamp,
+      rotatedAt: { ...nullable('string'), format: 'date-time' },
+      revokedAt: { ...nullable('string'), format: 'date-time' }
+    }
+  },
+  ApiKeyIssued: {
+    type: 'object',
+    properties: {
+      apiKey: ref('ApiKey'),
+      key: { type: 'string', description: 'The key to send as x-api-key; shown only once' }
+    }
+  },
+  ApiKeys: {
+    type: 'object',
+    properties: {
+      apiKeys: { type: 'array', items: ref('ApiKey') }
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { const: 'ok' },
+      service: { type: 'string' },
+      version: { type: 'string', description: 'Build version (BUILD_VERSION)' },
+      stage: { type: 'string' },
+      coldStart: { type: 'boolean', description: 'Whether this request started a new Lambda instance' },
+      timestamp
+    }
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      service: { type: 'string' },
+      version: { type: 'string' },
+      stage: { type: 'string' },
+      coldStart: { type: 'boolean' },
+      timestamp,
+      checks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'config, table or index:<name>' },
+            status: { type: 'string', enum: ['pass', 'fail'] },
+            latencyMs: { type: 'integer' },
+            error: { type: 'string' }
+          },
+          required: ['name', 'status', 'latencyMs']
+        }
+      }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      successful: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('TrackedEvent'),
+            { type: 'object', properties: { index: { type: 'integer' }, success: { const: true } } }
+          ]
+        }
+      },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            success: { const: false },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Property name of each schema built by wrapped()
+const wrappers = new WeakMap();
+
+/**
+ * Wrap a schema as a single-property object, e.g. { session: ... }
+ */
+export function wrapped(name, schema) {
+  const wrapper = { type: 'object', properties: { [name]: schema } };
+  wrappers.set(wrapper, name);
+  return wrapper;
+}
+
+/**
+ * Property a wrapped() schema wraps its resource in; null for other schemas
+ */
+export function wrapperName(schema) {
+  return wrappers.get(schema) || null;
+}
@@ -0,0 +1,107 @@
+/**
+ * Storage adapter - the single entry point repositories use for persistence
+ * 
+ * Backends implement the same interface with DynamoDB semantics (key
+ * conditions, GSIs, condition/update expressions, paging, transactions):
+ * - dynamodb: shared/dynamodbClient.js (default)
+ * - memory:   shared/memoryStore.js, for local runs and tests without AWS
+ * 
+ * Selected with STORAGE_BACKEND (config.storageBackend).
+ * 
+ * Interface:
+ * - putItem(item, options)                       -> item
+ * - getItem(pk, sk, options)                     -> item | null
+ * - queryPage(keyCondition, values, options)     -> { items, lastEvaluatedKey }
+ * - updateItem(pk, sk, updates, options)         -> updated item (or previous, with returnValues: 'ALL_OLD')
+ * - deleteItem(pk, sk, options)                  -> true
+ * - batchWriteItems(items, options)              -> per-item report
+ * - batchDeleteItems(items, options)             -> per-item report
+ * - transactWriteItems(transactItems)            -> true
+ * - describeTable()                              -> { status, indexes: [{ name, status }] }
+ * Failed conditions throw ConditionalCheckFailedError, anything else InternalError.
+ */
+
+import { config } from './config.js';
+
+const backend = config.storageBackend === 'memory'
+  ? await import('./memoryStore.js')
+  : await import('./dynamodbClient.js');
+
+export const {
+  putItem,
+  getItem,
+  queryPage,
+  updateItem,
+  deleteItem,
+  batchWriteItems,
+  batchDeleteItems,
+  transactWriteItems,
+  describeTable
+} = backend;
+
+export { buildUpdateExpression, buildProjectionExpression, versionCondition } from './expressionBuilder.js';
+
+/**
+ * Query items from DynamoDB (main table or GSI)
+ * 
+ * Follows LastEvaluatedKey until the result set is exhausted or `limit`
+ * items have been collected. `options` are passed through to queryPage
+ * (filterExpression, expressionAttributeNames, scanIndexForward, ...).
+ */
+export async function queryItems(keyConditionExpression, expressionAttributeValues, indexName = null, limit = null, options = {}) {
+  const items = [];
+  let exclusiveStartKey = null;
+  
+  do {
+    const page = await queryPage(keyConditionExpression, expressionAttributeValues, {
+      ...options,
+      indexName,
+      limit: limit ? limit - items.length : null,
+      exclusiveStartKey
+    });
+    
+    items.push(...page.items);
+    exclusiveStartKey = page.lastEvaluatedKey;
+  } while (exclusiveStartKey && (!limit || items.length < limit));
+  
+  return items;
+}
+
+
+/**
+ * Apply SET / ADD / REMOVE attributes to an item image, as updateItem does
+ * 
+ * Updates only ever replace top-level attributes, so a shallow copy is enough.
+ */
+export function applyToImage(item, updates = {}, increments = {}, removals = []) {
+  const image = { ...item, ...updates };
+  
+  Object.entries(increments).forEach(([key, delta]) => {
+    image[key] = (image[key] || 0) + delta;
+  });
+  
+  removals.forEach(key => {
+    delete image[key];
+  });
+  
+  return image;
+}
+
+/**
+ * Update item and return it as it was before and after: { before, after }
+ * 
+ * UpdateItem returns a single image, so the previous one is requested
+ * (ALL_OLD) and the new one derived from it with the same updates. Used where
+ * a write has to be recorded as a change.
+ */
+export async function updateItemWithImages(pk, sk, updates, options = {}) {
+  const before = await updateItem(pk, sk, updates, { ...options, returnValues: 'ALL_OLD' });
+  const after = applyToImage(
+    before || { [config.pkName]: pk, [config.skName]: sk },
+    updates,
+    options.increments,
+    options.removals
+  );
+  
+  return { before, after };
+}
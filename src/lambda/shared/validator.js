@@ -3,40 +3,48 @@
  */
 
 import { ValidationError } from './errors.js';
+import { config } from './config.js';
 
 export function validateRequired(value, fieldName) {
   if (value === undefined || value === null || value === '') {
-    throw new ValidationError(`${fieldName} is required`, fieldName);
+    throw new ValidationError(`${fieldName} is required`, fieldName, null, 'FIELD_REQUIRED');
   }
 }
 
+// Event types accepted by the API
+export const EVENT_TYPES = [
+  'landing',
+  'click',
+  'form_submit',
+  'form_start',
+  'quiz_start',
+  'quiz_complete',
+  'product_view',
+  'add_to_cart',
+  'checkout_start',
+  'checkout_complete',
+  'page_view',
+  'video_play',
+  'video_complete',
+  'download',
+  'signup',
+  'login',
+  'custom'
+];
+
+// Scopes an API key can be granted: ingestion only. Reading, administering
+// data and managing keys (admin) need a bearer token
+export const API_KEY_SCOPES = ['sessions:write', 'events:write'];
+
 export function validateEventType(eventType) {
-  const allowedTypes = [
-    'landing',
-    'click',
-    'form_submit',
-    'form_start',
-    'quiz_start',
-    'quiz_complete',
-    'product_view',
-    'add_to_cart',
-    'checkout_start',
-    'checkout_complete',
-    'page_view',
-    'video_play',
-    'video_complete',
-    'download',
-    'signup',
-    'login',
-    'custom'
-  ];
-  
   validateRequired(eventType, 'eventType');
   
-  if (!allowedTypes.includes(eventType)) {
+  if (!EVENT_TYPES.includes(eventType)) {
     throw new ValidationError(
-      `eventType must be one of: ${allowedTypes.join(', ')}`,
-      'eventType'
+      `eventType must be one of: ${EVENT_TYPES.join(', ')}`,
+      'eventType',
+      null,
+      'EVENT_TYPE_INVALID'
     );
   }
 }
@@ -48,16 +56,219 @@ export function validateObject(value, fieldName) {
   throw new ValidationError(`${fieldName} must be a valid object`, fieldName);
 }
 
+/**
+ * Validate a sessionId against the configured ID policy (config.sessionIdPolicy)
+ */
 export function validateSessionId(sessionId) {
   validateRequired(sessionId, 'sessionId');
   if (typeof sessionId !== 'string' || sessionId.length === 0) {
-    throw new ValidationError('sessionId must be a non-empty string', 'sessionId');
+    throw new ValidationError('sessionId must be a non-empty string', 'sessionId', null, 'SESSION_ID_INVALID');
+  }
+  
+  const policy = config.sessionIdPolicy;
+  
+  if (sessionId.length < policy.minLength || sessionId.length > policy.maxLength) {
+    throw new ValidationError(
+      `sessionId must be between ${policy.minLength} and ${policy.maxLength} characters`,
+      'sessionId',
+      null,
+      'SESSION_ID_INVALID'
+    );
+  }
+  
+  if (!new RegExp(`^[${policy.charset}]+$`).test(sessionId)) {
+    throw new ValidationError(`sessionId may only contain the characters [${policy.charset}]`, 'sessionId', null, 'SESSION_ID_INVALID');
+  }
+  
+  if (policy.requirePrefix && !sessionId.startsWith(policy.prefix)) {
+    throw new ValidationError(`sessionId must start with "${policy.prefix}"`, 'sessionId', null, 'SESSION_ID_INVALID');
   }
 }
 
-export function validateString(value, fieldName) {
+/**
+ * Validate a required string, optionally within { minLength, maxLength }
+ */
+export function validateString(value, fieldName, { minLength = null, maxLength = null } = {}) {
   validateRequired(value, fieldName);
   if (typeof value !== 'string') {
     throw new ValidationError(`${fieldName} must be a string`, fieldName);
   }
+  
+  if (minLength !== null && value.length < minLength) {
+    throw new ValidationError(`${fieldName} must be at least ${minLength} characters`, fieldName);
+  }
+  
+  if (maxLength !== null && value.length > maxLength) {
+    throw new ValidationError(`${fieldName} must be at most ${maxLength} characters`, fieldName);
+  }
+}
+
+/**
+ * Parse a `limit` query parameter into a positive integer capped at `max`
+ */
+export function parseLimit(value, { defaultValue = null, max = 100 } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('limit must be a positive integer', 'limit', null, 'QUERY_PARAMETER_INVALID');
+  }
+  
+  return Math.min(limit, max);
+}
+
+// eventData[<field>] query parameters; nested fields are dotted (eventData[utm.source])
+const EVENT_DATA_PARAM = /^eventData\[([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)\]$/;
+const MAX_EVENT_DATA_FILTERS = 10;
+
+/**
+ * Parse an ISO 8601 query parameter into the format stored in timestamps
+ */
+function parseTimestamp(value, fieldName) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new ValidationError(`${fieldName} must be an ISO 8601 date-time`, fieldName, null, 'QUERY_PARAMETER_INVALID');
+  }
+  
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse the timeline filters of GET /sessions/{sessionId}
+ * 
+ * - eventType: comma-separated event types (repeated parameters arrive joined)
+ * - from / to: inclusive ISO 8601 bounds on the event timestamp
+ * - order: asc (default) or desc
+ * - latest: only the N most recent matching events, capped at `max`
+ * - eventData[<field>]: exact match on an eventData field
+ * 
+ * Returns { eventTypes, from, to, order, latest, dataFilters }.
+ */
+export function parseTimelineFilters(queryParameters = {}, { max = 1000 } = {}) {
+  const eventTypes = queryParameters.eventType
+    ? [...new Set(queryParameters.eventType.split(',').map(type => type.trim()).filter(Boolean))]
+    : [];
+  
+  const unknown = eventTypes.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `eventType must be one of: ${EVENT_TYPES.join(', ')} (got ${unknown.join(', ')})`,
+      'eventType',
+      null,
+      'EVENT_TYPE_INVALID'
+    );
+  }
+  
+  const order = queryParameters.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ValidationError('order must be asc or desc', 'order', null, 'QUERY_PARAMETER_INVALID');
+  }
+  
+  let latest = null;
+  if (queryParameters.latest !== undefined && queryParameters.latest !== '') {
+    latest = Number(queryParameters.latest);
+    if (!Number.isInteger(latest) || latest < 1) {
+      throw new ValidationError('latest must be a positive integer', 'latest', null, 'QUERY_PARAMETER_INVALID');
+    }
+    latest = Math.min(latest, max);
+  }
+  
+  const dataFilters = [];
+  for (const [name, value] of Object.entries(queryParameters)) {
+    const match = EVENT_DATA_PARAM.exec(name);
+    if (match) {
+      dataFilters.push({ path: match[1], value });
+    } else if (name.startsWith('eventData')) {
+      throw new ValidationError(`${name} is not a valid eventData filter, use eventData[<field>]`, name, null, 'QUERY_PARAMETER_INVALID');
+    }
+  }
+  
+  if (dataFilters.length > MAX_EVENT_DATA_FILTERS) {
+    throw new ValidationError(`At most ${MAX_EVENT_DATA_FILTERS} eventData filters are allowed`, 'eventData', null, 'QUERY_PARAMETER_INVALID');
+  }
+  
+  return {
+    eventTypes,
+    from: queryParameters.from ? parseTimestamp(queryParameters.from, 'from') : null,
+    to: queryParameters.to ? parseTimestamp(queryParameters.to, 'to') : null,
+    order,
+    latest,
+    dataFilters
+  };
+}
+
+// Attributes a `fields` parameter may select; ids are always returned
+export const SESSION_FIELDS = [
+  'sessionId',
+  'externalId',
+  'status',
+  'stepsTaken',
+  'version',
+  'userAgent',
+  'ipAddress',
+  'createdAt',
+  'updatedAt',
+  'expiresAt',
+  'metadata'
+];
+export const EVENT_FIELDS = ['eventId', 'eventType', 'eventData', 'timestamp', 'clientEventId'];
+
+// Events embedded per session in a user's session list (the most recent ones)
+export const EMBEDDED_EVENTS_LIMIT = 20;
+
+/**
+ * Parse a `fields` query parameter (sparse fieldset)
+ * 
+ * Comma-separated session attributes, with `events.<attribute>` selecting
+ * attributes of embedded events. Returns { session, events }, each a list of
+ * attributes or null when that part was not restricted.
+ */
+export function parseFields(value) {
+  if (value === undefined || value === null || value === '') {
+    return { session: null, events: null };
+  }
+  
+  const session = new Set();
+  const events = new Set();
+  
+  for (const field of value.split(',').map(name => name.trim()).filter(Boolean)) {
+    if (field.startsWith('events.')) {
+      const name = field.slice('events.'.length);
+      if (!EVENT_FIELDS.includes(name)) {
+        throw new ValidationError(`fields: events.${name} is not an event field (${EVENT_FIELDS.join(', ')})`, 'fields', null, 'QUERY_PARAMETER_INVALID');
+      }
+      events.add(name);
+    } else if (SESSION_FIELDS.includes(field)) {
+      session.add(field);
+    } else {
+      throw new ValidationError(`fields: ${field} is not a session field (${SESSION_FIELDS.join(', ')})`, 'fields', null, 'QUERY_PARAMETER_INVALID');
+    }
+  }
+  
+  return {
+    session: session.size > 0 ? ['sessionId', ...[...session].filter(name => name !== 'sessionId')] : null,
+    events: events.size > 0 ? ['eventId', ...[...events].filter(name => name !== 'eventId')] : null
+  };
+}
+
+/**
+ * Parse an `expand` query parameter into the embedded resources to include
+ * 
+ * `allowed` lists the expansions of the endpoint; `defaultValue` applies when
+ * the parameter is absent (an empty `expand=` embeds nothing).
+ */
+export function parseExpand(value, allowed, defaultValue = []) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  
+  const expand = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = expand.filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`expand must be a list of: ${allowed.join(', ')} (got ${unknown.join(', ')})`, 'expand', null, 'QUERY_PARAMETER_INVALID');
+  }
+  
+  return expand;
 }
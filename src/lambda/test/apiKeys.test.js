@@ -0,0 +1,87 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as apiKeyService from '../service/apiKeyService.js';
+import { updateItem } from '../shared/storage.js';
+import { config } from '../shared/config.js';
+import { call, uniqueId } from './helpers.js';
+
+/**
+ * Run `fn` with authentication turned on
+ */
+async function withAuth(fn) {
+  config.auth.required = true;
+  try {
+    return await fn();
+  } finally {
+    config.auth.required = false;
+  }
+}
+
+test('API keys are only granted ingestion scopes', async () => {
+  await assert.rejects(
+    apiKeyService.createApiKey({ name: 'Too much', scopes: ['events:write', 'admin'] }),
+    { code: 'API_KEY_SCOPES_INVALID', message: /cannot be granted admin/ }
+  );
+  await assert.rejects(apiKeyService.createApiKey({ name: 'Reader', scopes: ['sessions:read'] }), { code: 'API_KEY_SCOPES_INVALID' });
+  
+  const response = await call('POST', '/admin/api-keys', { body: { name: 'Too much', scopes: ['admin'] } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'API_KEY_SCOPES_INVALID');
+});
+
+test('an ingestion key tracks sessions and events but reads nothing', async () => {
+  const { key } = await apiKeyService.createApiKey({ name: 'Tracker', scopes: ['sessions:write', 'events:write'] });
+  const headers = { 'x-api-key': key };
+  const sessionId = uniqueId('sess');
+  
+  await withAuth(async () => {
+    assert.equal((await call('POST', '/sessions', { body: { sessionId }, headers })).status, 201);
+    assert.equal((await call('POST', '/events', { body: { sessionId, eventType: 'click' }, headers })).status, 201);
+    
+    const read = await call('GET', `/sessions/${sessionId}`, { headers });
+    assert.equal(read.status, 403);
+    assert.equal(read.body.code, 'SCOPE_MISSING');
+    
+    const anonymous = await call('POST', '/events', { body: { sessionId, eventType: 'click' } });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'AUTHENTICATION_REQUIRED');
+  });
+});
+
+test('unknown, revoked and rotated-out keys are rejected', async () => {
+  const { apiKey, key } = await apiKeyService.createApiKey({ name: 'Rotating', scopes: ['events:write'] });
+  const { key: rotated } = await apiKeyService.rotateApiKey(apiKey.keyId);
+  const track = credential => call('POST', '/events', { body: { sessionId: uniqueId('sess'), eventType: 'click' }, headers: { 'x-api-key': credential } });
+  
+  await withAuth(async () => {
+    assert.equal((await track(key)).body.code, 'API_KEY_INVALID');
+    assert.equal((await track('stk_not-a-key')).status, 401);
+    // Authenticated, so the missing session is what fails
+    assert.equal((await track(rotated)).status, 404);
+    
+    await apiKeyService.revokeApiKey(apiKey.keyId);
+    assert.equal((await track(rotated)).status, 401);
+  });
+});
+
+test('origin-restricted keys only work from their origins', async () => {
+  const { key } = await apiKeyService.createApiKey({ name: 'Shop', scopes: ['sessions:write'], allowedOrigins: ['https://shop.example.com'] });
+  const create = origin => call('POST', '/sessions', { body: {}, headers: { 'x-api-key': key, ...(origin && { origin }) } });
+  
+  await withAuth(async () => {
+    assert.equal((await create('https://shop.example.com')).status, 201);
+    const elsewhere = await create('https://evil.example.com');
+    assert.equal(elsewhere.status, 403);
+    assert.equal(elsewhere.body.code, 'ORIGIN_NOT_ALLOWED');
+    assert.equal((await create(null)).status, 403);
+  });
+});
+
+test('keys issued with admin before the restriction lose it', async () => {
+  const { apiKey, key } = await apiKeyService.createApiKey({ name: 'Legacy', scopes: ['events:write'] });
+  await updateItem(`APIKEY#${apiKey.keyId}`, '#METADATA', { scopes: ['events:write', 'admin'] });
+  
+  const listed = await withAuth(() => call('GET', '/admin/api-keys', { headers: { 'x-api-key': key } }));
+  assert.equal(listed.status, 403);
+});
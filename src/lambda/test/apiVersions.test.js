@@ -0,0 +1,106 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as v1 from '../serializers/v1.js';
+import * as v2 from '../serializers/v2.js';
+import { API_VERSIONS } from '../shared/apiVersion.js';
+import { logger } from '../shared/logger.js';
+import { wrapped, ref } from '../shared/schemas.js';
+import { call, uniqueId } from './helpers.js';
+
+const json = (statusCode, body) => ({ statusCode, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('the v2 serializer drops the envelope and unwraps single resources', () => {
+  const route = { responses: { 201: wrapped('event', ref('Event')) } };
+  const created = json(201, { success: true, data: { event: { eventId: 'e1' } } });
+  
+  assert.equal(v1.serialize(created, route), created);
+  assert.deepEqual(JSON.parse(v2.serialize(created, route).body), { eventId: 'e1' });
+  
+  const list = { paginated: true, responses: { 200: ref('UserSessions') } };
+  assert.deepEqual(JSON.parse(v2.serialize(json(200, { success: true, data: { sessions: [] }, nextToken: null }), list).body), {
+    sessions: [],
+    nextToken: null
+  });
+  
+  // Problems, exports and routes without the envelope are left alone
+  const problem = { statusCode: 404, headers: { 'Content-Type': 'application/problem+json' }, body: '{"code":"NOT_FOUND"}' };
+  const csv = { statusCode: 200, headers: { 'Content-Type': 'text/csv; charset=utf-8' }, body: 'a\r\n' };
+  assert.equal(v2.serialize(problem, route), problem);
+  assert.equal(v2.serialize(csv, route), csv);
+  assert.equal(v2.serialize(created, { ...route, envelope: false }), created);
+});
+
+test('unprefixed paths are v1 and /v2 returns resources', async () => {
+  const v1Session = await call('POST', '/sessions', { body: { sessionId: uniqueId('sess') } });
+  assert.equal(v1Session.body.success, true);
+  assert.ok(v1Session.body.data.session.sessionId);
+  
+  const sessionId = uniqueId('sess');
+  const v2Session = await call('POST', '/v2/sessions', { body: { sessionId } });
+  assert.equal(v2Session.status, 201);
+  assert.equal(v2Session.body.sessionId, sessionId);
+  assert.equal('success' in v2Session.body, false);
+  
+  const event = await call('POST', '/v2/events', { body: { sessionId, eventType: 'click' } });
+  assert.ok(event.body.eventId);
+  
+  const timeline = await call('GET', `/v2/sessions/${sessionId}`);
+  assert.equal(timeline.body.session.sessionId, sessionId);
+  assert.equal(timeline.body.events.length, 1);
+  assert.equal(timeline.body.nextToken, null);
+  
+  assert.equal((await call('GET', `/v1/sessions/${sessionId}`)).body.data.session.sessionId, sessionId);
+});
+
+test('the timestamp event URLs are only served by v1', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  const { eventId, timestamp } = (await call('POST', '/events', { body: { sessionId, eventType: 'click' } })).body.data.event;
+  const path = `/events/${sessionId}/${eventId}/${encodeURIComponent(timestamp)}`;
+  
+  assert.equal((await call('GET', path)).status, 200);
+  assert.equal((await call('GET', `/v1${path}`)).status, 200);
+  
+  const v2 = await call('GET', `/v2${path}`);
+  assert.equal(v2.status, 404);
+  assert.equal(v2.body.code, 'ROUTE_NOT_FOUND');
+});
+
+test('a deprecated version marks all its responses, errors included', async () => {
+  const { deprecatedAt, sunsetAt } = API_VERSIONS.v1;
+  Object.assign(API_VERSIONS.v1, { deprecatedAt: '2026-07-01T00:00:00Z', sunsetAt: '2027-01-01T00:00:00Z' });
+  
+  try {
+    for (const path of ['/sessions/unknown', '/v1/sessions/unknown', '/v1/nowhere']) {
+      const response = await call('GET', path);
+      assert.equal(response.headers.Deprecation, '@1782864000', path);
+      assert.equal(response.headers.Sunset, 'Fri, 01 Jan 2027 00:00:00 GMT', path);
+    }
+    
+    for (const path of ['/v2/sessions/unknown', '/health']) {
+      const response = await call('GET', path);
+      assert.equal('Deprecation' in response.headers, false, path);
+      assert.equal('Sunset' in response.headers, false, path);
+    }
+  } finally {
+    Object.assign(API_VERSIONS.v1, { deprecatedAt, sunsetAt });
+  }
+});
+
+test('every versioned request is logged with its version', async (t) => {
+  const info = t.mock.method(logger, 'info');
+  
+  await call('GET', '/sessions/unknown');
+  await call('GET', '/v2/sessions/unknown');
+  await call('GET', '/health');
+  
+  const usage = info.mock.calls
+    .filter(({ arguments: [message] }) => message === 'API version usage')
+    .map(({ arguments: [, fields] }) => [fields.apiVersion, fields.prefixed, fields.route, fields.statusCode]);
+  
+  assert.deepEqual(usage, [
+    ['v1', false, '/sessions/{sessionId}', 404],
+    ['v2', true, '/sessions/{sessionId}', 404]
+  ]);
+});
@@ -0,0 +1,79 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchWriteAll, MAX_BATCH_SIZE } from '../shared/batchWriter.js';
+
+const TABLE = 'test-table';
+const FAST = { tableName: TABLE, baseDelayMs: 1, maxDelayMs: 2 };
+
+function items(count) {
+  return Array.from({ length: count }, (_, i) => ({ PK: 'SESSION#s', SK: `EVENT#${String(i).padStart(3, '0')}` }));
+}
+
+test('batchWriteAll splits items into requests of at most 25', async () => {
+  const sizes = [];
+  const send = async params => {
+    sizes.push(params.RequestItems[TABLE].length);
+    return {};
+  };
+  
+  const report = await batchWriteAll(items(60), { ...FAST, send });
+  
+  assert.deepEqual(sizes.sort((a, b) => b - a), [MAX_BATCH_SIZE, MAX_BATCH_SIZE, 10]);
+  assert.equal(report.succeeded, 60);
+  assert.equal(report.failed, 0);
+});
+
+test('batchWriteAll retries unprocessed items until they are written', async () => {
+  let calls = 0;
+  const send = async params => {
+    calls++;
+    const requests = params.RequestItems[TABLE];
+    // Throttle the second half of every request
+    const unprocessed = requests.length > 1 ? requests.slice(Math.ceil(requests.length / 2)) : [];
+    return { UnprocessedItems: unprocessed.length ? { [TABLE]: unprocessed } : {} };
+  };
+  
+  const report = await batchWriteAll(items(8), { ...FAST, send });
+  
+  assert.equal(report.succeeded, 8);
+  assert.ok(calls > 1);
+});
+
+test('batchWriteAll reports the items that stay unprocessed or whose request fails', async () => {
+  const stuck = await batchWriteAll(items(3), {
+    ...FAST,
+    maxAttempts: 3,
+    send: async params => ({ UnprocessedItems: { [TABLE]: params.RequestItems[TABLE].slice(0, 1) } })
+  });
+  assert.equal(stuck.failed, 1);
+  assert.deepEqual(stuck.results.map(result => result.success), [false, true, true]);
+  assert.match(stuck.results[0].error, /after 3 attempts/);
+  
+  const rejected = await batchWriteAll(items(30), {
+    ...FAST,
+    concurrency: 1,
+    send: async params => {
+      if (params.RequestItems[TABLE].length < MAX_BATCH_SIZE) {
+        throw new Error('ValidationException');
+      }
+      return {};
+    }
+  });
+  assert.equal(rejected.succeeded, 25);
+  assert.equal(rejected.failed, 5);
+  assert.equal(rejected.results[29].error, 'ValidationException');
+});
+
+test('batchWriteAll sends delete requests with the item keys', async () => {
+  const requests = [];
+  const send = async params => {
+    requests.push(...params.RequestItems[TABLE]);
+    return {};
+  };
+  
+  const report = await batchWriteAll(items(2).map(item => ({ ...item, eventType: 'click' })), { ...FAST, send, operation: 'delete' });
+  
+  assert.equal(report.succeeded, 2);
+  assert.deepEqual(requests[0], { DeleteRequest: { Key: { PK: 'SESSION#s', SK: 'EVENT#000' } } });
+});
@@ -0,0 +1,98 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { routes } from '../routes.js';
+import { routeVersions } from '../shared/apiVersion.js';
+import { withCors } from '../shared/cors.js';
+import { config } from '../shared/config.js';
+import { call } from './helpers.js';
+
+const methodSet = header => header.split(',').sort();
+
+/**
+ * Run `fn` with the given CORS configuration
+ */
+async function withCorsConfig(cors, fn) {
+  const saved = config.cors;
+  config.cors = { ...saved, ...cors };
+  try {
+    return await fn();
+  } finally {
+    config.cors = saved;
+  }
+}
+
+test('preflights allow exactly the methods registered for their path', async () => {
+  for (const version of ['v1', 'v2']) {
+    const served = routes.filter(route => routeVersions(route).includes(version));
+    
+    for (const path of new Set(served.map(route => route.path))) {
+      const expected = served.filter(route => route.path === path).map(route => route.method);
+      const response = await call('OPTIONS', `/${version}${path.replace(/\{[^}]+\}/g, 'x')}`);
+      
+      assert.equal(response.status, 204, `${version} ${path}`);
+      assert.deepEqual(methodSet(response.headers['Access-Control-Allow-Methods']), [...expected, 'OPTIONS'].sort(), `${version} ${path}`);
+      assert.equal(response.headers.Allow, response.headers['Access-Control-Allow-Methods']);
+    }
+  }
+});
+
+test('preflights expose PATCH and DELETE to browser admin tools', async () => {
+  const response = await call('OPTIONS', '/sessions/x', { headers: { origin: 'https://admin.example.com' } });
+  
+  assert.deepEqual(methodSet(response.headers['Access-Control-Allow-Methods']), ['DELETE', 'GET', 'OPTIONS', 'PATCH', 'PUT']);
+  const allowHeaders = response.headers['Access-Control-Allow-Headers'].split(',');
+  for (const header of ['authorization', 'content-type', 'if-match', 'idempotency-key', 'x-api-key']) {
+    assert.ok(allowHeaders.includes(header), header);
+  }
+  assert.equal(response.headers['Access-Control-Max-Age'], String(config.cors.maxAgeSeconds));
+  assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+});
+
+test('an origin allowlist echoes listed origins only, with credentials when enabled', async () => {
+  const origins = { allowedOrigins: ['https://admin.example.com', 'http://localhost:3000'], allowCredentials: true };
+  
+  await withCorsConfig(origins, async () => {
+    const allowed = await call('GET', '/health', { headers: { origin: 'http://localhost:3000' } });
+    assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'http://localhost:3000');
+    assert.equal(allowed.headers['Access-Control-Allow-Credentials'], 'true');
+    assert.equal(allowed.headers.Vary, 'Origin');
+    
+    const other = await call('OPTIONS', '/sessions', { headers: { origin: 'https://evil.example.com' } });
+    assert.equal(other.status, 204);
+    assert.equal('Access-Control-Allow-Origin' in other.headers, false);
+    assert.equal('Access-Control-Allow-Credentials' in other.headers, false);
+    assert.equal(other.headers.Vary, 'Origin');
+  });
+  
+  await withCorsConfig({ allowedOrigins: ['https://admin.example.com'], allowCredentials: false }, async () => {
+    const response = await call('GET', '/health', { headers: { origin: 'https://admin.example.com' } });
+    assert.equal(response.headers['Access-Control-Allow-Origin'], 'https://admin.example.com');
+    assert.equal('Access-Control-Allow-Credentials' in response.headers, false);
+  });
+});
+
+test('responses expose the request id, rate limit and ETag headers', async () => {
+  const response = await call('GET', '/sessions/unknown');
+  const exposed = response.headers['Access-Control-Expose-Headers'].split(',');
+  
+  for (const header of ['X-Request-Id', 'ETag', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Next-Token']) {
+    assert.ok(exposed.includes(header), header);
+  }
+  assert.equal('Vary' in response.headers, false);
+});
+
+test('withCors replaces the CORS headers a stored response was saved with', async () => {
+  const stored = {
+    statusCode: 201,
+    headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': 'https://first.example.com', 'Access-Control-Allow-Credentials': 'true' },
+    body: '{}'
+  };
+  
+  await withCorsConfig({ allowedOrigins: ['https://first.example.com', 'https://second.example.com'] }, async () => {
+    const replayed = withCors(stored, { headers: { origin: 'https://second.example.com' } });
+    assert.equal(replayed.headers['Access-Control-Allow-Origin'], 'https://second.example.com');
+    assert.equal('Access-Control-Allow-Credentials' in replayed.headers, false);
+    assert.equal(replayed.headers['Content-Type'], 'application/json');
+  });
+});
@@ -0,0 +1,35 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, uniqueId } from './helpers.js';
+
+test('creating an existing session answers 409 and leaves it untouched', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId, metadata: { campaign: 'spring' } } });
+  await call('POST', '/events', { body: { sessionId, eventType: 'landing' } });
+  
+  const duplicate = await call('POST', '/sessions', { body: { sessionId, metadata: { campaign: 'other' } } });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, 'SESSION_EXISTS');
+  
+  const { session } = (await call('GET', `/sessions/${sessionId}`)).body.data;
+  assert.equal(session.stepsTaken, 1);
+  assert.deepEqual(session.metadata, { campaign: 'spring' });
+});
+
+test('PUT /sessions/{id} creates a missing session and returns an existing one', async () => {
+  const sessionId = uniqueId('sess');
+  
+  const created = await call('PUT', `/sessions/${sessionId}`, { body: { metadata: { campaign: 'spring' } } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.existed, false);
+  assert.equal(created.body.data.session.sessionId, sessionId);
+  
+  const again = await call('PUT', `/sessions/${sessionId}`, { body: { metadata: { campaign: 'other' } } });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.data.existed, true);
+  assert.equal(again.body.data.session.createdAt, created.body.data.session.createdAt);
+  
+  const { session } = (await call('GET', `/sessions/${sessionId}`)).body.data;
+  assert.deepEqual(session.metadata, { campaign: 'spring' });
+});
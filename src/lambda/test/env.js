@@ -0,0 +1,13 @@
+/**
+ * Environment of the unit tests
+ * 
+ * Imported first by every test file, before any module reads shared/config.js:
+ * the in-memory storage backend (shared/memoryStore.js), quiet logs, open
+ * routes (tests of authorization turn config.auth.required back on) and a
+ * retention override to test event type retention with.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'ERROR';
+process.env.AUTH_REQUIRED = 'false';
+process.env.RETENTION_EVENT_TYPE_DAYS = JSON.stringify({ checkout_complete: 730 });
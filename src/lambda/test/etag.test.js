@@ -0,0 +1,64 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIfMatch, toETag } from '../shared/etag.js';
+import { call, uniqueId } from './helpers.js';
+
+test('parseIfMatch reads weak and strong tags and treats * as any version', () => {
+  assert.equal(parseIfMatch({ 'if-match': 'W/"3"' }), 3);
+  assert.equal(parseIfMatch({ 'if-match': '"3"' }), 3);
+  assert.equal(parseIfMatch({ 'if-match': '*' }), null);
+  assert.equal(parseIfMatch({}), null);
+  assert.throws(() => parseIfMatch({ 'if-match': '"abc"' }), { code: 'PRECONDITION_FAILED' });
+  assert.equal(toETag(undefined), 'W/"0"');
+});
+
+test('session updates succeed on the current ETag and fail with 412 on a stale one', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  
+  const read = await call('GET', `/sessions/${sessionId}`);
+  const etag = read.headers.ETag;
+  assert.match(etag, /^W\/"\d+"$/);
+  
+  const updated = await call('PATCH', `/sessions/${sessionId}`, { body: { status: 'completed' }, headers: { 'if-match': etag } });
+  assert.equal(updated.status, 200);
+  assert.notEqual(updated.headers.ETag, etag);
+  
+  const stale = await call('PATCH', `/sessions/${sessionId}`, { body: { status: 'active' }, headers: { 'if-match': etag } });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.code, 'PRECONDITION_FAILED');
+  
+  const unconditional = await call('PATCH', `/sessions/${sessionId}`, { body: { status: 'active' } });
+  assert.equal(unconditional.status, 200);
+});
+
+test('tracking events does not change the session ETag', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  const before = (await call('GET', `/sessions/${sessionId}`)).headers.ETag;
+  
+  await call('POST', '/events', { body: { sessionId, eventType: 'click' } });
+  
+  const after = await call('GET', `/sessions/${sessionId}`);
+  assert.equal(after.headers.ETag, before);
+  assert.equal(after.body.data.session.stepsTaken, 1);
+});
+
+test('event updates and deletes honour If-Match', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  const tracked = await call('POST', '/events', { body: { sessionId, eventType: 'click' } });
+  const { eventId } = tracked.body.data.event;
+  const path = `/sessions/${sessionId}/events/${eventId}`;
+  
+  const etag = (await call('GET', path)).headers.ETag;
+  const updated = await call('PATCH', path, { body: { eventData: { page: '/pricing' } }, headers: { 'if-match': etag } });
+  assert.equal(updated.status, 200);
+  
+  const stale = await call('DELETE', path, { headers: { 'if-match': etag } });
+  assert.equal(stale.status, 412);
+  
+  const deleted = await call('DELETE', path, { headers: { 'if-match': updated.headers.ETag } });
+  assert.equal(deleted.status, 200);
+});
@@ -0,0 +1,57 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findEventTimestamp } from '../repositories/eventRepository.js';
+import { call, uniqueId } from './helpers.js';
+
+/**
+ * Create a session with one event; returns { sessionId, event }
+ */
+async function trackedEvent() {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  const response = await call('POST', '/events', { body: { sessionId, eventType: 'click', eventData: { button: 'buy' } } });
+  return { sessionId, event: response.body.data.event };
+}
+
+test('findEventTimestamp resolves an eventId within its session only', async () => {
+  const { sessionId, event } = await trackedEvent();
+  
+  assert.equal(await findEventTimestamp(sessionId, event.eventId), event.timestamp);
+  assert.equal(await findEventTimestamp(uniqueId('sess'), event.eventId), null);
+  assert.equal(await findEventTimestamp(sessionId, 'evt_missing'), null);
+});
+
+test('events are read and updated by eventId alone', async () => {
+  const { sessionId, event } = await trackedEvent();
+  const url = `/sessions/${sessionId}/events/${event.eventId}`;
+  
+  const read = await call('GET', url);
+  assert.equal(read.status, 200);
+  assert.equal(read.body.data.event.timestamp, event.timestamp);
+  
+  const updated = await call('PATCH', url, { body: { eventData: { button: 'cancel' } } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(updated.body.data.event.eventData, { button: 'cancel' });
+  
+  // The timestamp URLs address the same event
+  const legacy = await call('GET', `/events/${sessionId}/${event.eventId}/${encodeURIComponent(event.timestamp)}`);
+  assert.deepEqual(legacy.body.data.event.eventData, { button: 'cancel' });
+  
+  const elsewhere = await call('GET', `/sessions/${uniqueId('sess')}/events/${event.eventId}`);
+  assert.equal(elsewhere.status, 404);
+});
+
+test('events are deleted and restored by eventId alone', async () => {
+  const { sessionId, event } = await trackedEvent();
+  const url = `/sessions/${sessionId}/events/${event.eventId}`;
+  
+  assert.equal((await call('DELETE', url)).status, 200);
+  assert.equal((await call('GET', url)).status, 404);
+  assert.equal((await call('DELETE', url)).status, 404);
+  
+  // Deleted events stay in GSI2, so they can still be found to restore
+  const restored = await call('POST', `${url}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal((await call('GET', url)).status, 200);
+});
@@ -0,0 +1,49 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+import * as eventRepository from '../repositories/eventRepository.js';
+import { computeExpiresAt } from '../shared/retention.js';
+
+test('updateEvent restamps expiresAt for a new eventType', async () => {
+  await sessionService.createSession({ sessionId: 'sess_retype' });
+  const tracked = await eventService.trackEvent({ sessionId: 'sess_retype', eventType: 'click' });
+  
+  await eventService.updateEvent('sess_retype', tracked.eventId, tracked.timestamp, { eventType: 'checkout_complete' });
+  
+  const event = await eventRepository.getEvent('sess_retype', tracked.eventId, tracked.timestamp);
+  assert.equal(event.eventType, 'checkout_complete');
+  assert.equal(event.expiresAt, computeExpiresAt({ eventType: 'checkout_complete', from: tracked.timestamp }));
+});
+
+test('updateEvent keeps expiresAt when only eventData changes', async () => {
+  await sessionService.createSession({ sessionId: 'sess_redata' });
+  const tracked = await eventService.trackEvent({ sessionId: 'sess_redata', eventType: 'checkout_complete' });
+  const before = await eventRepository.getEvent('sess_redata', tracked.eventId, tracked.timestamp);
+  
+  await eventService.updateEvent('sess_redata', tracked.eventId, tracked.timestamp, { eventData: { orderId: 'o1' } });
+  
+  const after = await eventRepository.getEvent('sess_redata', tracked.eventId, tracked.timestamp);
+  assert.equal(after.expiresAt, before.expiresAt);
+});
+
+test('events never expire before a session whose retention was extended', async () => {
+  await sessionService.createSession({ sessionId: 'sess_extended' });
+  const { expiresAt } = await sessionService.extendSessionRetention('sess_extended', 365);
+  const sessionExpiresAt = new Date(expiresAt).getTime() / 1000;
+  
+  const tracked = await eventService.trackEvent({ sessionId: 'sess_extended', eventType: 'click' });
+  const event = await eventRepository.getEvent('sess_extended', tracked.eventId, tracked.timestamp);
+  assert.equal(event.expiresAt, sessionExpiresAt);
+  assert.ok(event.expiresAt > computeExpiresAt({ eventType: 'click' }));
+  
+  await eventService.updateEvent('sess_extended', tracked.eventId, tracked.timestamp, { eventType: 'page_view' });
+  const retyped = await eventRepository.getEvent('sess_extended', tracked.eventId, tracked.timestamp);
+  assert.equal(retyped.expiresAt, sessionExpiresAt);
+  
+  // A policy longer than the extension still wins
+  await eventService.updateEvent('sess_extended', tracked.eventId, tracked.timestamp, { eventType: 'checkout_complete' });
+  const kept = await eventRepository.getEvent('sess_extended', tracked.eventId, tracked.timestamp);
+  assert.equal(kept.expiresAt, computeExpiresAt({ eventType: 'checkout_complete', from: tracked.timestamp }));
+});
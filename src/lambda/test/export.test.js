@@ -0,0 +1,89 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportResponse, negotiateFormat } from '../shared/response.js';
+import { call, uniqueId } from './helpers.js';
+
+const csvLines = response => response.body.split('\r\n').slice(0, -1);
+
+test('negotiateFormat prefers ?format, then the Accept type with the highest q', () => {
+  assert.equal(negotiateFormat({ queryStringParameters: { format: 'ndjson' }, headers: { accept: 'text/csv' } }), 'ndjson');
+  assert.equal(negotiateFormat({ headers: { accept: 'application/json;q=0.5, text/csv' } }), 'csv');
+  assert.equal(negotiateFormat({ headers: { accept: 'application/ndjson' } }), 'ndjson');
+  assert.equal(negotiateFormat({ headers: { accept: 'text/csv;q=0, */*' } }), 'json');
+  assert.equal(negotiateFormat({}), 'json');
+});
+
+test('CSV quotes fields per RFC 4180 and flattens nested fields into sorted columns', () => {
+  const response = exportResponse([
+    { id: 'a', note: 'say "hi", twice', eventData: { page: '/home', button: 'buy' }, tags: ['x', 'y'] },
+    { id: 'b', note: 'line\nbreak', eventData: { referrer: null } }
+  ], 'csv', { columns: ['id', 'eventData', 'note'], filename: 'sess/1' });
+  
+  assert.equal(response.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(response.headers['Content-Disposition'], 'attachment; filename="sess_1.csv"');
+  assert.deepEqual(csvLines(response).slice(0, 2), [
+    'id,eventData.button,eventData.page,eventData.referrer,note,tags',
+    'a,buy,/home,,"say ""hi"", twice","[""x"",""y""]"'
+  ]);
+  assert.match(response.body, /\r\nb,,,,"line\nbreak",\r\n$/);
+});
+
+test('CSV prefixes text a spreadsheet would run as a formula', () => {
+  const response = exportResponse([
+    { value: '=HYPERLINK("https://evil.example.com")' },
+    { value: '+1' },
+    { value: '-1+2' },
+    { value: '@SUM(A1)' },
+    { value: '\tcmd' },
+    { value: -5 },
+    { value: 'a=b' }
+  ], 'csv', { columns: ['value'] });
+  
+  assert.deepEqual(csvLines(response), [
+    'value',
+    '"\'=HYPERLINK(""https://evil.example.com"")"',
+    "'+1",
+    "'-1+2",
+    "'@SUM(A1)",
+    "'\tcmd",
+    '-5',
+    'a=b'
+  ]);
+});
+
+test('CSV without rows has the given columns as header; NDJSON has one object per line', () => {
+  assert.equal(exportResponse([], 'csv', { columns: ['id', 'status'] }).body, 'id,status\r\n');
+  
+  const ndjson = exportResponse([{ id: 'a', eventData: { page: '=1' } }, { id: 'b' }], 'ndjson', { nextToken: 'next' });
+  assert.equal(ndjson.headers['Content-Type'], 'application/x-ndjson');
+  assert.equal(ndjson.headers['X-Next-Token'], 'next');
+  assert.equal(ndjson.body, '{"id":"a","eventData":{"page":"=1"}}\n{"id":"b"}\n');
+  assert.equal(exportResponse([], 'ndjson').body, '');
+});
+
+test('the timeline exports its events as CSV and NDJSON pages', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  for (const page of ['/home', '=cmd|calc']) {
+    await call('POST', '/events', { body: { sessionId, eventType: 'page_view', eventData: { page } } });
+  }
+  
+  const csv = await call('GET', `/sessions/${sessionId}`, { headers: { accept: 'text/csv' } });
+  assert.equal(csv.status, 200);
+  assert.ok(csv.headers.ETag);
+  const [header, ...rows] = csvLines(csv);
+  assert.ok(header.startsWith('sessionId,eventId,eventType,eventData.page,timestamp'));
+  assert.equal(rows.length, 2);
+  assert.ok(rows.some(row => row.includes(",'=cmd|calc,")));
+  
+  const ndjson = await call('GET', `/sessions/${sessionId}`, { query: { format: 'ndjson' } });
+  assert.equal(ndjson.headers['Content-Type'], 'application/x-ndjson');
+  const lines = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  assert.ok(lines.every(line => line.sessionId === sessionId));
+  
+  const firstPage = await call('GET', `/sessions/${sessionId}`, { query: { format: 'csv', limit: '1' } });
+  assert.equal(csvLines(firstPage).length, 2);
+  assert.ok(firstPage.headers['X-Next-Token']);
+});
@@ -0,0 +1,52 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../shared/config.js';
+import { call } from './helpers.js';
+
+/**
+ * Run `fn` with a configuration validateConfig rejects
+ */
+async function withBrokenConfig(fn) {
+  const { tableName } = config;
+  config.tableName = '';
+  try {
+    return await fn();
+  } finally {
+    config.tableName = tableName;
+  }
+}
+
+test('the liveness and readiness probes answer', async () => {
+  const live = await call('GET', '/health');
+  assert.equal(live.status, 200);
+  assert.equal(live.body.data.status, 'ok');
+  
+  assert.equal((await call('GET', '/health/')).status, 200);
+  
+  const ready = await call('GET', '/health/ready');
+  assert.equal(ready.status, 200);
+  assert.ok(ready.body.data.checks.every(check => check.status === 'pass'));
+});
+
+test('a broken configuration fails readiness but not liveness', async () => {
+  await withBrokenConfig(async () => {
+    assert.equal((await call('GET', '/health')).status, 200);
+    
+    const ready = await call('GET', '/health/ready');
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.data.checks.find(check => check.name === 'config').status, 'fail');
+  });
+});
+
+test('only the probe paths skip configuration validation', async () => {
+  await withBrokenConfig(async () => {
+    // Paths merely ending in /health are validated like any other request
+    assert.equal((await call('GET', '/sessions/health')).status, 500);
+    assert.equal((await call('GET', '/users/health/sessions')).status, 500);
+    assert.equal((await call('GET', '/v1/health')).status, 500);
+  });
+  
+  // Probes are unversioned
+  assert.equal((await call('GET', '/v1/health')).status, 404);
+});
@@ -0,0 +1,46 @@
+/**
+ * Helpers shared by the unit tests
+ */
+
+import { handler } from '../handler.js';
+
+let requests = 0;
+
+/**
+ * Send a request through the Lambda handler, as API Gateway HTTP API would
+ * 
+ * Options: { body } (objects are sent as JSON), { headers } (lower-case
+ * names), { query } the query string parameters. Returns
+ * { status, headers, body } with JSON bodies parsed.
+ */
+export async function call(method, path, { body, headers = {}, query } = {}) {
+  const requestId = `test-${++requests}`;
+  
+  const response = await handler({
+    rawPath: path,
+    headers: { 'user-agent': 'node-test', ...headers },
+    queryStringParameters: query,
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    requestContext: {
+      requestId,
+      stage: '$default',
+      http: { method, path, sourceIp: '198.51.100.1' }
+    }
+  }, { requestId });
+  
+  let parsed = response.body;
+  try {
+    parsed = JSON.parse(response.body);
+  } catch (error) {
+    // Exports and empty bodies stay text
+  }
+  
+  return { status: response.statusCode, headers: response.headers, body: parsed };
+}
+
+/**
+ * Unique id for test data, so tests sharing the in-memory store do not clash
+ */
+export function uniqueId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,55 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+import * as historyService from '../service/historyService.js';
+import * as historyRepository from '../repositories/historyRepository.js';
+
+test('change records leave out the index keys of events', async () => {
+  await sessionService.createSession({ sessionId: 'sess_history' });
+  const tracked = await eventService.trackEvent({ sessionId: 'sess_history', eventType: 'click' });
+  await eventService.updateEvent('sess_history', tracked.eventId, null, { eventData: { page: '/pricing' } });
+  
+  const { changes } = await historyService.getSessionHistory('sess_history');
+  const eventChanges = changes.filter(change => change.entityType === 'event');
+  
+  assert.deepEqual(eventChanges.map(change => change.action), ['update', 'create']);
+  for (const change of eventChanges) {
+    assert.equal('GSI2PK' in change.changes, false);
+    assert.equal('GSI2SK' in change.changes, false);
+  }
+  assert.deepEqual(Object.keys(eventChanges[0].changes), ['eventData']);
+});
+
+test('purging an event redacts its change records only', async () => {
+  await sessionService.createSession({ sessionId: 'sess_event_purge' });
+  const purged = await eventService.trackEvent({ sessionId: 'sess_event_purge', eventType: 'click', eventData: { email: 'a@example.com' } });
+  const kept = await eventService.trackEvent({ sessionId: 'sess_event_purge', eventType: 'click', eventData: { page: '/kept' } });
+  await eventService.deleteEvent('sess_event_purge', purged.eventId, null);
+  
+  await eventService.purgeDeletedEvents(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000));
+  
+  const { changes } = await historyService.getSessionHistory('sess_event_purge');
+  // Changes recorded within the same millisecond have no defined order
+  const ofPurged = Object.fromEntries(changes
+    .filter(change => change.entityId === purged.eventId)
+    .map(change => [change.action, change]));
+  assert.deepEqual(Object.keys(ofPurged).sort(), ['create', 'delete', 'purge']);
+  assert.equal(ofPurged.purge.redactedAt, null);
+  assert.ok(ofPurged.create.redactedAt && ofPurged.delete.redactedAt);
+  assert.deepEqual(ofPurged.create.changes.eventData, {});
+  
+  const ofKept = changes.find(change => change.entityId === kept.eventId);
+  assert.equal(ofKept.redactedAt, null);
+  assert.deepEqual(ofKept.changes.eventData.after, { page: '/kept' });
+});
+
+test('a retention extension moves the expiry of the change records too', async () => {
+  await sessionService.createSession({ sessionId: 'sess_history_ttl' });
+  const { expiresAt } = await sessionService.extendSessionRetention('sess_history_ttl', 365);
+  
+  const records = await historyRepository.getAllSessionChanges('sess_history_ttl');
+  const create = records.find(record => record.action === 'create');
+  assert.equal(create.expiresAt, new Date(expiresAt).getTime() / 1000);
+});
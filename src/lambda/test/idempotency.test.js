@@ -0,0 +1,73 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as idempotencyService from '../service/idempotencyService.js';
+import { getKey } from '../repositories/idempotencyRepository.js';
+import { updateItem } from '../shared/storage.js';
+import { call, uniqueId } from './helpers.js';
+
+const createSession = (key, body) => call('POST', '/sessions', { body, headers: { 'idempotency-key': key } });
+
+test('a retry with the same key and body gets the first response back', async () => {
+  const key = uniqueId('key');
+  const body = { sessionId: uniqueId('sess') };
+  
+  const first = await createSession(key, body);
+  const retry = await createSession(key, body);
+  
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+  assert.equal('Idempotent-Replayed' in first.headers, false);
+  assert.deepEqual(retry.body, first.body);
+  
+  const record = await getKey('anonymous', key);
+  assert.equal(record.status, 'COMPLETED');
+  assert.equal('lockedUntil' in record, false);
+});
+
+test('reusing a key for a different request is a conflict', async () => {
+  const key = uniqueId('key');
+  
+  assert.equal((await createSession(key, { sessionId: uniqueId('sess') })).status, 201);
+  
+  const reused = await createSession(key, { sessionId: uniqueId('sess') });
+  assert.equal(reused.status, 409);
+  assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a key held by a running request is a conflict until its lease passes', async () => {
+  const key = uniqueId('key');
+  const body = { sessionId: uniqueId('sess') };
+  const requestHash = idempotencyService.requestHash('POST', '/sessions', JSON.stringify(body));
+  
+  // A request that claimed the key and never finished
+  assert.equal(await idempotencyService.begin({ caller: 'anonymous', key, requestHash }), null);
+  
+  const running = await createSession(key, body);
+  assert.equal(running.status, 409);
+  assert.equal(running.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+  
+  await updateItem(`IDEMPOTENCY#anonymous#${key}`, '#RESPONSE', { lockedUntil: Math.floor(Date.now() / 1000) - 1 });
+  
+  const reclaimed = await createSession(key, body);
+  assert.equal(reclaimed.status, 201);
+  assert.equal('Idempotent-Replayed' in reclaimed.headers, false);
+  assert.equal((await createSession(key, body)).headers['Idempotent-Replayed'], 'true');
+});
+
+test('keys are namespaced by caller', async () => {
+  const key = uniqueId('key');
+  const requestHash = idempotencyService.requestHash('POST', '/sessions', '{}');
+  
+  assert.equal(await idempotencyService.begin({ caller: 'jwt:u1', key, requestHash }), null);
+  assert.equal(await idempotencyService.begin({ caller: 'jwt:u2', key, requestHash }), null);
+  await assert.rejects(idempotencyService.begin({ caller: 'jwt:u1', key, requestHash }), { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+});
+
+test('malformed keys are rejected', async () => {
+  const response = await createSession('has spaces', {});
+  
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'IDEMPOTENCY_KEY_INVALID');
+});
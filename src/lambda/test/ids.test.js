@@ -0,0 +1,45 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSessionId, generateSortableId } from '../shared/ids.js';
+import { validateSessionId } from '../shared/validator.js';
+import { config } from '../shared/config.js';
+import { call } from './helpers.js';
+
+test('generated ids sort by creation time and pass the id policy', () => {
+  const earlier = generateSortableId(Date.UTC(2026, 0, 1));
+  const later = generateSortableId(Date.UTC(2026, 0, 2));
+  assert.equal(earlier.length, 26);
+  assert.ok(earlier < later);
+  
+  const sessionId = generateSessionId();
+  assert.match(sessionId, /^sess_[0-9A-HJKMNP-TV-Z]{26}$/);
+  assert.doesNotThrow(() => validateSessionId(sessionId));
+});
+
+test('validateSessionId enforces the length, charset and prefix of the policy', () => {
+  const policy = { ...config.sessionIdPolicy };
+  try {
+    assert.throws(() => validateSessionId('sess bad'), { code: 'SESSION_ID_INVALID' });
+    assert.throws(() => validateSessionId('x'.repeat(129)), { code: 'SESSION_ID_INVALID' });
+    
+    config.sessionIdPolicy.requirePrefix = true;
+    assert.throws(() => validateSessionId('abc123'), { code: 'SESSION_ID_INVALID' });
+    assert.doesNotThrow(() => validateSessionId('sess_abc123'));
+  } finally {
+    config.sessionIdPolicy = policy;
+  }
+});
+
+test('POST /sessions without a sessionId returns the generated one', async () => {
+  const created = await call('POST', '/sessions', { body: {} });
+  assert.equal(created.status, 201);
+  
+  const { sessionId } = created.body.data.session;
+  assert.match(sessionId, /^sess_/);
+  assert.equal((await call('GET', `/sessions/${sessionId}`)).status, 200);
+  
+  const invalid = await call('POST', '/sessions', { body: { sessionId: 'not valid!' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'SESSION_ID_INVALID');
+});
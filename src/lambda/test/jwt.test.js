@@ -0,0 +1,113 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, createSign, generateKeyPairSync } from 'node:crypto';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { verifyJwt, tokenScopes } from '../shared/jwt.js';
+import { config } from '../shared/config.js';
+import { call, uniqueId } from './helpers.js';
+
+const SECRET = 'test-hs256-secret-of-at-least-32-characters';
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksFile = join(mkdtempSync(join(tmpdir(), 'jwks-')), 'jwks.json');
+writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] }));
+
+config.auth.jwt.hs256Secret = SECRET;
+config.auth.jwt.jwksFile = jwksFile;
+
+const encode = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+/**
+ * Sign a token with the HS256 secret (or `secret`), or with the RSA key for RS256
+ */
+function sign(claims, header = { alg: 'HS256' }, secret = SECRET) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  const signature = header.alg === 'RS256'
+    ? createSign('RSA-SHA256').update(input).sign(privateKey)
+    : createHmac('sha256', secret).update(input).digest();
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+const bearer = scope => ({ authorization: `Bearer ${sign({ sub: 'u1', scope, exp: inOneHour() })}` });
+
+test('verifyJwt accepts HS256 and RS256 tokens signed by their keys', () => {
+  const claims = { sub: 'u1', scope: 'sessions:read sessions:admin', exp: inOneHour() };
+  
+  assert.equal(verifyJwt(sign(claims)).sub, 'u1');
+  assert.equal(verifyJwt(sign(claims, { alg: 'RS256', kid: 'k1' })).sub, 'u1');
+  assert.deepEqual(tokenScopes(claims), ['sessions:read', 'sessions:admin']);
+  assert.deepEqual(tokenScopes({ scopes: ['admin'] }), ['admin']);
+});
+
+test('verifyJwt rejects header and payload segments that are not JSON objects', () => {
+  const signature = 'x';
+  for (const [header, payload] of [['null', { exp: inOneHour() }], ['[]', { exp: inOneHour() }], [{ alg: 'HS256' }, '42'], [{ alg: 'HS256' }, '"claims"']]) {
+    assert.throws(
+      () => verifyJwt(`${encode(header)}.${encode(payload)}.${signature}`),
+      error => error.code === 'TOKEN_INVALID' && /^Malformed token/.test(error.message)
+    );
+  }
+});
+
+test('verifyJwt only checks a token against keys pinned to its algorithm', () => {
+  const claims = { sub: 'u1', exp: inOneHour() };
+  const publicPem = publicKey.export({ format: 'pem', type: 'spki' });
+  
+  // The RSA public key is no HS256 secret
+  assert.throws(() => verifyJwt(sign(claims, { alg: 'HS256', kid: 'k1' }, publicPem)), { message: 'Invalid token signature' });
+  // An HS256 signature does not pass as RS256, nor does an unsigned token
+  const hs = sign(claims).split('.');
+  assert.throws(() => verifyJwt(`${encode({ alg: 'RS256', kid: 'k1' })}.${hs[1]}.${hs[2]}`), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyJwt(`${encode({ alg: 'none' })}.${hs[1]}.`), { message: 'No key accepts token algorithm none' });
+  assert.throws(() => verifyJwt(sign(claims, { alg: 'RS256', kid: 'unknown' })), { code: 'TOKEN_INVALID' });
+});
+
+test('verifyJwt checks expiry, not-before, issuer and audience', () => {
+  const { issuer, audience } = config.auth.jwt;
+  try {
+    assert.throws(() => verifyJwt(sign({ exp: 1000 })), { code: 'TOKEN_EXPIRED' });
+    assert.throws(() => verifyJwt(sign({})), { code: 'TOKEN_EXPIRED' });
+    assert.throws(() => verifyJwt(sign({ exp: inOneHour(), nbf: inOneHour() })), { code: 'TOKEN_INVALID' });
+    
+    Object.assign(config.auth.jwt, { issuer: 'https://issuer.example.com', audience: 'session-tracking' });
+    assert.throws(() => verifyJwt(sign({ exp: inOneHour(), iss: 'https://other.example.com', aud: 'session-tracking' })), { code: 'TOKEN_INVALID' });
+    assert.throws(() => verifyJwt(sign({ exp: inOneHour(), iss: 'https://issuer.example.com', aud: 'other' })), { code: 'TOKEN_INVALID' });
+    assert.ok(verifyJwt(sign({ exp: inOneHour(), iss: 'https://issuer.example.com', aud: ['session-tracking'] })));
+  } finally {
+    Object.assign(config.auth.jwt, { issuer, audience });
+  }
+});
+
+test('routes require their scope and only sessions:admin sees PII', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  
+  config.auth.required = true;
+  try {
+    const anonymous = await call('GET', `/sessions/${sessionId}`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers['WWW-Authenticate'], 'Bearer');
+    
+    const malformed = await call('GET', `/sessions/${sessionId}`, { headers: { authorization: `Bearer ${encode('null')}.${encode({})}.x` } });
+    assert.equal(malformed.status, 401);
+    assert.equal(malformed.body.code, 'TOKEN_INVALID');
+    
+    const reader = await call('GET', `/sessions/${sessionId}`, { headers: bearer('sessions:read') });
+    assert.equal(reader.status, 200);
+    assert.equal('ipAddress' in reader.body.data.session, false);
+    assert.equal('userAgent' in reader.body.data.session, false);
+    
+    const forbidden = await call('PATCH', `/sessions/${sessionId}`, { body: { status: 'completed' }, headers: bearer('sessions:read') });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'SCOPE_MISSING');
+    
+    const admin = await call('GET', `/sessions/${sessionId}`, { headers: bearer('sessions:read sessions:admin') });
+    assert.equal(admin.body.data.session.ipAddress, '198.51.100.1');
+    assert.equal(admin.body.data.session.userAgent, 'node-test');
+  } finally {
+    config.auth.required = false;
+  }
+});
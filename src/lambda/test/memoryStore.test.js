@@ -0,0 +1,83 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as store from '../shared/memoryStore.js';
+import { config } from '../shared/config.js';
+import { uniqueId } from './helpers.js';
+
+test('conditional puts and updates fail with ConditionalCheckFailedError', async () => {
+  const pk = `SESSION#${uniqueId('sess')}`;
+  const notExists = { conditionExpression: 'attribute_not_exists(PK)' };
+  await store.putItem({ PK: pk, SK: 'METADATA', count: 1 }, notExists);
+  
+  await assert.rejects(store.putItem({ PK: pk, SK: 'METADATA', count: 9 }, notExists), { name: 'ConditionalCheckFailedError' });
+  await assert.rejects(store.updateItem(pk, 'METADATA', { note: 'x' }, { expectedVersion: 3 }), { name: 'ConditionalCheckFailedError' });
+  
+  const updated = await store.updateItem(pk, 'METADATA', { note: 'x' }, { increments: { count: 2 } });
+  assert.equal(updated.count, 3);
+  assert.equal(updated.note, 'x');
+});
+
+test('items are copied in and out of the store', async () => {
+  const pk = `SESSION#${uniqueId('sess')}`;
+  const item = { PK: pk, SK: 'METADATA', metadata: { tags: ['a'] } };
+  await store.putItem(item);
+  item.metadata.tags.push('b');
+  
+  const read = await store.getItem(pk, 'METADATA');
+  read.metadata.tags.push('c');
+  assert.deepEqual((await store.getItem(pk, 'METADATA')).metadata.tags, ['a']);
+});
+
+test('queryPage keeps the sort order and applies Limit before the filter', async () => {
+  const pk = `SESSION#${uniqueId('sess')}`;
+  for (const sk of ['EVENT#3', 'EVENT#1', 'EVENT#2', 'EVENT#4']) {
+    await store.putItem({ PK: pk, SK: sk, kind: sk === 'EVENT#2' ? 'skip' : 'keep' });
+  }
+  const options = {
+    limit: 2,
+    filterExpression: '#kind = :kind',
+    expressionAttributeNames: { '#kind': 'kind' }
+  };
+  const values = { ':pk': pk, ':kind': 'keep' };
+  
+  const first = await store.queryPage('PK = :pk', values, options);
+  assert.deepEqual(first.items.map(item => item.SK), ['EVENT#1']);
+  assert.ok(first.lastEvaluatedKey);
+  
+  const second = await store.queryPage('PK = :pk', values, { ...options, exclusiveStartKey: first.lastEvaluatedKey });
+  assert.deepEqual(second.items.map(item => item.SK), ['EVENT#3', 'EVENT#4']);
+  
+  const backwards = await store.queryPage('PK = :pk', { ':pk': pk }, { scanIndexForward: false });
+  assert.deepEqual(backwards.items.map(item => item.SK), ['EVENT#4', 'EVENT#3', 'EVENT#2', 'EVENT#1']);
+});
+
+test('secondary indexes only hold items with their key attributes', async () => {
+  const user = `USER#${uniqueId('user')}`;
+  await store.putItem({ PK: `SESSION#${uniqueId('sess')}`, SK: 'METADATA', GSI1PK: user, GSI1SK: '2026-01-02' });
+  await store.putItem({ PK: `SESSION#${uniqueId('sess')}`, SK: 'METADATA', GSI1PK: user, GSI1SK: '2026-01-01' });
+  await store.putItem({ PK: `SESSION#${uniqueId('sess')}`, SK: 'METADATA', GSI1PK: user });
+  
+  const { items } = await store.queryPage('GSI1PK = :user', { ':user': user }, { indexName: config.gsi1Name });
+  assert.deepEqual(items.map(item => item.GSI1SK), ['2026-01-01', '2026-01-02']);
+});
+
+test('transactions write all of their items or none', async () => {
+  const pk = `SESSION#${uniqueId('sess')}`;
+  await store.putItem({ PK: pk, SK: 'METADATA', stepsTaken: 0 });
+  
+  const put = sk => ({ Put: { TableName: config.tableName, Item: { PK: pk, SK: sk } } });
+  const check = expression => ({
+    ConditionCheck: { TableName: config.tableName, Key: { PK: pk, SK: 'METADATA' }, ConditionExpression: expression }
+  });
+  
+  await assert.rejects(store.transactWriteItems([put('EVENT#1'), check('attribute_not_exists(PK)')]), error => {
+    assert.equal(error.name, 'ConditionalCheckFailedError');
+    assert.deepEqual(error.reasons, ['None', 'ConditionalCheckFailed']);
+    return true;
+  });
+  assert.equal(await store.getItem(pk, 'EVENT#1'), null);
+  
+  await store.transactWriteItems([put('EVENT#1'), check('attribute_exists(PK)')]);
+  assert.ok(await store.getItem(pk, 'EVENT#1'));
+});
@@ -0,0 +1,50 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { routes } from '../routes.js';
+import { buildOpenApiSpec, findUndocumentedRoutes } from '../shared/openapi.js';
+import { config } from '../shared/config.js';
+import { call } from './helpers.js';
+
+test('every route carries the metadata the spec is built from', () => {
+  assert.deepEqual(findUndocumentedRoutes(routes), []);
+  assert.deepEqual(findUndocumentedRoutes([{ method: 'GET', path: '/things/{thingId}', errors: [418] }]), [
+    'GET /things/{thingId}: missing summary',
+    'GET /things/{thingId}: missing responses',
+    'GET /things/{thingId}: no schema for path parameter {thingId} in shared/schemas.js',
+    'GET /things/{thingId}: unknown error status 418'
+  ]);
+});
+
+test('the spec documents each route with its scope, parameters and errors', () => {
+  const spec = buildOpenApiSpec(routes);
+  const update = spec.paths['/v1/sessions/{sessionId}'].patch;
+  
+  assert.equal(spec.openapi, '3.1.0');
+  assert.deepEqual(update.security, [{ BearerAuth: ['sessions:admin'] }]);
+  assert.ok(update.parameters.some(param => param.in === 'path' && param.name === 'sessionId'));
+  assert.ok(update.parameters.some(param => param.in === 'header' && param.name === 'If-Match'));
+  assert.ok(update.responses['412']);
+  assert.ok(spec.paths['/v2/sessions/{sessionId}'].patch);
+});
+
+test('the committed docs/openapi.json matches the route table', () => {
+  const committed = JSON.parse(readFileSync(new URL('../../../docs/openapi.json', import.meta.url), 'utf8'));
+  assert.deepEqual(committed, JSON.parse(JSON.stringify(buildOpenApiSpec(routes))));
+});
+
+test('GET /openapi.json serves the spec without authentication', async () => {
+  config.auth.required = true;
+  let response;
+  try {
+    response = await call('GET', '/openapi.json');
+  } finally {
+    config.auth.required = false;
+  }
+  
+  assert.equal(response.status, 200);
+  assert.equal(response.body.openapi, '3.1.0');
+  assert.ok(response.body.paths['/v1/sessions']);
+  assert.ok(response.body.paths['/health'], 'unversioned routes keep their path');
+});
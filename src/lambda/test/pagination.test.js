@@ -0,0 +1,65 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../shared/pagination.js';
+import { config, validateConfig } from '../shared/config.js';
+import { call, uniqueId } from './helpers.js';
+
+const KEY = { PK: 'SESSION#sess_a', SK: 'EVENT#2026-01-01T00:00:00.000Z#e1' };
+
+test('decodeCursor returns the key of a cursor issued for the same scope', () => {
+  assert.deepEqual(decodeCursor(encodeCursor(KEY, 'SESSION#sess_a'), 'SESSION#sess_a'), KEY);
+  assert.equal(encodeCursor(null, 'SESSION#sess_a'), null);
+  assert.equal(decodeCursor(undefined, 'SESSION#sess_a'), null);
+});
+
+test('decodeCursor rejects cursors of another scope, tampered payloads and signatures', () => {
+  const token = encodeCursor(KEY, 'SESSION#sess_a');
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ s: 'SESSION#sess_a', k: { ...KEY, SK: 'EVENT#9' } })).toString('base64url');
+  
+  for (const bad of [`${forged}.${signature}`, `${payload}.${signature.slice(1)}x`, payload, 'not-a-cursor']) {
+    assert.throws(() => decodeCursor(bad, 'SESSION#sess_a'), { code: 'NEXT_TOKEN_INVALID' });
+  }
+  assert.throws(() => decodeCursor(token, 'SESSION#sess_b'), { code: 'NEXT_TOKEN_INVALID' });
+});
+
+test('validateConfig requires a cursor secret of its own outside the memory backend', () => {
+  const { storageBackend, cursorSecret } = config;
+  try {
+    config.storageBackend = 'dynamodb';
+    assert.throws(() => validateConfig(), /CURSOR_SECRET/);
+    
+    config.cursorSecret = 'too-short';
+    assert.throws(() => validateConfig(), /CURSOR_SECRET/);
+    
+    config.cursorSecret = 'x'.repeat(64);
+    assert.doesNotThrow(() => validateConfig());
+  } finally {
+    Object.assign(config, { storageBackend, cursorSecret });
+  }
+});
+
+test('session timelines page through their events with nextToken', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  for (const page of ['/a', '/b', '/c']) {
+    await call('POST', '/events', { body: { sessionId, eventType: 'page_view', eventData: { page } } });
+  }
+  
+  const first = await call('GET', `/sessions/${sessionId}`, { query: { limit: '2' } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.events.length, 2);
+  assert.ok(first.body.nextToken);
+  
+  const second = await call('GET', `/sessions/${sessionId}`, { query: { limit: '2', nextToken: first.body.nextToken } });
+  assert.equal(second.body.nextToken, null);
+  
+  // Events tracked within the same millisecond have no defined order
+  const pages = [...first.body.data.events, ...second.body.data.events].map(event => event.eventData.page);
+  assert.deepEqual(pages.sort(), ['/a', '/b', '/c']);
+  
+  const elsewhere = await call('GET', `/sessions/${uniqueId('sess')}`, { query: { nextToken: first.body.nextToken } });
+  assert.equal(elsewhere.status, 400);
+  assert.equal(elsewhere.body.code, 'NEXT_TOKEN_INVALID');
+});
@@ -0,0 +1,100 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as errors from '../shared/errors.js';
+import { errorResponse, errorResponseFromException, withProblemInstance } from '../shared/response.js';
+import { config } from '../shared/config.js';
+import { call, uniqueId } from './helpers.js';
+
+const { ERROR_CODES } = errors;
+
+const problemOf = response => JSON.parse(response.body);
+
+test('every error class defaults to a catalog code of its own status', () => {
+  const instances = [
+    new errors.ValidationError('x'),
+    new errors.UnauthorizedError('x'),
+    new errors.ForbiddenError('x'),
+    new errors.NotFoundError('x'),
+    new errors.NotFoundError('x', 'session'),
+    new errors.ConflictError('x'),
+    new errors.MethodNotAllowedError('x', ['GET']),
+    new errors.PreconditionFailedError('x'),
+    new errors.TooManyRequestsError('x'),
+    new errors.ConditionalCheckFailedError('x'),
+    new errors.InternalError('x')
+  ];
+  
+  for (const error of instances) {
+    assert.ok(ERROR_CODES[error.code], `${error.name} has an unknown code ${error.code}`);
+    assert.equal(ERROR_CODES[error.code].status, error.statusCode, error.name);
+  }
+  assert.equal(new errors.NotFoundError('x', 'event').code, 'EVENT_NOT_FOUND');
+});
+
+test('errors render as problem+json with type, title, status, detail and code', () => {
+  const response = errorResponseFromException(new errors.ValidationError('eventType is required', 'eventType', null, 'FIELD_REQUIRED'));
+  
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.headers['Content-Type'], 'application/problem+json');
+  assert.deepEqual(problemOf(response), {
+    type: 'urn:session-tracking:error:FIELD_REQUIRED',
+    title: ERROR_CODES.FIELD_REQUIRED.title,
+    status: 400,
+    detail: 'eventType is required',
+    code: 'FIELD_REQUIRED',
+    field: 'eventType'
+  });
+  
+  const named = withProblemInstance(response, 'req-1');
+  assert.equal(problemOf(named).instance, 'req-1');
+  // Other responses are left alone
+  const success = { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: '{}' };
+  assert.equal(withProblemInstance(success, 'req-1'), success);
+});
+
+test('errors without a catalog code get the generic code of their status', () => {
+  const notFound = Object.assign(new Error('gone'), { statusCode: 404 });
+  assert.equal(problemOf(errorResponseFromException(notFound)).code, 'NOT_FOUND');
+  
+  const unknown = Object.assign(new errors.ConflictError('x'), { code: 'NOT_IN_CATALOG' });
+  assert.equal(problemOf(errorResponseFromException(unknown)).code, 'CONFLICT');
+  
+  assert.equal(problemOf(errorResponse(new Error('odd status'), 418)).code, 'INTERNAL_ERROR');
+});
+
+test('internal errors never leak their message or cause', () => {
+  const cause = new Error('ProvisionedThroughputExceeded on table secret-table');
+  
+  for (const error of [new errors.InternalError('Failed to query items', cause), new TypeError('x.y is undefined')]) {
+    const response = errorResponseFromException(error);
+    const problem = problemOf(response);
+    
+    assert.equal(response.statusCode, 500);
+    assert.equal(problem.code, 'INTERNAL_ERROR');
+    assert.equal(problem.detail, ERROR_CODES.INTERNAL_ERROR.title);
+    assert.doesNotMatch(response.body, /secret-table|Failed to query|undefined|originalError/);
+  }
+});
+
+test('API errors are problems named after their request', async () => {
+  const response = await call('GET', `/sessions/${uniqueId('sess')}`);
+  const problem = response.body;
+  
+  assert.equal(response.status, 404);
+  assert.equal(response.headers['Content-Type'], 'application/problem+json');
+  assert.equal(problem.code, 'SESSION_NOT_FOUND');
+  assert.equal(problem.type, 'urn:session-tracking:error:SESSION_NOT_FOUND');
+  assert.equal(problem.instance, response.headers['X-Request-Id']);
+  
+  const { tableName } = config;
+  config.tableName = '';
+  try {
+    const broken = await call('GET', `/sessions/${uniqueId('sess')}`);
+    assert.equal(broken.status, 500);
+    assert.equal(broken.body.code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(broken.body.detail, /configuration|tableName/);
+  } finally {
+    config.tableName = tableName;
+  }
+});
@@ -0,0 +1,61 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeTokens } from '../repositories/rateLimitRepository.js';
+import { consume } from '../service/rateLimitService.js';
+import { getItem, updateItem } from '../shared/storage.js';
+import { config } from '../shared/config.js';
+
+const LIMIT = { burst: 2, perSecond: 0.001 };
+
+test('takeTokens spends the last token once when two takes interleave at the same time', async () => {
+  const now = Date.now();
+  const clock = () => now;
+  
+  const first = await takeTokens('ip', '203.0.113.7', LIMIT, 1, clock);
+  assert.equal(first.remaining, 1);
+  
+  const results = await Promise.all([
+    takeTokens('ip', '203.0.113.7', LIMIT, 1, clock),
+    takeTokens('ip', '203.0.113.7', LIMIT, 1, clock)
+  ]);
+  
+  assert.deepEqual(results.map(result => result.allowed).sort(), [false, true]);
+});
+
+/**
+ * A clock that lets another writer bump the bucket between every read and write
+ */
+function contendedClock(dimension, key) {
+  const now = Date.now();
+  return () => {
+    updateItem(`RATELIMIT#${dimension}#${key}`, '#BUCKET', {}, { increments: { bucketVersion: 1 } });
+    return now;
+  };
+}
+
+test('takeTokens returns null rather than rejecting when the bucket stays contended', async () => {
+  const clock = contendedClock('ip', '203.0.113.8');
+  
+  assert.equal(await takeTokens('ip', '203.0.113.8', LIMIT, 1, clock), null);
+});
+
+test('a contended bucket lets the request through while the other buckets still apply', async (t) => {
+  const { rateLimits } = config;
+  config.rateLimits = { ...rateLimits, enabled: true, ip: LIMIT, session: LIMIT };
+  
+  try {
+    // Only the session bucket is contended; the IP bucket is charged as usual
+    t.mock.method(Date, 'now', contendedClock('session', 'sess_contended'));
+    
+    const result = await consume({ sourceIp: '203.0.113.9', sessions: { sess_contended: 1 } });
+    
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 1);
+    // No token was taken from the contended bucket
+    assert.equal((await getItem('RATELIMIT#session#sess_contended', '#BUCKET')).bucketTokens, undefined);
+  } finally {
+    t.mock.restoreAll();
+    config.rateLimits = rateLimits;
+  }
+});
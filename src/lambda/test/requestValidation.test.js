@@ -0,0 +1,57 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../shared/jsonSchema.js';
+import { call, uniqueId } from './helpers.js';
+
+test('validateSchema collects every violation with its path and rule', () => {
+  const schema = {
+    type: 'object',
+    required: ['sessionId'],
+    additionalProperties: false,
+    properties: {
+      sessionId: { type: 'string', pattern: '^sess_' },
+      events: { type: 'array', maxItems: 1, items: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time' } } } },
+      stepsTaken: { type: 'integer', readOnly: true }
+    }
+  };
+  
+  const errors = validateSchema(schema, { events: [{ timestamp: 'yesterday' }, {}], stepsTaken: 3, extra: true }, 'body');
+  
+  assert.deepEqual(errors.map(({ path, rule }) => `${path}:${rule}`).sort(), [
+    'body.events:maxItems',
+    'body.events[0].timestamp:format',
+    'body.extra:additionalProperties',
+    'body.sessionId:required',
+    'body.stepsTaken:readOnly'
+  ]);
+  assert.deepEqual(validateSchema(schema, { sessionId: 'sess_a' }), []);
+});
+
+test('invalid requests are answered with one 400 listing every violation', async () => {
+  const response = await call('POST', '/events', { body: { eventType: 'teleport', eventData: 'x' } });
+  
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'FIELD_REQUIRED');
+  assert.ok(response.body.errors.length >= 3);
+  assert.match(response.body.detail, /and \d+ more/);
+});
+
+test('violations map to stable error codes', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  
+  const cases = [
+    [call('POST', '/events', { body: '{"sessionId":' }), 'BODY_NOT_JSON'],
+    [call('POST', '/events', { body: { sessionId, eventType: 'teleport' } }), 'EVENT_TYPE_INVALID'],
+    [call('POST', '/events/batch', { body: { events: [] } }), 'BATCH_EMPTY'],
+    [call('GET', `/sessions/${sessionId}`, { query: { order: 'sideways' } }), 'QUERY_PARAMETER_INVALID'],
+    [call('PATCH', `/sessions/${sessionId}`, { body: { stepsTaken: 10 } }), 'VALIDATION_FAILED']
+  ];
+  
+  for (const [pending, code] of cases) {
+    const response = await pending;
+    assert.equal(response.status, 400, code);
+    assert.equal(response.body.code, code);
+  }
+});
@@ -0,0 +1,66 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouter, compose } from '../shared/router.js';
+import { call, uniqueId } from './helpers.js';
+
+const handler = name => async () => name;
+
+test('routes match on method and path and decode their parameters', () => {
+  const router = createRouter([
+    { method: 'GET', path: '/sessions/{sessionId}', handler: handler('get') },
+    { method: 'DELETE', path: '/sessions/{sessionId}', handler: handler('delete') },
+    { method: 'GET', path: '/sessions/{sessionId}/metadata', handler: handler('metadata') }
+  ]);
+  
+  const found = router.match('GET', '/sessions/sess%3Aa');
+  assert.equal(found.route.path, '/sessions/{sessionId}');
+  assert.deepEqual(found.params, { sessionId: 'sess:a' });
+  
+  assert.deepEqual(router.match('PUT', '/sessions/sess_a'), { route: null, allowedMethods: ['GET', 'DELETE'] });
+  assert.equal(router.match('GET', '/sessions/sess_a/unknown'), null);
+  assert.throws(() => router.match('GET', '/sessions/%E0%A4%A'), { code: 'PATH_PARAMETER_INVALID' });
+});
+
+test('literal segments win over parameters regardless of table order', () => {
+  const router = createRouter([
+    { method: 'GET', path: '/events/{sessionId}', handler: handler('param') },
+    { method: 'GET', path: '/events/batch', handler: handler('literal') }
+  ]);
+  
+  assert.equal(router.match('GET', '/events/batch').route.path, '/events/batch');
+  assert.equal(router.match('GET', '/events/sess_a').route.path, '/events/{sessionId}');
+});
+
+test('middleware run in order and may short-circuit', async () => {
+  const seen = [];
+  const tag = name => async (event, next) => {
+    seen.push(name);
+    return next({ ...event, [name]: true });
+  };
+  
+  const result = await compose([tag('a'), tag('b')], async event => event)({});
+  assert.deepEqual(seen, ['a', 'b']);
+  assert.deepEqual(result, { a: true, b: true });
+  
+  const stopped = await compose([async () => 'stopped', tag('c')], handler('handler'))({});
+  assert.equal(stopped, 'stopped');
+  assert.deepEqual(seen, ['a', 'b']);
+});
+
+test('the handler answers 405 with Allow, 404 for unknown paths and OPTIONS for existing ones', async () => {
+  const sessionId = uniqueId('sess');
+  
+  const notAllowed = await call('POST', `/sessions/${sessionId}/metadata`);
+  assert.equal(notAllowed.status, 405);
+  assert.equal(notAllowed.headers.Allow, 'GET,OPTIONS');
+  assert.equal(notAllowed.body.code, 'METHOD_NOT_ALLOWED');
+  
+  const unknown = await call('GET', '/nowhere');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'ROUTE_NOT_FOUND');
+  
+  const options = await call('OPTIONS', `/sessions/${sessionId}`);
+  assert.equal(options.status, 204);
+  assert.equal((await call('OPTIONS', '/nowhere')).status, 404);
+});
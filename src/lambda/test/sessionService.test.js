@@ -0,0 +1,39 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+import * as historyService from '../service/historyService.js';
+import * as sessionRepository from '../repositories/sessionRepository.js';
+import { systemContext } from '../shared/audit.js';
+import { dumpMemoryStore } from '../shared/memoryStore.js';
+
+test('purgeDeletedSessions keeps a redacted history and records the purge', async () => {
+  await sessionService.createSession({ sessionId: 'sess_purged', ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0' });
+  await eventService.trackEvent({ sessionId: 'sess_purged', eventType: 'click', eventData: { email: 'a@example.com' } });
+  await sessionService.deleteSession('sess_purged', { context: { actor: { id: 'user:admin', ipAddress: '203.0.113.8', userAgent: 'curl' } } });
+  
+  const afterGrace = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const result = await sessionService.purgeDeletedSessions(afterGrace, { context: systemContext('purge') });
+  
+  assert.equal(result.sessionsPurged, 1);
+  assert.equal(await sessionRepository.getSession('sess_purged', { includeDeleted: true }), null);
+  
+  const { changes } = await historyService.getSessionHistory('sess_purged');
+  assert.deepEqual(changes.map(change => change.action), ['purge', 'delete', 'create', 'create']);
+  assert.equal(changes[0].entityType, 'session');
+  assert.equal(changes[0].actor.id, 'system:purge');
+  
+  for (const change of changes.slice(1)) {
+    assert.ok(change.redactedAt);
+    assert.ok(Object.values(change.changes).every(values => Object.keys(values).length === 0));
+  }
+  const create = changes.find(change => change.entityType === 'session' && change.action === 'create');
+  assert.ok('ipAddress' in create.changes);
+  assert.deepEqual(changes.find(change => change.action === 'delete').actor, { id: 'user:admin' });
+  
+  const stored = JSON.stringify(dumpMemoryStore().filter(item => item.PK === 'SESSION#sess_purged'));
+  for (const value of ['203.0.113.7', '203.0.113.8', 'Mozilla/5.0', 'a@example.com']) {
+    assert.equal(stored.includes(value), false);
+  }
+});
@@ -0,0 +1,76 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+import * as eventRepository from '../repositories/eventRepository.js';
+import { dumpMemoryStore } from '../shared/memoryStore.js';
+import { call, uniqueId } from './helpers.js';
+
+const AFTER_GRACE = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+test('a deleted session is hidden, listed in the trash and restorable', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  await call('POST', '/events', { body: { sessionId, eventType: 'click' } });
+  
+  assert.equal((await call('DELETE', `/sessions/${sessionId}`)).status, 200);
+  const hidden = await call('GET', `/sessions/${sessionId}`);
+  assert.equal(hidden.status, 404);
+  
+  const trash = await call('GET', '/admin/trash/sessions');
+  assert.ok(trash.body.data.sessions.some(session => session.sessionId === sessionId));
+  
+  const tracked = await call('POST', '/events', { body: { sessionId, eventType: 'click' } });
+  assert.equal(tracked.status, 404);
+  
+  assert.equal((await call('POST', `/sessions/${sessionId}/restore`)).status, 200);
+  const restored = await call('GET', `/sessions/${sessionId}`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.events.length, 1);
+  assert.equal(restored.body.data.session.stepsTaken, 1);
+});
+
+test('a deleted event leaves the timeline until it is restored', async () => {
+  const sessionId = uniqueId('sess');
+  await call('POST', '/sessions', { body: { sessionId } });
+  const { eventId } = (await call('POST', '/events', { body: { sessionId, eventType: 'click' } })).body.data.event;
+  const path = `/sessions/${sessionId}/events/${eventId}`;
+  
+  await call('DELETE', path);
+  assert.equal((await call('GET', path)).status, 404);
+  assert.equal((await call('GET', `/sessions/${sessionId}`)).body.data.events.length, 0);
+  
+  assert.equal((await call('POST', `${path}/restore`)).status, 200);
+  assert.equal((await call('GET', `/sessions/${sessionId}`)).body.data.events.length, 1);
+});
+
+test('purgeDeletedEvents removes deleted events past the grace period only', async () => {
+  const sessionId = uniqueId('sess');
+  await sessionService.createSession({ sessionId });
+  const kept = await eventService.trackEvent({ sessionId, eventType: 'click' });
+  const deleted = await eventService.trackEvent({ sessionId, eventType: 'click' });
+  await eventService.deleteEvent(sessionId, deleted.eventId, null);
+  
+  assert.equal((await eventService.purgeDeletedEvents()).eventsPurged, 0);
+  
+  await eventService.purgeDeletedEvents(AFTER_GRACE);
+  assert.equal(await eventRepository.getEvent(sessionId, deleted.eventId, deleted.timestamp, { includeDeleted: true }), null);
+  assert.ok(await eventRepository.getEvent(sessionId, kept.eventId, kept.timestamp));
+});
+
+test('purgeDeletedSessions deletes every item of a large session but its history', async () => {
+  const sessionId = uniqueId('sess');
+  await sessionService.createSession({ sessionId });
+  for (let i = 0; i < 60; i++) {
+    await eventService.trackEvent({ sessionId, eventType: 'click' });
+  }
+  await sessionService.deleteSession(sessionId);
+  const partition = () => dumpMemoryStore().filter(item => item.PK === `SESSION#${sessionId}`);
+  const purgeable = partition().filter(item => !item.SK.startsWith('HISTORY#')).length;
+  
+  const result = await sessionService.purgeDeletedSessions(AFTER_GRACE);
+  
+  assert.equal(result.itemsDeleted, purgeable);
+  assert.deepEqual(partition().filter(item => !item.SK.startsWith('HISTORY#')), []);
+});
@@ -0,0 +1,43 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../service/sessionService.js';
+import * as eventService from '../service/eventService.js';
+import * as sessionRepository from '../repositories/sessionRepository.js';
+import * as eventRepository from '../repositories/eventRepository.js';
+import { uniqueId } from './helpers.js';
+
+test('concurrent events each count once in stepsTaken', async () => {
+  const sessionId = uniqueId('sess');
+  await sessionService.createSession({ sessionId });
+  
+  await Promise.all(Array.from({ length: 5 }, () => eventService.trackEvent({ sessionId, eventType: 'click' })));
+  
+  const session = await sessionRepository.getSession(sessionId);
+  assert.equal(session.stepsTaken, 5);
+  assert.equal((await eventRepository.getSessionEvents(sessionId)).length, 5);
+});
+
+test('an event for a missing or deleted session writes nothing', async () => {
+  const missing = uniqueId('sess');
+  await assert.rejects(eventService.trackEvent({ sessionId: missing, eventType: 'click' }), { code: 'SESSION_NOT_FOUND' });
+  assert.deepEqual(await eventRepository.getSessionEvents(missing), []);
+  
+  const deleted = uniqueId('sess');
+  await sessionService.createSession({ sessionId: deleted });
+  await sessionService.deleteSession(deleted);
+  assert.equal(await eventRepository.createEvent({ sessionId: deleted, eventType: 'click', eventData: {} }), null);
+  assert.deepEqual(await eventRepository.getSessionEvents(deleted), []);
+});
+
+test('deleting and restoring an event moves stepsTaken with it', async () => {
+  const sessionId = uniqueId('sess');
+  await sessionService.createSession({ sessionId });
+  const tracked = await eventService.trackEvent({ sessionId, eventType: 'click' });
+  
+  await eventService.deleteEvent(sessionId, tracked.eventId, null);
+  assert.equal((await sessionRepository.getSession(sessionId)).stepsTaken, 0);
+  
+  await eventService.restoreEvent(sessionId, tracked.eventId, null);
+  assert.equal((await sessionRepository.getSession(sessionId)).stepsTaken, 1);
+});
@@ -0,0 +1,97 @@
+import './env.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSessionEvents } from '../repositories/eventRepository.js';
+import { putItem } from '../shared/storage.js';
+import { call, uniqueId } from './helpers.js';
+
+const sessionId = uniqueId('sess');
+
+// One event a minute, so every order below is well defined
+const EVENTS = [
+  ['landing', { page: 'home' }],
+  ['click', { button: 'buy', price: 10 }],
+  ['click', { button: 'cancel', price: 10 }],
+  ['form_submit', { form: { name: 'checkout' }, valid: true }],
+  ['click', { button: 'buy', price: 25 }]
+].map(([eventType, eventData], i) => ({
+  eventId: `evt_${i}`,
+  eventType,
+  eventData,
+  timestamp: `2026-03-01T10:0${i}:00.000Z`
+}));
+
+before(async () => {
+  await call('POST', '/sessions', { body: { sessionId } });
+  
+  for (const event of EVENTS) {
+    await putItem({
+      PK: `SESSION#${sessionId}`,
+      SK: `EVENT#${event.timestamp}#${event.eventId}`,
+      GSI2PK: `EVENT#${event.eventId}`,
+      GSI2SK: `SESSION#${sessionId}`,
+      itemType: 'EVENT',
+      sessionId,
+      ...event,
+      version: 1,
+      createdAt: event.timestamp
+    });
+  }
+});
+
+/**
+ * Ids of the timeline's events for the given query parameters
+ */
+async function timeline(query) {
+  const response = await call('GET', `/sessions/${sessionId}`, { query });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.data.events.map(event => event.eventId);
+}
+
+test('the timeline is ascending by default and descending on request', async () => {
+  assert.deepEqual(await timeline({}), ['evt_0', 'evt_1', 'evt_2', 'evt_3', 'evt_4']);
+  assert.deepEqual(await timeline({ order: 'desc' }), ['evt_4', 'evt_3', 'evt_2', 'evt_1', 'evt_0']);
+});
+
+test('from and to are inclusive bounds on the timestamp', async () => {
+  assert.deepEqual(await timeline({ from: '2026-03-01T10:01:00.000Z', to: '2026-03-01T10:03:00.000Z' }), ['evt_1', 'evt_2', 'evt_3']);
+  assert.deepEqual(await timeline({ from: '2026-03-01T10:03:00.000Z' }), ['evt_3', 'evt_4']);
+  assert.deepEqual(await timeline({ to: '2026-03-01T10:00:00.000Z' }), ['evt_0']);
+});
+
+test('eventType takes several comma-separated types', async () => {
+  assert.deepEqual(await timeline({ eventType: 'landing,form_submit' }), ['evt_0', 'evt_3']);
+  
+  const invalid = await call('GET', `/sessions/${sessionId}`, { query: { eventType: 'click,teleport' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'EVENT_TYPE_INVALID');
+});
+
+test('latest returns the most recent events in the requested order', async () => {
+  assert.deepEqual(await timeline({ latest: '2' }), ['evt_3', 'evt_4']);
+  assert.deepEqual(await timeline({ latest: '2', order: 'desc' }), ['evt_4', 'evt_3']);
+  assert.deepEqual(await timeline({ latest: '2', eventType: 'click' }), ['evt_2', 'evt_4']);
+  
+  const paged = await call('GET', `/sessions/${sessionId}`, { query: { latest: '2', limit: '2' } });
+  assert.equal(paged.status, 400);
+  assert.equal(paged.body.code, 'QUERY_PARAMETER_INVALID');
+});
+
+test('eventData filters match strings, numbers, booleans and nested fields', async () => {
+  assert.deepEqual(await timeline({ 'eventData[button]': 'buy' }), ['evt_1', 'evt_4']);
+  assert.deepEqual(await timeline({ 'eventData[button]': 'buy', 'eventData[price]': '25' }), ['evt_4']);
+  assert.deepEqual(await timeline({ 'eventData[valid]': 'true' }), ['evt_3']);
+  assert.deepEqual(await timeline({ 'eventData[form.name]': 'checkout' }), ['evt_3']);
+  assert.deepEqual(await timeline({ 'eventData[button]': 'none' }), []);
+});
+
+test('filters are applied by the query in getSessionEvents', async () => {
+  const events = await getSessionEvents(sessionId, {
+    eventTypes: ['click'],
+    from: '2026-03-01T10:02:00.000Z',
+    order: 'desc',
+    dataFilters: [{ path: 'price', value: '10' }]
+  });
+  
+  assert.deepEqual(events.map(event => event.eventId), ['evt_2']);
+});
@@ -0,0 +1,75 @@
+import './env.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUserSessionsFiltered } from '../service/sessionService.js';
+import { EMBEDDED_EVENTS_LIMIT } from '../shared/validator.js';
+import { putItem } from '../shared/storage.js';
+import { call, uniqueId } from './helpers.js';
+
+const externalId = uniqueId('user');
+const longSession = uniqueId('sess');
+const shortSession = uniqueId('sess');
+
+/**
+ * Store `count` click events a second apart, numbered from the oldest
+ */
+async function putEvents(sessionId, count) {
+  for (let i = 0; i < count; i++) {
+    const eventId = `evt_${String(i).padStart(3, '0')}`;
+    const timestamp = new Date(Date.UTC(2026, 2, 1, 10, 0, i)).toISOString();
+    await putItem({
+      PK: `SESSION#${sessionId}`,
+      SK: `EVENT#${timestamp}#${eventId}`,
+      itemType: 'EVENT',
+      eventId,
+      sessionId,
+      eventType: 'click',
+      eventData: {},
+      timestamp,
+      version: 1,
+      createdAt: timestamp
+    });
+  }
+}
+
+before(async () => {
+  for (const sessionId of [longSession, shortSession]) {
+    await call('POST', '/sessions', { body: { sessionId, externalId } });
+  }
+  await putEvents(longSession, EMBEDDED_EVENTS_LIMIT + 5);
+  await putEvents(shortSession, 2);
+});
+
+test('expand=events embeds only the most recent events of each session', async () => {
+  const response = await call('GET', `/users/${externalId}/sessions`, { query: { expand: 'events' } });
+  assert.equal(response.status, 200);
+  
+  const sessions = Object.fromEntries(response.body.data.sessions.map(session => [session.sessionId, session]));
+  
+  const long = sessions[longSession];
+  assert.equal(long.events.length, EMBEDDED_EVENTS_LIMIT);
+  assert.equal(long.eventCount, EMBEDDED_EVENTS_LIMIT);
+  assert.equal(long.hasMoreEvents, true);
+  assert.equal(long.events[0].eventId, 'evt_005');
+  assert.equal(long.events.at(-1).eventId, `evt_0${EMBEDDED_EVENTS_LIMIT + 4}`);
+  
+  const short = sessions[shortSession];
+  assert.deepEqual(short.events.map(event => event.eventId), ['evt_000', 'evt_001']);
+  assert.equal(short.hasMoreEvents, false);
+});
+
+test('analytics still cover every event when events are capped', async () => {
+  const { sessions } = await getUserSessionsFiltered(externalId, { expand: ['events', 'analytics'] });
+  const long = sessions.find(session => session.sessionId === longSession);
+  
+  assert.equal(long.events.length, EMBEDDED_EVENTS_LIMIT);
+  assert.equal(long.hasMoreEvents, true);
+  assert.equal(long.analytics.eventBreakdown.click, EMBEDDED_EVENTS_LIMIT + 5);
+});
+
+test('sessions carry no events without expand=events', async () => {
+  const { sessions } = await getUserSessionsFiltered(externalId);
+  
+  assert.equal(sessions.length, 2);
+  assert.ok(sessions.every(session => !('events' in session) && !('hasMoreEvents' in session)));
+});
@@ -0,0 +1,122 @@
+/**
+ * Manage API keys for the ingestion endpoints
+ * 
+ * Works on the table directly through the Lambda's API key service, so keys
+ * can be issued without a bearer token holding the `admin` scope.
+ * 
+ * Usage:
+ *   TABLE_NAME=session-tracking node api-keys.js create --name "Shop tracker" --scopes events:write,sessions:write [--origins https://shop.example.com]
+ *   TABLE_NAME=session-tracking node api-keys.js list
+ *   TABLE_NAME=session-tracking node api-keys.js rotate <keyId>
+ *   TABLE_NAME=session-tracking node api-keys.js revoke <keyId>
+ */
+
+import * as apiKeyService from '../lambda/service/apiKeyService.js';
+
+const USAGE = `Usage:
+  node api-keys.js create --name <name> --scopes <scope,...> [--origins <origin,...>]
+  node api-keys.js list
+  node api-keys.js rotate <keyId>
+  node api-keys.js revoke <keyId>`;
+
+/**
+ * Read `--flag value` options into an object
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+}
+
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Print a key record
+ */
+function printKey(apiKey) {
+  console.log(`  ${apiKey.keyId}  ${apiKey.name}`);
+  console.log(`    scopes:  ${apiKey.scopes.join(', ')}`);
+  console.log(`    origins: ${apiKey.allowedOrigins.length > 0 ? apiKey.allowedOrigins.join(', ') : '(any)'}`);
+  console.log(`    created: ${apiKey.createdAt}${apiKey.rotatedAt ? `, rotated: ${apiKey.rotatedAt}` : ''}`);
+  if (apiKey.revokedAt) {
+    console.log(`    REVOKED: ${apiKey.revokedAt}`);
+  }
+}
+
+/**
+ * Print a newly issued key, which cannot be shown again
+ */
+function printIssued({ apiKey, key }) {
+  printKey(apiKey);
+  console.log(`\n  Key (store it now, it is not shown again):\n  ${key}`);
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  try {
+    switch (command) {
+      case 'create': {
+        const options = parseOptions(args);
+        const issued = await apiKeyService.createApiKey({
+          name: options.name,
+          scopes: list(options.scopes),
+          allowedOrigins: list(options.origins)
+        });
+        console.log('✓ API key created\n');
+        printIssued(issued);
+        break;
+      }
+      
+      case 'list': {
+        let nextToken = null;
+        let count = 0;
+        do {
+          const page = await apiKeyService.listApiKeys({ limit: 100, nextToken });
+          page.apiKeys.forEach(printKey);
+          count += page.apiKeys.length;
+          nextToken = page.nextToken;
+        } while (nextToken);
+        console.log(`\n${count} API keys`);
+        break;
+      }
+      
+      case 'rotate': {
+        if (!args[0]) {
+          throw new Error('keyId is required');
+        }
+        const issued = await apiKeyService.rotateApiKey(args[0]);
+        console.log('✓ API key rotated; the previous key no longer works\n');
+        printIssued(issued);
+        break;
+      }
+      
+      case 'revoke': {
+        if (!args[0]) {
+          throw new Error('keyId is required');
+        }
+        const apiKey = await apiKeyService.revokeApiKey(args[0]);
+        console.log('✓ API key revoked\n');
+        printKey(apiKey);
+        break;
+      }
+      
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,120 @@
+/**
+ * Stamp existing events with their GSI2 keys
+ * 
+ * Events written before GSI2 was introduced have no GSI2PK/GSI2SK, so they
+ * cannot be found under /sessions/{sessionId}/events/{eventId}. This sets
+ * GSI2PK = EVENT#<eventId> and GSI2SK = SESSION#<sessionId>, as the Lambda
+ * does for new events. Events that already have them are left untouched.
+ * 
+ * Usage:
+ *   TABLE_NAME=session-tracking node backfill-event-index.js
+ *   DRY_RUN=true TABLE_NAME=session-tracking node backfill-event-index.js
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+const TABLE_NAME = process.env.TABLE_NAME || 'session-tracking';
+const REGION = process.env.AWS_REGION || 'us-east-1';
+const DRY_RUN = process.env.DRY_RUN === 'true';
+
+const client = new DynamoDBClient({ region: REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+/**
+ * Scan the table for events without GSI2 keys
+ */
+async function scanUnindexedEvents() {
+  const items = [];
+  let lastEvaluatedKey = null;
+  let scanned = 0;
+  
+  do {
+    const params = {
+      TableName: TABLE_NAME,
+      FilterExpression: 'itemType = :event AND attribute_not_exists(GSI2PK)',
+      ExpressionAttributeValues: { ':event': 'EVENT' },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    };
+    
+    const response = await docClient.send(new ScanCommand(params));
+    items.push(...response.Items);
+    scanned += response.ScannedCount;
+    lastEvaluatedKey = response.LastEvaluatedKey;
+    
+    console.log(`Scanned ${scanned} items so far, ${items.length} events to index...`);
+  } while (lastEvaluatedKey);
+  
+  return items;
+}
+
+/**
+ * Write the GSI2 keys, skipping events deleted or indexed in the meantime
+ */
+async function applyBackfill(events) {
+  let written = 0;
+  let skipped = 0;
+  
+  for (const event of events) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: event.PK, SK: event.SK },
+        UpdateExpression: 'SET GSI2PK = :gsi2pk, GSI2SK = :gsi2sk',
+        ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(GSI2PK)',
+        ExpressionAttributeValues: {
+          ':gsi2pk': `EVENT#${event.eventId}`,
+          ':gsi2sk': `SESSION#${event.sessionId}`
+        }
+      }));
+      written++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      skipped++;
+    }
+    
+    if ((written + skipped) % 100 === 0) {
+      console.log(`Processed ${written + skipped}/${events.length} events...`);
+    }
+  }
+  
+  return { written, skipped };
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  try {
+    console.log('Scanning table:', TABLE_NAME);
+    console.log('Region:', REGION);
+    console.log(DRY_RUN ? 'Mode: DRY RUN (no writes)\n' : '');
+    
+    const events = await scanUnindexedEvents();
+    
+    console.log(`\n✓ ${events.length} events need GSI2 keys`);
+    
+    if (DRY_RUN || events.length === 0) {
+      events.slice(0, 20).forEach(event => {
+        console.log(`  ${event.PK} ${event.SK} -> EVENT#${event.eventId}`);
+      });
+      if (events.length > 20) {
+        console.log(`  ... and ${events.length - 20} more`);
+      }
+      return;
+    }
+    
+    const { written, skipped } = await applyBackfill(events);
+    
+    console.log(`\n✓ Backfill completed: ${written} events indexed, ${skipped} skipped (already indexed or deleted)`);
+    
+  } catch (error) {
+    console.error('Error backfilling event index:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,146 @@
+/**
+ * Stamp existing items with the expiresAt TTL attribute
+ * 
+ * Items written before retention was introduced have no expiresAt and would be
+ * kept forever. This computes it from the item's createdAt with the same
+ * retention policy the Lambda uses (RETENTION_* environment variables).
+ * Items that already have expiresAt are left untouched.
+ * 
+ * Usage:
+ *   TABLE_NAME=session-tracking node backfill-ttl.js
+ *   DRY_RUN=true TABLE_NAME=session-tracking node backfill-ttl.js
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { computeExpiresAt } from '../lambda/shared/retention.js';
+
+const TABLE_NAME = process.env.TABLE_NAME || 'session-tracking';
+const REGION = process.env.AWS_REGION || 'us-east-1';
+const DRY_RUN = process.env.DRY_RUN === 'true';
+
+const client = new DynamoDBClient({ region: REGION });
+const docClient = DynamoDBDocumentClient.from(client);
+
+/**
+ * Scan entire table and get all items
+ */
+async function scanAllItems() {
+  const items = [];
+  let lastEvaluatedKey = null;
+  
+  do {
+    const params = {
+      TableName: TABLE_NAME,
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    };
+    
+    const response = await docClient.send(new ScanCommand(params));
+    items.push(...response.Items);
+    lastEvaluatedKey = response.LastEvaluatedKey;
+    
+    console.log(`Scanned ${items.length} items so far...`);
+  } while (lastEvaluatedKey);
+  
+  return items;
+}
+
+/**
+ * Work out expiresAt for every item that lacks one
+ */
+function planBackfill(items) {
+  // Events inherit the retention of their session's identity
+  const externalIds = new Map();
+  for (const item of items) {
+    if (item.itemType === 'SESSION_METADATA') {
+      externalIds.set(item.sessionId, item.externalId || null);
+    }
+  }
+  
+  const updates = [];
+  
+  for (const item of items) {
+    if (item.expiresAt || !['SESSION_METADATA', 'EVENT'].includes(item.itemType)) {
+      continue;
+    }
+    
+    const expiresAt = computeExpiresAt({
+      externalId: externalIds.get(item.sessionId) || null,
+      eventType: item.itemType === 'EVENT' ? item.eventType : null,
+      from: item.createdAt || item.timestamp || new Date()
+    });
+    
+    updates.push({ PK: item.PK, SK: item.SK, expiresAt });
+  }
+  
+  return updates;
+}
+
+/**
+ * Write expiresAt, skipping items that gained one in the meantime
+ */
+async function applyBackfill(updates) {
+  let written = 0;
+  let skipped = 0;
+  
+  for (const update of updates) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { PK: update.PK, SK: update.SK },
+        UpdateExpression: 'SET expiresAt = :expiresAt',
+        ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(expiresAt)',
+        ExpressionAttributeValues: { ':expiresAt': update.expiresAt }
+      }));
+      written++;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      skipped++;
+    }
+    
+    if ((written + skipped) % 100 === 0) {
+      console.log(`Processed ${written + skipped}/${updates.length} items...`);
+    }
+  }
+  
+  return { written, skipped };
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  try {
+    console.log('Scanning table:', TABLE_NAME);
+    console.log('Region:', REGION);
+    console.log(DRY_RUN ? 'Mode: DRY RUN (no writes)\n' : '');
+    
+    const items = await scanAllItems();
+    const updates = planBackfill(items);
+    
+    console.log(`\n✓ ${updates.length} of ${items.length} items need expiresAt`);
+    
+    if (DRY_RUN || updates.length === 0) {
+      updates.slice(0, 20).forEach(update => {
+        console.log(`  ${update.PK} ${update.SK} -> ${new Date(update.expiresAt * 1000).toISOString()}`);
+      });
+      if (updates.length > 20) {
+        console.log(`  ... and ${updates.length - 20} more`);
+      }
+      return;
+    }
+    
+    const { written, skipped } = await applyBackfill(updates);
+    
+    console.log(`\n✓ Backfill completed: ${written} items stamped, ${skipped} skipped (already stamped or deleted)`);
+    
+  } catch (error) {
+    console.error('Error backfilling TTL:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
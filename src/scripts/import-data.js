@@ -32,6 +32,7 @@ import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, BatchWriteCommand } from '@aws-sdk/lib-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
 import { readFile } from 'fs/promises';
+import { batchWriteAll } from '../lambda/shared/batchWriter.js';
 
 const TABLE_NAME = process.env.TABLE_NAME || 'session-tracking';
 const REGION = process.env.AWS_REGION || 'us-east-1';
@@ -74,6 +75,8 @@ function transformEventToItem(event) {
   return {
     PK: `SESSION#${event.sessionId}`,
     SK: `EVENT#${timestamp}#${eventId}`,
+    GSI2PK: `EVENT#${eventId}`,
+    GSI2SK: `SESSION#${event.sessionId}`,
     itemType: 'EVENT',
     eventId,
     sessionId: event.sessionId,
@@ -87,36 +90,30 @@ function transformEventToItem(event) {
 }
 
 /**
- * Batch write items to DynamoDB (max 25 per request)
+ * Batch write items to DynamoDB (chunked, unprocessed items retried)
  */
 async function batchWrite(items) {
-  const chunks = [];
-  for (let i = 0; i < items.length; i += 25) {
-    chunks.push(items.slice(i, i + 25));
-  }
-
-  console.log(`Writing ${items.length} items in ${chunks.length} batches...`);
-
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    const putRequests = chunk.map(item => ({
-      PutRequest: { Item: item }
-    }));
-
-    const command = new BatchWriteCommand({
-      RequestItems: {
-        [TABLE_NAME]: putRequests
-      }
-    });
-
-    try {
-      await docClient.send(command);
-      console.log(`✓ Batch ${i + 1}/${chunks.length} written (${chunk.length} items)`);
-    } catch (error) {
-      console.error(`✗ Error writing batch ${i + 1}:`, error.message);
-      throw error;
+  console.log(`Writing ${items.length} items in ${Math.ceil(items.length / 25)} batches...`);
+
+  const report = await batchWriteAll(items, {
+    tableName: TABLE_NAME,
+    send: params => docClient.send(new BatchWriteCommand(params)),
+    onChunk: (chunkResults, done, total) => {
+      const failed = chunkResults.filter(r => !r.success).length;
+      const mark = failed === 0 ? '✓' : '✗';
+      console.log(`${mark} Batch ${done}/${total} written (${chunkResults.length - failed}/${chunkResults.length} items)`);
     }
+  });
+
+  if (report.failed > 0) {
+    console.error(`\n✗ ${report.failed} of ${report.total} items could not be written:`);
+    report.results
+      .filter(result => !result.success)
+      .forEach(result => console.error(`  - [${result.index}] ${result.key}: ${result.error}`));
+    throw new Error(`${report.failed} items failed to import`);
   }
+
+  return report;
 }
 
 /**
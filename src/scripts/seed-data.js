@@ -7,6 +7,7 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, BatchWriteCommand } from '@aws-sdk/lib-dynamodb';
 import { v4 as uuidv4 } from 'uuid';
+import { batchWriteAll } from '../lambda/shared/batchWriter.js';
 
 const TABLE_NAME = process.env.TABLE_NAME || 'session-tracking';
 const REGION = process.env.AWS_REGION || 'us-east-1';
@@ -73,6 +74,8 @@ function generateSampleData() {
         const eventItem = {
           PK: `SESSION#${sessionId}`,
           SK: `EVENT#${eventTimestamp}#${eventId}`,
+          GSI2PK: `EVENT#${eventId}`,
+          GSI2SK: `SESSION#${sessionId}`,
           itemType: 'EVENT',
           eventId,
           sessionId,
@@ -96,30 +99,24 @@ function generateSampleData() {
 }
 
 /**
- * Batch write items to DynamoDB (max 25 per request)
+ * Batch write items to DynamoDB (chunked, unprocessed items retried)
  */
 async function batchWrite(items) {
-  const chunks = [];
-  for (let i = 0; i < items.length; i += 25) {
-    chunks.push(items.slice(i, i + 25));
-  }
+  console.log(`Writing ${items.length} items in ${Math.ceil(items.length / 25)} batches...`);
   
-  console.log(`Writing ${items.length} items in ${chunks.length} batches...`);
+  const report = await batchWriteAll(items, {
+    tableName: TABLE_NAME,
+    send: params => docClient.send(new BatchWriteCommand(params)),
+    onChunk: (chunkResults, done, total) => {
+      console.log(`Batch ${done}/${total} written`);
+    }
+  });
   
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    const putRequests = chunk.map(item => ({
-      PutRequest: { Item: item }
-    }));
-    
-    const command = new BatchWriteCommand({
-      RequestItems: {
-        [TABLE_NAME]: putRequests
-      }
-    });
-    
-    await docClient.send(command);
-    console.log(`Batch ${i + 1}/${chunks.length} written successfully`);
+  if (report.failed > 0) {
+    report.results
+      .filter(result => !result.success)
+      .forEach(result => console.error(`  - ${result.key}: ${result.error}`));
+    throw new Error(`${report.failed} of ${report.total} items failed to write`);
   }
 }
 